@@ -0,0 +1,38 @@
+import { computeRecommendationsForUser, runRecommendationsTick } from '../src/jobs/recommendations.service.js';
+
+// Runs the recommendations job once, outside the server: for one user, or in
+// batches for every active user whose recommendations are stale.
+
+const MAX_BATCHES = 1000;
+
+async function main() {
+  const userId = process.argv[2];
+  try {
+    if (userId) {
+      const { recommendations } = await computeRecommendationsForUser(userId);
+      console.log(`Stored ${recommendations} recommendation(s) for ${userId}`);
+      process.exit(0);
+    }
+
+    let processed = 0;
+    let failed = 0;
+    for (let i = 0; i < MAX_BATCHES; i += 1) {
+      const res = await runRecommendationsTick({ force: true });
+      if (res.skipped) {
+        console.error(`Skipped${res.reason ? ` (${res.reason})` : ''}: another run holds the lock`);
+        process.exit(1);
+      }
+      processed += res.processed;
+      failed += res.failed;
+      // Users that failed stay stale; stop once a batch makes no progress
+      if (!res.processed) break;
+    }
+    console.log(`Done: processed=${processed} failed=${failed}`);
+    process.exit(failed ? 1 : 0);
+  } catch (err) {
+    console.error('Recommendations run failed:', err?.message || err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,57 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import env from '../src/config/env.js';
+import { signPayload, SIGNATURE_HEADER } from '../src/utils/webhookSignature.js';
+
+// Local stand-in for the payment provider: sends a signed subscription event
+// to the running server, the same way the provider's webhook would.
+
+const TYPES = {
+  activate: 'subscription.activated',
+  renew: 'subscription.renewed',
+  cancel: 'subscription.canceled',
+  expire: 'subscription.expired'
+};
+
+async function main() {
+  const [action, userId, plan = 'plus', days = '30'] = process.argv.slice(2);
+  const type = TYPES[String(action || '').toLowerCase()];
+  if (!type || !userId) {
+    console.error('Usage: node scripts/payment-webhook-stub.js <activate|renew|cancel|expire> <user-id> [plan] [days]');
+    console.error('Sends to WEBHOOK_URL (default http://localhost:PORT/api/v1/billing/webhook).');
+    process.exit(1);
+  }
+  if (!env.PAYMENT_WEBHOOK_SECRET) {
+    console.error('Missing PAYMENT_WEBHOOK_SECRET. Set the same value for the server and this script in .env');
+    process.exit(1);
+  }
+
+  const periodEnd = new Date(Date.now() + parseInt(days, 10) * 24 * 3600 * 1000).toISOString();
+  const event = {
+    id: `evt_stub_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      user_id: userId,
+      plan,
+      current_period_end: type === TYPES.expire ? null : periodEnd
+    }
+  };
+  const body = JSON.stringify(event);
+  const url = process.env.WEBHOOK_URL || `http://localhost:${env.PORT}/api/v1/billing/webhook`;
+
+  try {
+    const res = await axios.post(url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signPayload(body, env.PAYMENT_WEBHOOK_SECRET)
+      }
+    });
+    console.log(`Sent ${type} (${event.id}) ->`, res.status, JSON.stringify(res.data));
+  } catch (err) {
+    console.error('Webhook failed:', err?.response?.status || '', JSON.stringify(err?.response?.data || err?.message || err));
+    process.exit(1);
+  }
+}
+
+main();
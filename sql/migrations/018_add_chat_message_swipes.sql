@@ -0,0 +1,17 @@
+-- Alternative assistant replies ("swipes") for a single turn.
+-- chat_messages keeps the selected alternative in `content`, so every reader
+-- of chat history automatically uses the chosen swipe.
+CREATE TABLE IF NOT EXISTS chat_message_swipes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES chat_messages(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  order_index INTEGER,
+  swipe_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  is_nsfw BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (message_id, swipe_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_message_swipes_message_id ON chat_message_swipes(message_id);
+CREATE INDEX IF NOT EXISTS idx_chat_message_swipes_session_id ON chat_message_swipes(session_id);
@@ -0,0 +1,16 @@
+-- Conversation branches: editing a past user message archives that turn and
+-- everything after it into a named branch. Messages with branch_id NULL form
+-- the active conversation; archived messages point at their branch.
+CREATE TABLE IF NOT EXISTS chat_branches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  fork_order_index INTEGER NOT NULL, -- first order_index held by the branch
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE chat_messages
+  ADD COLUMN IF NOT EXISTS branch_id UUID REFERENCES chat_branches(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_chat_branches_session_id ON chat_branches(session_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session_branch ON chat_messages(session_id, branch_id);
@@ -0,0 +1,6 @@
+-- Rolling conversation summary per session (long-term memory)
+ALTER TABLE chat_sessions
+  ADD COLUMN IF NOT EXISTS summary TEXT,
+  ADD COLUMN IF NOT EXISTS summary_order_index INTEGER NOT NULL DEFAULT 0, -- last order_index folded into the summary
+  ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS summary_is_manual BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,16 @@
+-- User-curated facts ("memories") for a user + character relationship.
+-- status 'active' memories are always injected into the prompt; 'suggested'
+-- ones were proposed by the model and wait for the user to accept them.
+CREATE TABLE IF NOT EXISTS character_memories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  character_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suggested')),
+  source TEXT NOT NULL DEFAULT 'user' CHECK (source IN ('user', 'model')),
+  pinned BOOLEAN NOT NULL DEFAULT FALSE, -- pinned memories win when the budget is tight
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_character_memories_user_character ON character_memories(user_id, character_id);
@@ -0,0 +1,32 @@
+-- Lorebooks: keyword-triggered world-info entries. A lorebook is owned by a
+-- creator and can be attached to several of their characters.
+CREATE TABLE IF NOT EXISTS lorebooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS lore_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lorebook_id UUID NOT NULL REFERENCES lorebooks(id) ON DELETE CASCADE,
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  content TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 0, -- higher wins when the budget is tight
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS character_lorebooks (
+  character_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+  lorebook_id UUID NOT NULL REFERENCES lorebooks(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (character_id, lorebook_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lorebooks_owner_id ON lorebooks(owner_id);
+CREATE INDEX IF NOT EXISTS idx_lore_entries_lorebook_id ON lore_entries(lorebook_id);
+CREATE INDEX IF NOT EXISTS idx_character_lorebooks_lorebook_id ON character_lorebooks(lorebook_id);
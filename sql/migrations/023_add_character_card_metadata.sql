@@ -0,0 +1,5 @@
+-- Keeps Character Card (V1/V2) fields we don't map onto our schema
+-- (scenario, creator_notes, alternate_greetings, extensions, ...) so
+-- an imported card can be exported again without losing data.
+ALTER TABLE characters
+  ADD COLUMN IF NOT EXISTS card_metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
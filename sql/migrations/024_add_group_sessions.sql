@@ -0,0 +1,23 @@
+-- Group chat sessions: two or more characters plus the user.
+-- chat_sessions.character_id keeps pointing at the first cast member so
+-- single-character code paths (nudges, per-character clears) keep working.
+ALTER TABLE chat_sessions
+  ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS routing_mode TEXT NOT NULL DEFAULT 'round_robin'
+    CHECK (routing_mode IN ('round_robin', 'mention', 'model'));
+
+CREATE TABLE IF NOT EXISTS chat_session_characters (
+  session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  character_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0, -- speaking order for round-robin
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (session_id, character_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_session_characters_character ON chat_session_characters(character_id);
+
+-- Which character spoke an assistant message (NULL for user messages and legacy rows)
+ALTER TABLE chat_messages
+  ADD COLUMN IF NOT EXISTS character_id UUID REFERENCES characters(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_character ON chat_messages(character_id);
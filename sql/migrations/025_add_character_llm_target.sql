@@ -0,0 +1,5 @@
+-- Optional per-character LLM provider/model (see src/config/llm.js).
+-- NULL means: use the user's plan mapping (LLM_PLAN_MODELS) or the defaults.
+ALTER TABLE characters
+  ADD COLUMN IF NOT EXISTS llm_provider TEXT CHECK (llm_provider IN ('together', 'openai', 'mock')),
+  ADD COLUMN IF NOT EXISTS llm_model TEXT;
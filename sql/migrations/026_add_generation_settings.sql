@@ -0,0 +1,8 @@
+-- Sampling presets: creator defaults on the character, optional user override
+-- per session. Keys: temperature, top_p, repetition_penalty, frequency_penalty,
+-- presence_penalty, max_tokens, stop (see src/utils/generationSettings.js).
+ALTER TABLE characters
+  ADD COLUMN IF NOT EXISTS generation_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE chat_sessions
+  ADD COLUMN IF NOT EXISTS generation_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
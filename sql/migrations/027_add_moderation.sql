@@ -0,0 +1,64 @@
+-- Moderation policy engine (src/services/moderation.service.js).
+-- Rules are editable at runtime through /api/v1/moderation/rules; the server
+-- caches them briefly and falls back to the built-in lists in
+-- src/utils/moderation.js when this table is empty or unreachable.
+--   action block    -> always blocked
+--   action restrict -> blocked when the character has NSFW off (model output is masked instead)
+--   action flag     -> allowed, only logged
+-- The 'prohibited' category is always blocked whatever its action says.
+
+-- /api/v1/moderation is restricted to role 'admin' (030_add_roles_and_admin.sql
+-- adds the other staff roles and the check constraint)
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user';
+
+CREATE TABLE IF NOT EXISTS moderation_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  category TEXT NOT NULL,
+  term TEXT NOT NULL,
+  action TEXT NOT NULL DEFAULT 'flag' CHECK (action IN ('block', 'restrict', 'flag')),
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (category, term)
+);
+
+-- One row per moderation decision that matched a rule
+CREATE TABLE IF NOT EXISTS moderation_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  character_id UUID REFERENCES characters(id) ON DELETE SET NULL,
+  stage TEXT NOT NULL CHECK (stage IN ('input', 'output')),
+  decision TEXT NOT NULL CHECK (decision IN ('blocked', 'masked', 'flagged')),
+  category TEXT NOT NULL,
+  term TEXT,
+  excerpt TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_logs_created ON moderation_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_logs_category ON moderation_logs(category, created_at DESC);
+
+-- Seed with the previous hard-coded lists
+INSERT INTO moderation_rules (category, term, action)
+SELECT 'prohibited', t, 'block' FROM unnest(ARRAY[
+  'rape', 'raping', 'bestiality', 'zoophilia', 'loli', 'child porn', 'underage',
+  'necrophilia', 'snuff', 'incest', 'sex slave'
+]) AS t
+ON CONFLICT (category, term) DO NOTHING;
+
+INSERT INTO moderation_rules (category, term, action)
+SELECT 'sexual', t, 'restrict' FROM unnest(ARRAY[
+  'sex', 'sexual', 'fuck', 'fucking', 'fucked', 'horny', 'cum', 'cumming', 'semen',
+  'nsfw', 'nude', 'naked', 'boobs', 'tits', 'penis', 'vagina', 'pussy', 'clit', 'clitoris',
+  'cock', 'dick', 'jerk off', 'handjob', 'blowjob', 'bj', 'anal', 'buttplug',
+  'deepthroat', 'threesome', 'orgasm', 'fetish', 'kink', 'sext', 'porn'
+]) AS t
+ON CONFLICT (category, term) DO NOTHING;
+
+INSERT INTO moderation_rules (category, term, action)
+SELECT 'violence', t, 'flag' FROM unnest(ARRAY[
+  'kill', 'murder', 'stab', 'shoot', 'behead', 'gore', 'bloodbath'
+]) AS t
+ON CONFLICT (category, term) DO NOTHING;
@@ -0,0 +1,14 @@
+-- User-level adult content gate (src/utils/adultContent.js). NSFW characters
+-- and prompts require a verified birth date of 18+ AND an explicit opt-in.
+-- user_profiles.age from signup stays self-declared; under 18 it vetoes access.
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS birth_date DATE,
+  ADD COLUMN IF NOT EXISTS age_verified_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS age_verification_method TEXT,
+  ADD COLUMN IF NOT EXISTS adult_content_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS adult_content_updated_at TIMESTAMPTZ;
+
+-- Feeds filter on this for users without access
+CREATE INDEX IF NOT EXISTS idx_characters_public_sfw
+  ON characters(popularity_score DESC)
+  WHERE visibility = 'public' AND nsfw_enabled = FALSE;
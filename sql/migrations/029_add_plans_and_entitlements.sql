@@ -0,0 +1,49 @@
+-- Subscription plans and entitlements (plan definitions live in src/config/plans.js).
+-- user_profiles.plan is the current plan id; a paid plan falls back to 'free'
+-- once plan_expires_at has passed.
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS plan_expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS plan_updated_at TIMESTAMPTZ;
+
+-- History of plan changes, from admins and from payment webhooks
+CREATE TABLE IF NOT EXISTS plan_grants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  plan TEXT NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('admin', 'payment')),
+  granted_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ,
+  reference TEXT, -- payment event id or admin note
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_plan_grants_user ON plan_grants(user_id, created_at DESC);
+
+-- Processed payment-provider webhook events (idempotency)
+CREATE TABLE IF NOT EXISTS payment_events (
+  id TEXT PRIMARY KEY, -- provider event id
+  type TEXT NOT NULL,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  payload JSONB NOT NULL,
+  processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Per-user daily usage counters (UTC days)
+CREATE TABLE IF NOT EXISTS usage_daily (
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  metric TEXT NOT NULL,
+  amount BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, day, metric)
+);
+
+-- Atomic add used by src/services/entitlements.service.js
+CREATE OR REPLACE FUNCTION public.increment_usage_daily(p_user_id UUID, p_day DATE, p_metric TEXT, p_amount BIGINT)
+RETURNS BIGINT AS $$
+  INSERT INTO usage_daily (user_id, day, metric, amount)
+  VALUES (p_user_id, p_day, p_metric, p_amount)
+  ON CONFLICT (user_id, day, metric)
+  DO UPDATE SET amount = usage_daily.amount + EXCLUDED.amount, updated_at = NOW()
+  RETURNING amount;
+$$ LANGUAGE sql SECURITY DEFINER;
@@ -0,0 +1,91 @@
+-- Role-based access control and the admin API (/api/v1/admin).
+--   user       regular account (default)
+--   moderator  user search/suspension, character hiding, flagged content review, stats
+--   admin      everything a moderator can do plus role changes and the admin action log
+-- Promote the first admin by hand:
+--   UPDATE user_profiles SET role = 'admin' WHERE email = 'you@example.com';
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user',
+  -- Suspension by staff; is_active = false without suspended_at is a user-closed account
+  ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS suspended_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'user_profiles_role_check') THEN
+    ALTER TABLE user_profiles
+      ADD CONSTRAINT user_profiles_role_check CHECK (role IN ('user', 'moderator', 'admin'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_staff ON user_profiles(role) WHERE role <> 'user';
+CREATE INDEX IF NOT EXISTS idx_user_profiles_suspended ON user_profiles(suspended_at) WHERE suspended_at IS NOT NULL;
+
+-- Characters hidden by staff: invisible to everyone but the creator, who
+-- cannot publish them again until they are unhidden
+ALTER TABLE characters
+  ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS hidden_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS hidden_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_characters_hidden ON characters(hidden_at) WHERE hidden_at IS NOT NULL;
+
+-- Staff review of flagged/blocked moderation decisions
+ALTER TABLE moderation_logs
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_moderation_logs_unreviewed ON moderation_logs(created_at DESC) WHERE reviewed_at IS NULL;
+
+-- Audit trail of staff actions
+CREATE TABLE IF NOT EXISTS admin_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('user', 'character', 'moderation_log')),
+  target_id UUID NOT NULL,
+  reason TEXT,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_created ON admin_actions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target_type, target_id, created_at DESC);
+
+-- Daily totals for GET /api/v1/admin/stats/usage
+CREATE OR REPLACE FUNCTION public.usage_daily_totals(p_since DATE)
+RETURNS TABLE (day DATE, metric TEXT, total BIGINT, users BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT u.day, u.metric, SUM(u.amount)::BIGINT, COUNT(DISTINCT u.user_id)::BIGINT
+  FROM usage_daily u
+  WHERE u.day >= p_since
+  GROUP BY u.day, u.metric
+  ORDER BY u.day DESC, u.metric;
+$$;
+
+-- Nudges sent per day (assistant messages with metadata.nudge) and how many
+-- got a user reply in the same session within 24 hours
+CREATE OR REPLACE FUNCTION public.nudge_daily_stats(p_since TIMESTAMPTZ)
+RETURNS TABLE (day DATE, sent BIGINT, users BIGINT, replied BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    (n.created_at AT TIME ZONE 'UTC')::DATE,
+    COUNT(*)::BIGINT,
+    COUNT(DISTINCT s.user_id)::BIGINT,
+    COUNT(*) FILTER (WHERE EXISTS (
+      SELECT 1 FROM chat_messages r
+      WHERE r.session_id = n.session_id
+        AND r.role = 'user'
+        AND r.created_at > n.created_at
+        AND r.created_at <= n.created_at + INTERVAL '24 hours'
+    ))::BIGINT
+  FROM chat_messages n
+  JOIN chat_sessions s ON s.id = n.session_id
+  WHERE n.role = 'assistant'
+    AND n.metadata->>'nudge' = 'true'
+    AND n.created_at >= p_since
+  GROUP BY 1
+  ORDER BY 1 DESC;
+$$;
@@ -0,0 +1,11 @@
+-- Applied migration versions, read by the schema_version diagnostics check
+-- (src/services/diagnostics.service.js). Each migration from here on records
+-- itself at the end; the check compares the newest row with the newest file
+-- in sql/migrations.
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version TEXT PRIMARY KEY, -- file name without .sql / .up.sql
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO schema_migrations (version) VALUES ('031_add_schema_migrations')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,39 @@
+-- User reports on public characters and on individual chat messages
+-- (src/services/reports.service.js). Reports form the moderation queue at
+-- /api/v1/admin/reports: open -> actioned | dismissed. A character with
+-- REPORT_AUTO_HIDE_THRESHOLD open reports from distinct users is hidden
+-- (characters.hidden_at) until staff review it.
+CREATE TABLE IF NOT EXISTS content_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('character', 'message')),
+  character_id UUID REFERENCES characters(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  details TEXT,
+  excerpt TEXT, -- message text at report time (the message may be edited or deleted)
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+  resolved_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One open report per user and target
+CREATE UNIQUE INDEX IF NOT EXISTS uq_content_reports_open_character
+  ON content_reports(reporter_id, character_id) WHERE status = 'open' AND target_type = 'character';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_content_reports_open_message
+  ON content_reports(reporter_id, message_id) WHERE status = 'open' AND target_type = 'message';
+
+CREATE INDEX IF NOT EXISTS idx_content_reports_queue ON content_reports(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_reports_character ON content_reports(character_id, status);
+
+-- Staff actions on reports go to the audit log too
+ALTER TABLE admin_actions DROP CONSTRAINT IF EXISTS admin_actions_target_type_check;
+ALTER TABLE admin_actions
+  ADD CONSTRAINT admin_actions_target_type_check
+  CHECK (target_type IN ('user', 'character', 'moderation_log', 'content_report'));
+
+INSERT INTO schema_migrations (version) VALUES ('032_add_content_reports')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,118 @@
+-- Public character discovery (src/services/discovery.service.js): full-text
+-- search over name, tags, description and persona, tag facets, and the
+-- new / trending / top feeds with keyset (cursor) pagination. Only public
+-- characters that are not hidden by staff are ever returned.
+
+-- Weighted search document: name and tags rank above description, persona last.
+-- array_to_string is only STABLE, hence the IMMUTABLE wrapper for the
+-- generated column.
+CREATE OR REPLACE FUNCTION public.character_search_document(
+  p_name TEXT, p_description TEXT, p_persona TEXT, p_tags TEXT[]
+)
+RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT setweight(to_tsvector('english'::regconfig, coalesce(p_name, '')), 'A')
+      || setweight(to_tsvector('english'::regconfig, coalesce(array_to_string(p_tags, ' '), '')), 'A')
+      || setweight(to_tsvector('english'::regconfig, coalesce(p_description, '')), 'B')
+      || setweight(to_tsvector('english'::regconfig, coalesce(p_persona, '')), 'C');
+$$;
+
+ALTER TABLE characters
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (character_search_document(name, description, persona, tags)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_characters_search_vector ON characters USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_characters_tags ON characters USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_characters_public_created
+  ON characters(created_at DESC, id DESC) WHERE visibility = 'public' AND hidden_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_characters_public_likes
+  ON characters(likes_count DESC, id DESC) WHERE visibility = 'public' AND hidden_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_character_use_events_created ON character_use_events(created_at, character_id);
+
+-- Listable characters matching the discovery filters.
+-- p_nsfw: 'exclude' | 'include' | 'only' (the API decides what a user may ask for)
+CREATE OR REPLACE FUNCTION public.discoverable_characters(
+  p_query TEXT DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_character_type TEXT DEFAULT NULL,
+  p_gender TEXT DEFAULT NULL,
+  p_nsfw TEXT DEFAULT 'exclude'
+)
+RETURNS SETOF characters
+LANGUAGE sql STABLE AS $$
+  SELECT c.*
+  FROM characters c
+  WHERE c.visibility = 'public'
+    AND c.hidden_at IS NULL
+    AND (coalesce(trim(p_query), '') = '' OR c.search_vector @@ websearch_to_tsquery('english', p_query))
+    AND (p_tags IS NULL OR cardinality(p_tags) = 0 OR c.tags @> p_tags)
+    AND (p_character_type IS NULL OR c.character_type = p_character_type)
+    AND (p_gender IS NULL OR c.character_gender = p_gender)
+    AND (p_nsfw = 'include' OR c.nsfw_enabled = (p_nsfw = 'only'));
+$$;
+
+-- One page of a discovery feed, ordered by (sort_score, id) descending.
+-- p_sort: 'relevance' (needs p_query) | 'new' | 'trending' | 'top'.
+-- Trending counts use events since p_since and skips characters with none.
+-- Pass the last row's sort_score and id as the cursor for the next page.
+CREATE OR REPLACE FUNCTION public.discover_characters(
+  p_sort TEXT,
+  p_query TEXT DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_character_type TEXT DEFAULT NULL,
+  p_gender TEXT DEFAULT NULL,
+  p_nsfw TEXT DEFAULT 'exclude',
+  p_since TIMESTAMPTZ DEFAULT NOW() - INTERVAL '24 hours',
+  p_cursor_score NUMERIC DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL,
+  p_limit INT DEFAULT 20
+)
+RETURNS TABLE (item JSONB, sort_score NUMERIC)
+LANGUAGE sql STABLE AS $$
+  WITH uses AS (
+    SELECT e.character_id, COUNT(*)::NUMERIC AS n
+    FROM character_use_events e
+    WHERE p_sort = 'trending' AND e.created_at >= p_since
+    GROUP BY e.character_id
+  ),
+  scored AS (
+    SELECT c, CASE p_sort
+        WHEN 'relevance' THEN round(ts_rank_cd(c.search_vector, websearch_to_tsquery('english', p_query))::NUMERIC, 6)
+        WHEN 'trending' THEN u.n
+        WHEN 'top' THEN c.likes_count::NUMERIC
+        -- Microseconds since epoch: an integer JSON clients round-trip exactly
+        ELSE floor(extract(epoch FROM c.created_at) * 1000000)::NUMERIC
+      END AS score
+    FROM discoverable_characters(p_query, p_tags, p_character_type, p_gender, p_nsfw) c
+    LEFT JOIN uses u ON u.character_id = c.id
+    WHERE p_sort <> 'trending' OR u.n IS NOT NULL
+  )
+  SELECT to_jsonb(s.c) - 'search_vector', s.score
+  FROM scored s
+  WHERE p_cursor_id IS NULL OR (s.score, (s.c).id) < (p_cursor_score, p_cursor_id)
+  ORDER BY s.score DESC, (s.c).id DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$;
+
+-- Tag counts over the characters matching the same filters
+CREATE OR REPLACE FUNCTION public.discover_tag_facets(
+  p_query TEXT DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_character_type TEXT DEFAULT NULL,
+  p_gender TEXT DEFAULT NULL,
+  p_nsfw TEXT DEFAULT 'exclude',
+  p_limit INT DEFAULT 50
+)
+RETURNS TABLE (tag TEXT, count BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT t.tag, COUNT(*)::BIGINT
+  FROM discoverable_characters(p_query, p_tags, p_character_type, p_gender, p_nsfw) c
+  CROSS JOIN LATERAL unnest(c.tags) AS t(tag)
+  WHERE coalesce(trim(t.tag), '') <> ''
+  GROUP BY t.tag
+  ORDER BY 2 DESC, 1
+  LIMIT LEAST(GREATEST(p_limit, 1), 200);
+$$;
+
+INSERT INTO schema_migrations (version) VALUES ('033_add_character_discovery')
+ON CONFLICT (version) DO NOTHING;
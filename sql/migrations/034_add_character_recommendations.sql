@@ -0,0 +1,29 @@
+-- Personalized "for you" recommendations, precomputed per user by the
+-- recommendations job (src/jobs/recommendations.service.js) from the user's
+-- likes, chat sessions and tag / trait similarity. Served by
+-- GET /api/v1/characters/recommended.
+CREATE TABLE IF NOT EXISTS character_recommendations (
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  character_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+  score DOUBLE PRECISION NOT NULL,
+  reasons JSONB NOT NULL DEFAULT '{}'::jsonb, -- e.g. { "tags": [...], "similar_to": "<character id>" }
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, character_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_character_recommendations_user_score
+  ON character_recommendations(user_id, score DESC);
+
+-- Last run per user, also for users with nothing to recommend yet, so the
+-- job can skip fresh ones
+CREATE TABLE IF NOT EXISTS recommendation_runs (
+  user_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  recommendations INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_updated ON chat_sessions(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_character_likes_user ON character_likes(user_id, created_at DESC);
+
+INSERT INTO schema_migrations (version) VALUES ('034_add_character_recommendations')
+ON CONFLICT (version) DO NOTHING;
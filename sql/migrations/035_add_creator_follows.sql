@@ -0,0 +1,27 @@
+-- Creator profiles and following (src/services/creator.service.js).
+-- Followers get new public characters from creators they follow in
+-- GET /api/v1/characters/feed/following and, when `notify` is on, a push
+-- (and optionally email) announcement when the creator publishes one.
+CREATE TABLE IF NOT EXISTS creator_follows (
+  follower_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  creator_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  notify BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (follower_id, creator_id),
+  CHECK (follower_id <> creator_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_follows_creator ON creator_follows(creator_id, created_at DESC);
+
+-- First time a character became public; announcements go out once, and the
+-- following feed orders by it
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+
+UPDATE characters SET published_at = created_at
+WHERE visibility = 'public' AND published_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_characters_creator_published
+  ON characters(creator_id, published_at DESC) WHERE visibility = 'public' AND hidden_at IS NULL;
+
+INSERT INTO schema_migrations (version) VALUES ('035_add_creator_follows')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,61 @@
+-- Character versioning (src/services/characterVersion.service.js). Every
+-- update that changes what the model sees (persona, traits, prompts, model
+-- settings) is stored as an immutable numbered snapshot with a field diff.
+-- Rollback writes a new version with an older snapshot. Sessions follow the
+-- latest version unless chat_sessions.character_version pins one.
+CREATE TABLE IF NOT EXISTS character_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  character_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version > 0),
+  snapshot JSONB NOT NULL,
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb, -- { field: { from, to } } against the previous version
+  note TEXT,
+  rolled_back_from INTEGER, -- set when this version restores an older one
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (character_id, version)
+);
+
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- NULL follows the character's latest version
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS character_version INTEGER;
+
+-- Version 1 for existing characters
+INSERT INTO character_versions (character_id, version, snapshot, note, created_by, created_at)
+SELECT
+  c.id,
+  c.version,
+  jsonb_build_object(
+    'name', c.name,
+    'description', c.description,
+    'persona', c.persona,
+    'character_type', c.character_type,
+    'character_gender', c.character_gender,
+    'first_message', c.first_message,
+    'example_conversations', c.example_conversations,
+    'tags', c.tags,
+    'llm_provider', c.llm_provider,
+    'llm_model', c.llm_model,
+    'generation_settings', c.generation_settings,
+    'flirtiness', c.flirtiness,
+    'shyness', c.shyness,
+    'kindness', c.kindness,
+    'rudeness', c.rudeness,
+    'confidence', c.confidence,
+    'intelligence', c.intelligence,
+    'empathy', c.empathy,
+    'humor', c.humor,
+    'aggression', c.aggression,
+    'openness', c.openness,
+    'extroversion', c.extroversion,
+    'patience', c.patience
+  ),
+  'Initial version',
+  c.creator_id,
+  c.created_at
+FROM characters c
+ON CONFLICT (character_id, version) DO NOTHING;
+
+INSERT INTO schema_migrations (version) VALUES ('036_add_character_versions')
+ON CONFLICT (version) DO NOTHING;
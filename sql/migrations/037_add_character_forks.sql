@@ -0,0 +1,17 @@
+-- Character forks / remixes (src/services/fork.service.js). POST
+-- /api/v1/characters/:id/fork copies a public character into the caller's
+-- private characters; the copy keeps a link to its source and credits the
+-- original creator. Creators can turn remixing off per character.
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS allow_remixes BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS forks_count INTEGER NOT NULL DEFAULT 0;
+
+-- Source character and the version that was copied; the creator is kept
+-- separately so credit survives the source being deleted
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS forked_from UUID REFERENCES characters(id) ON DELETE SET NULL;
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS forked_from_version INTEGER;
+ALTER TABLE characters ADD COLUMN IF NOT EXISTS forked_from_creator_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_characters_forked_from ON characters(forked_from) WHERE forked_from IS NOT NULL;
+
+INSERT INTO schema_migrations (version) VALUES ('037_add_character_forks')
+ON CONFLICT (version) DO NOTHING;
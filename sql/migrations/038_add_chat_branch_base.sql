@@ -0,0 +1,10 @@
+-- Where a branch split off: the active message its first turn followed when
+-- it was archived. Switching branches walks these links back to the message
+-- the branch shares with the active conversation, so a branch is never
+-- joined onto a history it did not follow. NULL for branches that start the
+-- conversation and for branches archived before this column existed.
+ALTER TABLE chat_branches
+  ADD COLUMN IF NOT EXISTS base_message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL;
+
+INSERT INTO schema_migrations (version) VALUES ('038_add_chat_branch_base')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,15 @@
+-- Drop seeded moderation terms that reject ordinary chat: whole-word 'suck',
+-- 'moan', 'screw' and '69' (restrict) and 'cp' (prohibited). Only the seeded
+-- rows go (created_by IS NULL); rules staff added through the API stay.
+DELETE FROM moderation_rules
+WHERE created_by IS NULL
+  AND (category, term) IN (
+    ('sexual', 'suck'),
+    ('sexual', 'moan'),
+    ('sexual', 'screw'),
+    ('sexual', '69'),
+    ('prohibited', 'cp')
+  );
+
+INSERT INTO schema_migrations (version) VALUES ('039_prune_moderation_seed_terms')
+ON CONFLICT (version) DO NOTHING;
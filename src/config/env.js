@@ -15,6 +15,11 @@ const env = {
   CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
   APP_URL: process.env.APP_URL, // optional, for building absolute links in emails
   SECURITY_ALERTS_ENABLED: String(process.env.SECURITY_ALERTS_ENABLED || 'true').toLowerCase() === 'true',
+  // Admin diagnostics (/api/v1/diagnostics): on by default outside production,
+  // off in production unless DIAGNOSTICS_ENABLED=true
+  DIAGNOSTICS_ENABLED: process.env.DIAGNOSTICS_ENABLED
+    ? String(process.env.DIAGNOSTICS_ENABLED).toLowerCase() === 'true'
+    : (process.env.NODE_ENV || 'development') !== 'production',
   // Nudges (random character pings)
   NUDGE_ENABLED: String(process.env.NUDGE_ENABLED || 'false').toLowerCase() === 'true',
   NUDGE_MIN_INACTIVE_HOURS: process.env.NUDGE_MIN_INACTIVE_HOURS || '24',
@@ -23,6 +28,21 @@ const env = {
   NUDGE_TICK_SECONDS: process.env.NUDGE_TICK_SECONDS || '300', // how often the worker ticks
   NUDGE_EMAIL_ENABLED: String(process.env.NUDGE_EMAIL_ENABLED || 'false').toLowerCase() === 'true',
   NUDGE_EMAIL_ONLY_IF_VERIFIED: String(process.env.NUDGE_EMAIL_ONLY_IF_VERIFIED || 'true').toLowerCase() === 'true',
+  // Long-term memory (rolling conversation summaries)
+  SUMMARY_ENABLED: String(process.env.SUMMARY_ENABLED || 'true').toLowerCase() === 'true',
+  SUMMARY_EVERY_TURNS: process.env.SUMMARY_EVERY_TURNS || '6', // refresh after this many new user+assistant turns
+  SUMMARY_MAX_CHARS: process.env.SUMMARY_MAX_CHARS || '1200',
+  // Recommendations job (precomputes GET /characters/recommended per user)
+  RECOMMENDATIONS_ENABLED: String(process.env.RECOMMENDATIONS_ENABLED || 'false').toLowerCase() === 'true',
+  RECOMMENDATIONS_TICK_SECONDS: process.env.RECOMMENDATIONS_TICK_SECONDS || '3600',
+  RECOMMENDATIONS_BATCH_LIMIT: process.env.RECOMMENDATIONS_BATCH_LIMIT || '100', // users per tick
+  RECOMMENDATIONS_REFRESH_HOURS: process.env.RECOMMENDATIONS_REFRESH_HOURS || '24',
+  RECOMMENDATIONS_PER_USER: process.env.RECOMMENDATIONS_PER_USER || '50',
+  // Creator announcements to followers when a character is published (push; email is opt-in)
+  CREATOR_ANNOUNCEMENTS_ENABLED: String(process.env.CREATOR_ANNOUNCEMENTS_ENABLED || 'true').toLowerCase() === 'true',
+  CREATOR_ANNOUNCEMENT_EMAIL_ENABLED: String(process.env.CREATOR_ANNOUNCEMENT_EMAIL_ENABLED || 'false').toLowerCase() === 'true',
+  // Content reports: distinct open reports that hide a public character pending review
+  REPORT_AUTO_HIDE_THRESHOLD: process.env.REPORT_AUTO_HIDE_THRESHOLD || '5',
   
   // JWT
   JWT_SECRET: process.env.JWT_SECRET,
@@ -37,6 +57,24 @@ const env = {
   SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY,
   SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
   
+  // LLM providers: together | openai (any OpenAI-compatible server) | mock (offline, deterministic)
+  // When LLM_PROVIDER is unset: together if TOGETHER_API_KEY is set, else openai if
+  // OPENAI_COMPAT_BASE_URL is set, else mock (outside production only; production
+  // refuses to start)
+  LLM_PROVIDER: process.env.LLM_PROVIDER,
+  // Per-plan targets, e.g. "free=together:meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo,pro=openai:llama3:70b"
+  LLM_PLAN_MODELS: process.env.LLM_PLAN_MODELS || '',
+  OPENAI_COMPAT_BASE_URL: process.env.OPENAI_COMPAT_BASE_URL, // e.g. http://localhost:11434/v1 (Ollama)
+  OPENAI_COMPAT_API_KEY: process.env.OPENAI_COMPAT_API_KEY,
+  OPENAI_COMPAT_MODEL: process.env.OPENAI_COMPAT_MODEL,
+  OPENAI_COMPAT_TIMEOUT_MS: process.env.OPENAI_COMPAT_TIMEOUT_MS || '120000',
+  // Force the context window (tokens) used by the prompt packer; unset = per-model defaults
+  LLM_CONTEXT_TOKENS: process.env.LLM_CONTEXT_TOKENS,
+
+  // Payment webhooks (HMAC secret shared with the provider, or the local stub script)
+  PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS: process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || '300',
+
   // Together AI
   TOGETHER_API_KEY: process.env.TOGETHER_API_KEY,
   
@@ -69,9 +107,9 @@ const env = {
 
 // Validate required environment variables
 const requiredVars = [
-  'JWT_SECRET',
-  'TOGETHER_API_KEY'
-  // Note: Supabase and AWS are optional for initial testing
+  'JWT_SECRET'
+  // Note: Supabase and AWS are optional for initial testing; the LLM provider
+  // is checked when it is first used (see config/llm.js)
 ];
 
 for (const key of requiredVars) {
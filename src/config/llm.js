@@ -0,0 +1,136 @@
+import env from './env.js';
+import * as togetherProvider from './together.js';
+import * as openaiProvider from './openaiCompat.js';
+import * as mockProvider from './mockLLM.js';
+
+// Provider layer behind chatCompletion. Every adapter exposes
+// chatCompletion/chatCompletionStream with OpenAI-shaped results
+// (choices[0].message.content / choices[0].delta.content), plus ping() for
+// diagnostics.
+const PROVIDERS = {
+  together: togetherProvider,
+  openai: openaiProvider,
+  mock: mockProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export function getDefaultProvider() {
+  const configured = String(env.LLM_PROVIDER || '').toLowerCase();
+  if (PROVIDERS[configured]) return configured;
+  // Nothing configured: Together when it has a key, else an OpenAI-compatible server.
+  // The mock echo is only a fallback outside production; a misconfigured
+  // production deploy must fail instead of echoing text back to users.
+  if (togetherProvider.isConfigured()) return 'together';
+  if (openaiProvider.isConfigured()) return 'openai';
+  if (env.NODE_ENV !== 'production') return 'mock';
+  throw new Error('No LLM provider configured: set TOGETHER_API_KEY or OPENAI_COMPAT_BASE_URL (or LLM_PROVIDER=mock for offline replies)');
+}
+
+export function getProvider(name) {
+  const key = String(name || getDefaultProvider()).toLowerCase();
+  const adapter = PROVIDERS[key];
+  if (!adapter) {
+    throw new Error(`Unknown LLM provider: ${key}`);
+  }
+  return adapter;
+}
+
+/**
+ * Chat completion through the selected provider.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options] - model/temperature/max_tokens/... plus `provider`
+ */
+export async function chatCompletion(messages, options = {}) {
+  const { provider, ...rest } = options;
+  return getProvider(provider).chatCompletion(messages, rest);
+}
+
+// Streaming variant: resolves to an async iterable of chunks with choices[0].delta.content
+export async function chatCompletionStream(messages, options = {}) {
+  const { provider, ...rest } = options;
+  return getProvider(provider).chatCompletionStream(messages, rest);
+}
+
+/**
+ * Checks that a provider answers (model listing, no completion is run)
+ * @param {string} [name] - defaults to the configured provider
+ * @returns {Promise<{ provider: string, configured: boolean, model?: string, model_available?: boolean }>}
+ */
+export async function pingProvider(name) {
+  const provider = String(name || getDefaultProvider()).toLowerCase();
+  const adapter = getProvider(provider);
+  if (!adapter.isConfigured()) return { provider, configured: false };
+  return { provider, configured: true, ...(await adapter.ping()) };
+}
+
+// "provider:model" or a bare model name. Only a known provider prefix is split
+// off, so Ollama-style names like "llama3:8b" stay intact.
+export function parseModelTarget(spec) {
+  const value = String(spec || '').trim();
+  if (!value) return {};
+  const sep = value.indexOf(':');
+  if (sep > 0 && PROVIDERS[value.slice(0, sep).toLowerCase()]) {
+    const model = value.slice(sep + 1).trim();
+    return { provider: value.slice(0, sep).toLowerCase(), ...(model && { model }) };
+  }
+  return { model: value };
+}
+
+// LLM_PLAN_MODELS="free=together:meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo,pro=openai:llama3:70b"
+function planTargets() {
+  const map = {};
+  String(env.LLM_PLAN_MODELS || '').split(',').forEach((pair) => {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) return;
+    map[pair.slice(0, eq).trim().toLowerCase()] = parseModelTarget(pair.slice(eq + 1));
+  });
+  return map;
+}
+
+/**
+ * Picks provider/model for a reply: the character's own setting wins, then the
+ * user's plan mapping (LLM_PLAN_MODELS), then the defaults.
+ * @param {Object} context
+ * @param {Object} [context.character] - row with llm_provider / llm_model
+ * @param {string} [context.plan] - user_profiles.plan
+ * @returns {{ provider?: string, model?: string }} options to spread into chatCompletion
+ */
+export function resolveModelTarget({ character, plan } = {}) {
+  if (character?.llm_provider || character?.llm_model) {
+    return {
+      ...(character.llm_provider && { provider: character.llm_provider }),
+      ...(character.llm_model && { model: character.llm_model })
+    };
+  }
+  const byPlan = plan ? planTargets()[String(plan).toLowerCase()] : null;
+  return byPlan ? { ...byPlan } : {};
+}
+
+// Context windows (tokens) by model name pattern; first match wins
+const CONTEXT_WINDOWS = [
+  [/llama-3\.[123]|llama3\.[123]/i, 131072],
+  [/llama-?3/i, 8192],
+  [/mixtral-8x7b/i, 32768],
+  [/mistral/i, 32768],
+  [/qwen2\.5|qwen2/i, 32768],
+  [/gemma-?2/i, 8192],
+  [/gpt-4o|gpt-4\.1|gpt-4-turbo/i, 128000],
+  [/mock/i, 8192]
+];
+const FALLBACK_CONTEXT_TOKENS = 8192;
+
+/**
+ * Context length for a provider/model pair. LLM_CONTEXT_TOKENS overrides
+ * everything (useful for local servers started with a smaller -c/--ctx-size).
+ * @param {{ provider?: string, model?: string }} target
+ * @returns {{ model: string, contextLength: number }}
+ */
+export function getContextWindow({ provider, model } = {}) {
+  const adapter = getProvider(provider);
+  const resolved = model || adapter.DEFAULT_MODEL || '';
+  const override = parseInt(env.LLM_CONTEXT_TOKENS || '', 10);
+  if (override > 0) return { model: resolved, contextLength: override };
+  const hit = CONTEXT_WINDOWS.find(([re]) => re.test(resolved));
+  return { model: resolved, contextLength: hit ? hit[1] : FALLBACK_CONTEXT_TOKENS };
+}
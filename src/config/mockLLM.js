@@ -0,0 +1,60 @@
+// Deterministic offline provider: the same messages always produce the same
+// reply, with no network calls. Useful for local development and tests.
+
+export const name = 'mock';
+
+export const DEFAULT_MODEL = 'mock-echo';
+
+export function isConfigured() {
+  return true;
+}
+
+// Small stable hash so replies vary by input but never between runs
+function hash(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+const ACTIONS = ['*smiles*', '*nods*', '*tilts head*', '*laughs softly*'];
+
+function mockReply(messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const lastUser = [...list].reverse().find(m => m.role === 'user');
+  const said = String(lastUser?.content || '').trim().slice(0, 200);
+  const action = ACTIONS[hash(JSON.stringify(list)) % ACTIONS.length];
+  return said ? `${action} You said: "${said}"` : `${action} Hello!`;
+}
+
+function completion(content, model) {
+  return {
+    id: `mock-${hash(content).toString(16)}`,
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+  };
+}
+
+export async function chatCompletion(messages, options = {}) {
+  let content = mockReply(messages);
+  if (options.max_tokens) content = content.slice(0, Math.max(1, options.max_tokens * 4));
+  return completion(content, options.model || DEFAULT_MODEL);
+}
+
+// Yields the reply word by word in the streaming chunk shape
+export async function chatCompletionStream(messages, options = {}) {
+  const { choices } = await chatCompletion(messages, options);
+  const words = choices[0].message.content.split(/(?<=\s)/);
+  return (async function* () {
+    for (const word of words) {
+      yield { choices: [{ index: 0, delta: { content: word } }] };
+    }
+  })();
+}
+
+export async function ping() {
+  return { model: DEFAULT_MODEL, model_available: true };
+}
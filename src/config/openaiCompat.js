@@ -0,0 +1,108 @@
+import axios from 'axios';
+import env from './env.js';
+
+// Adapter for any OpenAI-compatible /v1/chat/completions server
+// (llama.cpp server, Ollama, vLLM, LM Studio, OpenAI itself).
+// Responses keep the OpenAI shape, which is what callers already read.
+
+export const name = 'openai';
+
+export const DEFAULT_MODEL = env.OPENAI_COMPAT_MODEL || 'llama3';
+
+export function isConfigured() {
+  return !!env.OPENAI_COMPAT_BASE_URL;
+}
+
+function endpoint(path = 'chat/completions') {
+  if (!isConfigured()) {
+    throw new Error('OPENAI_COMPAT_BASE_URL is not set in environment variables');
+  }
+  // Accept both http://host:port and http://host:port/v1
+  const base = String(env.OPENAI_COMPAT_BASE_URL).replace(/\/+$/, '');
+  return /\/v1$/.test(base) ? `${base}/${path}` : `${base}/v1/${path}`;
+}
+
+function headers() {
+  return {
+    'Content-Type': 'application/json',
+    ...(env.OPENAI_COMPAT_API_KEY && { Authorization: `Bearer ${env.OPENAI_COMPAT_API_KEY}` })
+  };
+}
+
+const timeoutMs = () => Math.max(1000, parseInt(env.OPENAI_COMPAT_TIMEOUT_MS || '120000', 10));
+
+function buildBody(messages, options) {
+  return {
+    temperature: options.temperature ?? (0.85 + Math.random() * 0.15), // 0.85–1.0, like the Together adapter
+    max_tokens: 1000,
+    ...options,
+    model: options.model || DEFAULT_MODEL,
+    messages
+  };
+}
+
+// Surface the server's error message instead of axios' generic one
+function toError(err) {
+  const detail = err?.response?.data?.error?.message || err?.response?.data?.error || err?.message;
+  const e = new Error(`OpenAI-compatible provider error: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+  e.statusCode = err?.response?.status;
+  return e;
+}
+
+export async function chatCompletion(messages, options = {}) {
+  try {
+    const { data } = await axios.post(endpoint(), buildBody(messages, options), {
+      headers: headers(),
+      timeout: timeoutMs()
+    });
+    return data;
+  } catch (err) {
+    throw toError(err);
+  }
+}
+
+// Parses the SSE body ("data: {...}" lines, terminated by "data: [DONE]")
+// into the same chunk objects the Together SDK yields.
+async function* readSSE(stream) {
+  let buffer = '';
+  for await (const part of stream) {
+    buffer += part.toString('utf8');
+    let nl;
+    while ((nl = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      try {
+        yield JSON.parse(payload);
+      } catch {
+        // ignore keep-alives / partial garbage
+      }
+    }
+  }
+}
+
+export async function chatCompletionStream(messages, options = {}) {
+  try {
+    const response = await axios.post(endpoint(), { ...buildBody(messages, options), stream: true }, {
+      headers: headers(),
+      timeout: timeoutMs(),
+      responseType: 'stream'
+    });
+    return readSSE(response.data);
+  } catch (err) {
+    throw toError(err);
+  }
+}
+
+// Reachability check for diagnostics: lists models, no tokens spent
+export async function ping({ timeout = 5000 } = {}) {
+  try {
+    const { data } = await axios.get(endpoint('models'), { headers: headers(), timeout });
+    const models = Array.isArray(data?.data) ? data.data.map(m => m.id) : [];
+    return { model: DEFAULT_MODEL, models: models.slice(0, 20), model_available: models.includes(DEFAULT_MODEL) };
+  } catch (err) {
+    throw toError(err);
+  }
+}
@@ -0,0 +1,82 @@
+// Subscription plan definitions. user_profiles.plan holds one of these ids;
+// unknown or expired plans resolve to DEFAULT_PLAN.
+//
+// Limits (null = unlimited):
+//   daily_messages            user messages sent per UTC day
+//   characters                characters a user may own
+//   tts_chars_daily           characters synthesized by TTS per UTC day
+//   avatar_generations_daily  AI avatar generations per UTC day
+//   llm_tokens_daily          LLM tokens (prompt + completion) per UTC day, all features
+//   context_tokens            cap on the prompt context window
+// model_access:
+//   standard  the plan's model (LLM_PLAN_MODELS) or the provider default
+//   all       also honours a character's own llm_provider / llm_model
+
+export const DEFAULT_PLAN = 'free';
+
+export const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    price_cents: 0,
+    model_access: 'standard',
+    limits: {
+      daily_messages: 50,
+      characters: 3,
+      tts_chars_daily: 2000,
+      avatar_generations_daily: 2,
+      llm_tokens_daily: 150000,
+      context_tokens: 8192
+    }
+  },
+  plus: {
+    id: 'plus',
+    name: 'Plus',
+    price_cents: 999,
+    model_access: 'standard',
+    limits: {
+      daily_messages: 500,
+      characters: 25,
+      tts_chars_daily: 30000,
+      avatar_generations_daily: 15,
+      llm_tokens_daily: 1500000,
+      context_tokens: 32768
+    }
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    price_cents: 2499,
+    model_access: 'all',
+    limits: {
+      daily_messages: null,
+      characters: 100,
+      tts_chars_daily: 200000,
+      avatar_generations_daily: 50,
+      llm_tokens_daily: null,
+      context_tokens: null
+    }
+  }
+};
+
+export const PLAN_IDS = Object.keys(PLANS);
+
+/**
+ * Plan definition by id (falls back to the default plan)
+ * @param {string} planId
+ */
+export function getPlan(planId) {
+  return PLANS[String(planId || '').toLowerCase()] || PLANS[DEFAULT_PLAN];
+}
+
+/**
+ * Plan id in effect for a profile row (plan, plan_expires_at)
+ */
+export function effectivePlanId(profile) {
+  const id = String(profile?.plan || '').toLowerCase();
+  if (!PLANS[id]) return DEFAULT_PLAN;
+  if (profile?.plan_expires_at && new Date(profile.plan_expires_at).getTime() <= Date.now()) {
+    return DEFAULT_PLAN;
+  }
+  return id;
+}
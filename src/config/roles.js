@@ -0,0 +1,17 @@
+// Account roles (user_profiles.role). Routes gate on these with
+// restrictTo(...) from src/middleware/auth.middleware.js.
+//   user       regular account
+//   moderator  user search/suspension, character hiding, flagged content, stats
+//   admin      everything, including role changes, plans and moderation rules
+
+export const ROLES = ['user', 'moderator', 'admin'];
+
+export const DEFAULT_ROLE = 'user';
+
+// Roles allowed into /api/v1/admin
+export const STAFF_ROLES = ['moderator', 'admin'];
+
+/**
+ * Rank for comparisons: staff may only act on accounts ranked below them
+ */
+export const roleRank = (role) => Math.max(0, ROLES.indexOf(role));
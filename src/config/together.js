@@ -3,13 +3,26 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-if (!process.env.TOGETHER_API_KEY) {
-  throw new Error('TOGETHER_API_KEY is not set in environment variables');
+// Together adapter for the provider layer in ./llm.js. The SDK client is
+// created on first use so the app can boot without TOGETHER_API_KEY when
+// another provider is configured.
+let together = null;
+
+export const name = 'together';
+
+export function isConfigured() {
+  return !!process.env.TOGETHER_API_KEY;
 }
 
-export const together = new Together({
-  apiKey: process.env.TOGETHER_API_KEY
-});
+export function getTogetherClient() {
+  if (!isConfigured()) {
+    throw new Error('TOGETHER_API_KEY is not set in environment variables');
+  }
+  if (!together) {
+    together = new Together({ apiKey: process.env.TOGETHER_API_KEY });
+  }
+  return together;
+}
 
 // Prefer a serverless-available model by default; allow env override
 // You can set TOGETHER_MODEL to pin a specific model
@@ -33,9 +46,10 @@ export async function chatCompletion(messages, options = {}) {
   const candidates = Array.from(new Set([preferred, ...SERVERLESS_FALLBACKS]));
   let lastErr;
 
+  const client = getTogetherClient();
   for (const model of candidates) {
     try {
-      return await together.chat.completions.create({
+      return await client.chat.completions.create({
         model,
         messages,
         temperature: baseTemp,
@@ -60,3 +74,47 @@ export async function chatCompletion(messages, options = {}) {
   // If we exhausted candidates, throw the last error for visibility
   throw lastErr || new Error('Together.ai chat completion failed with no available models');
 }
+
+// Streaming variant: resolves to an async iterable of Together chunks
+// (each with choices[0].delta.content). Model fallback happens before the
+// first chunk is read, so callers only ever see one model's stream.
+export async function chatCompletionStream(messages, options = {}) {
+  const baseTemp = options.temperature ?? (0.85 + Math.random() * 0.15); // 0.85–1.0
+
+  const preferred = options.model || DEFAULT_MODEL;
+  const candidates = Array.from(new Set([preferred, ...SERVERLESS_FALLBACKS]));
+  let lastErr;
+
+  const client = getTogetherClient();
+  for (const model of candidates) {
+    try {
+      return await client.chat.completions.create({
+        model,
+        messages,
+        temperature: baseTemp,
+        max_tokens: 1000,
+        ...options,
+        model,
+        stream: true
+      });
+    } catch (err) {
+      const msg = err?.message || '';
+      const code = err?.error?.error?.code || err?.error?.code || err?.code;
+      const isNotAvailable =
+        code === 'model_not_available' || /non-serverless/i.test(msg) || /create and start a new dedicated endpoint/i.test(msg);
+      lastErr = err;
+      if (isNotAvailable) {
+        continue;
+      }
+      throw err;
+    }
+  }
+  throw lastErr || new Error('Together.ai chat completion stream failed with no available models');
+}
+
+// Reachability check for diagnostics: lists models, no tokens spent
+export async function ping() {
+  const models = await getTogetherClient().models.list();
+  const ids = (Array.isArray(models) ? models : models?.data || []).map(m => m.id);
+  return { model: DEFAULT_MODEL, models: ids.length, model_available: ids.includes(DEFAULT_MODEL) };
+}
@@ -0,0 +1,249 @@
+import * as adminService from '../services/admin.service.js';
+import * as moderationService from '../services/moderation.service.js';
+import * as reportsService from '../services/reports.service.js';
+
+/**
+ * @desc    Search accounts by username, email, name or phone
+ * @route   GET /api/v1/admin/users?q=&role=&status=active|suspended|closed&page=&limit=
+ * @access  Private (moderator, admin)
+ */
+export const searchUsers = async (req, res, next) => {
+  try {
+    const { q, role, status, page, limit } = req.query;
+    const result = await adminService.searchUsers({ q, role, status, page, limit });
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    One account with plan usage, character count and recent staff actions
+ * @route   GET /api/v1/admin/users/:userId
+ * @access  Private (moderator, admin)
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const detail = await adminService.getUserDetail(req.params.userId);
+    res.status(200).json({ status: 'success', data: detail });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Suspend an account (blocks login, API and socket access)
+ * @route   POST /api/v1/admin/users/:userId/suspend  { reason? }
+ * @access  Private (moderator, admin)
+ */
+export const suspendUser = async (req, res, next) => {
+  try {
+    const user = await adminService.suspendUser(req.user, req.params.userId, req.body?.reason);
+    res.status(200).json({ status: 'success', data: { user } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Lift a suspension or reopen a closed account
+ * @route   POST /api/v1/admin/users/:userId/reactivate  { reason? }
+ * @access  Private (moderator, admin)
+ */
+export const reactivateUser = async (req, res, next) => {
+  try {
+    const user = await adminService.reactivateUser(req.user, req.params.userId, req.body?.reason);
+    res.status(200).json({ status: 'success', data: { user } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change an account's role
+ * @route   PUT /api/v1/admin/users/:userId/role  { role: user|moderator|admin }
+ * @access  Private (admin)
+ */
+export const setUserRole = async (req, res, next) => {
+  try {
+    const user = await adminService.setUserRole(req.user, req.params.userId, req.body?.role);
+    res.status(200).json({ status: 'success', data: { user } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Characters for review
+ * @route   GET /api/v1/admin/characters?q=&visibility=&hidden=true|false&creator_id=&page=&limit=
+ * @access  Private (moderator, admin)
+ */
+export const listCharacters = async (req, res, next) => {
+  try {
+    const { q, visibility, hidden, creator_id, page, limit } = req.query;
+    const result = await adminService.listCharacters({ q, visibility, hidden, creatorId: creator_id, page, limit });
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Hide a character from everyone but its creator
+ * @route   POST /api/v1/admin/characters/:id/hide  { reason? }
+ * @access  Private (moderator, admin)
+ */
+export const hideCharacter = async (req, res, next) => {
+  try {
+    const character = await adminService.hideCharacter(req.user, req.params.id, req.body?.reason);
+    res.status(200).json({ status: 'success', data: { character } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Undo a hide
+ * @route   POST /api/v1/admin/characters/:id/unhide  { reason? }
+ * @access  Private (moderator, admin)
+ */
+export const unhideCharacter = async (req, res, next) => {
+  try {
+    const character = await adminService.unhideCharacter(req.user, req.params.id, req.body?.reason);
+    res.status(200).json({ status: 'success', data: { character } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Make a public character private
+ * @route   POST /api/v1/admin/characters/:id/unpublish  { reason? }
+ * @access  Private (moderator, admin)
+ */
+export const unpublishCharacter = async (req, res, next) => {
+  try {
+    const character = await adminService.unpublishCharacter(req.user, req.params.id, req.body?.reason);
+    res.status(200).json({ status: 'success', data: { character } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Content flagged or blocked by moderation, unreviewed first by default
+ * @route   GET /api/v1/admin/flagged?reviewed=false&decision=&category=&stage=&before=&limit=
+ * @access  Private (moderator, admin)
+ */
+export const listFlaggedContent = async (req, res, next) => {
+  try {
+    const { category, stage, decision, before, limit } = req.query;
+    const reviewed = req.query.reviewed ?? 'false';
+    const logs = await moderationService.listLogs({ category, stage, decision, reviewed, before, limit });
+    res.status(200).json({ status: 'success', results: logs.length, data: { logs } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark flagged content as reviewed
+ * @route   POST /api/v1/admin/flagged/:logId/review  { note? }
+ * @access  Private (moderator, admin)
+ */
+export const reviewFlaggedContent = async (req, res, next) => {
+  try {
+    const log = await moderationService.reviewLog(req.params.logId, req.user.id, req.body?.note);
+    await adminService.recordAdminAction(req.user.id, 'moderation_log.review', 'moderation_log', log.id, {
+      reason: log.review_note
+    });
+    res.status(200).json({ status: 'success', data: { log } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    User reports queue (open reports oldest first)
+ * @route   GET /api/v1/admin/reports?status=open|actioned|dismissed&target_type=character|message&character_id=&reason=&limit=&offset=
+ * @access  Private (moderator, admin)
+ */
+export const listReports = async (req, res, next) => {
+  try {
+    const { status, target_type, character_id, reason, limit, offset } = req.query;
+    const { reports, total } = await reportsService.listReports({
+      status: status || 'open',
+      targetType: target_type,
+      characterId: character_id,
+      reason,
+      limit,
+      offset
+    });
+    res.status(200).json({ status: 'success', results: reports.length, total, data: { reports } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close a report and the other open reports on the same target
+ * @route   POST /api/v1/admin/reports/:reportId/resolve  { status: actioned|dismissed, note?, hide_character? }
+ * @access  Private (moderator, admin)
+ */
+export const resolveReport = async (req, res, next) => {
+  try {
+    const result = await reportsService.resolveReport(req.user, req.params.reportId, req.body || {});
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Nudges sent per day and how many got a reply
+ * @route   GET /api/v1/admin/stats/nudges?days=7
+ * @access  Private (moderator, admin)
+ */
+export const getNudgeStats = async (req, res, next) => {
+  try {
+    const stats = await adminService.getNudgeStats({ days: req.query.days });
+    res.status(200).json({ status: 'success', data: stats });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Metered usage per day and metric
+ * @route   GET /api/v1/admin/stats/usage?days=7
+ * @access  Private (moderator, admin)
+ */
+export const getUsageStats = async (req, res, next) => {
+  try {
+    const stats = await adminService.getUsageStats({ days: req.query.days });
+    res.status(200).json({ status: 'success', data: stats });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Staff action audit log
+ * @route   GET /api/v1/admin/actions?target_type=&target_id=&actor_id=&before=&limit=
+ * @access  Private (admin)
+ */
+export const listAdminActions = async (req, res, next) => {
+  try {
+    const { target_type, target_id, actor_id, before, limit } = req.query;
+    const actions = await adminService.listAdminActions({
+      targetType: target_type,
+      targetId: target_id,
+      actorId: actor_id,
+      before,
+      limit
+    });
+    res.status(200).json({ status: 'success', results: actions.length, data: { actions } });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,7 +3,10 @@ import { promisify } from 'util';
 import bcrypt from 'bcryptjs';
 import axios from 'axios';
 import { userDB } from '../config/supabaseClient.js';
-import AppError from '../utils/appError.js';
+import AppError, { AdultContentRequiredError } from '../utils/appError.js';
+import { ADULT_AGE, ageFromBirthDate, isVerifiedAdult, adultContentStatus } from '../utils/adultContent.js';
+import { getUsageSummary } from '../services/entitlements.service.js';
+import { assertAccountActive } from '../middleware/auth.middleware.js';
 import env from '../config/env.js';
 import { uploadToS3, deleteFromS3, getKeyFromUrl } from '../config/s3.js';
 import path from 'path';
@@ -887,10 +890,8 @@ export const login = async (req, res, next) => {
       return next(new AppError('Incorrect email/username/phone or password', 401));
     }
 
-    // 2.5) Check if account is deactivated (soft deleted)
-    if (user.hasOwnProperty('is_active') && user.is_active === false) {
-      return next(new AppError('This account is closed. Please contact support to reopen.', 403));
-    }
+    // 2.5) Check if account is suspended or deactivated (soft deleted)
+    assertAccountActive(user);
 
     // 3) Check if password is correct
     const isPasswordCorrect = await bcrypt.compare(password, user.password);
@@ -939,7 +940,8 @@ export const getCurrentUser = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        user
+        user,
+        adult_content: adultContentStatus(user)
       }
     });
   } catch (error) {
@@ -947,12 +949,95 @@ export const getCurrentUser = async (req, res, next) => {
   }
 };
 
+// Current plan, quota consumption with reset times and today's usage ledger
+export const getMyUsage = async (req, res, next) => {
+  try {
+    const usage = await getUsageSummary(req.user.id);
+    res.status(200).json({ status: 'success', data: usage });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record the user's date of birth for the adult content gate. The date is
+// locked once recorded so it cannot be retried with a different value.
+export const verifyAge = async (req, res, next) => {
+  try {
+    const { birth_date } = req.body || {};
+    if (req.user.age_verified_at) {
+      return next(new AppError('Your age has already been verified', 400));
+    }
+    if (!req.user.is_verified) {
+      return next(new AppError('Verify your email or phone number before verifying your age', 403));
+    }
+    if (typeof birth_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(birth_date)) {
+      return next(new AppError('birth_date must be a date in YYYY-MM-DD format', 400));
+    }
+    const age = ageFromBirthDate(birth_date);
+    if (age === null || age < 0 || age > 120) {
+      return next(new AppError('Please provide a valid birth date', 400));
+    }
+    // The age declared at signup must agree with the birth date, give or take
+    // a birthday and the years since the account was created
+    const declared = parseInt(req.user.age, 10);
+    if (!Number.isNaN(declared)) {
+      if (declared < ADULT_AGE) {
+        return next(new AdultContentRequiredError(`You must be ${ADULT_AGE} or older to verify your age`));
+      }
+      const accountYears = req.user.created_at ? ageFromBirthDate(req.user.created_at) : 0;
+      if (age < declared - 1 || age > declared + 1 + Math.max(accountYears || 0, 0)) {
+        return next(new AppError('This birth date does not match the age on your account', 400));
+      }
+    }
+
+    const updated = await userDB.updateProfile(req.user.id, {
+      birth_date,
+      age_verified_at: new Date().toISOString(),
+      age_verification_method: 'self_declared'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { adult_content: adultContentStatus(updated) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Opt in to (or out of) NSFW characters and prompts. Opting in needs a
+// verified age of 18 or older; opting out is always allowed.
+export const updateAdultContent = async (req, res, next) => {
+  try {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return next(new AppError('enabled must be true or false', 400));
+    }
+    if (enabled && !isVerifiedAdult(req.user)) {
+      return next(new AdultContentRequiredError(`You must verify that you are ${ADULT_AGE} or older to enable adult content`));
+    }
+
+    const updated = await userDB.updateProfile(req.user.id, {
+      adult_content_enabled: enabled,
+      adult_content_updated_at: new Date().toISOString()
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { adult_content: adultContentStatus(updated) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update user data
 export const updateUser = async (req, res, next) => {
   try {
     // Filter out unwanted field names that are not allowed to be updated
     const filteredBody = {};
-    const allowedFields = ['first_name', 'last_name', 'email', 'phone_number', 'gender', 'age', 'username'];
+    // age is set at signup only; the adult content gate relies on it
+    const allowedFields = ['first_name', 'last_name', 'email', 'phone_number', 'gender', 'username'];
     
     Object.keys(req.body).forEach(key => {
       if (allowedFields.includes(key)) {
@@ -1050,10 +1135,8 @@ export const protect = async (req, res, next) => {
       return next(new AppError('The user belonging to this token no longer exists.', 401));
     }
 
-    // 3.5) Block access if the account is deactivated (soft deleted)
-    if (currentUser.hasOwnProperty('is_active') && currentUser.is_active === false) {
-      return next(new AppError('This account is closed. Please contact support to reopen.', 403));
-    }
+    // 3.5) Block access if the account is suspended or deactivated (soft deleted)
+    assertAccountActive(currentUser);
 
     // 4) Check if user changed password after the token was issued
     if (currentUser.password_changed_at) {
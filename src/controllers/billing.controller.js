@@ -0,0 +1,66 @@
+import { PLANS } from '../config/plans.js';
+import * as billingService from '../services/billing.service.js';
+import * as entitlementsService from '../services/entitlements.service.js';
+import { SIGNATURE_HEADER } from '../utils/webhookSignature.js';
+
+/**
+ * @desc    List subscription plans and their limits
+ * @route   GET /api/v1/billing/plans
+ * @access  Public
+ */
+export const listPlans = (req, res) => {
+  res.status(200).json({ status: 'success', data: { plans: Object.values(PLANS) } });
+};
+
+/**
+ * @desc    Payment provider webhook (signed subscription events)
+ * @route   POST /api/v1/billing/webhook
+ * @access  Public (x-payment-signature)
+ */
+export const paymentWebhook = async (req, res, next) => {
+  try {
+    billingService.assertValidSignature(req.rawBody, req.headers[SIGNATURE_HEADER]);
+    const result = await billingService.handlePaymentEvent(req.body);
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Grant a plan to a user (optionally until a date)
+ * @route   POST /api/v1/billing/admin/users/:userId/plan  { plan, expires_at?, note? }
+ * @access  Private (admin)
+ */
+export const grantUserPlan = async (req, res, next) => {
+  try {
+    const { plan, expires_at, note } = req.body || {};
+    const profile = await entitlementsService.grantPlan(req.params.userId, plan, {
+      source: 'admin',
+      expiresAt: expires_at || null,
+      grantedBy: req.user.id,
+      reference: note ? String(note).slice(0, 500) : null
+    });
+    res.status(200).json({ status: 'success', data: { user: profile } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    A user's plan, usage and plan change history
+ * @route   GET /api/v1/billing/admin/users/:userId/plan
+ * @access  Private (admin)
+ */
+export const getUserPlan = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const [summary, grants] = await Promise.all([
+      entitlementsService.getUsageSummary(userId),
+      entitlementsService.listPlanGrants(userId)
+    ]);
+    res.status(200).json({ status: 'success', data: { ...summary, grants } });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,20 @@
 import supabase from '../config/supabaseClient.js';
-import AppError from '../utils/appError.js';
+import AppError, { AdultContentRequiredError } from '../utils/appError.js';
 import { v4 as uuidv4 } from 'uuid';
-import { uploadToS3, deleteFromS3 } from '../utils/s3.js';
+import { uploadToS3, deleteFromS3, getOwnObjectKey, getObjectBuffer } from '../utils/s3.js';
 import { generateImageWithStability } from '../utils/stability.js';
-import { processImage, getImageOutputConfig } from '../utils/imageProcessor.js';
+import { processImage, getImageOutputConfig, renderCardPng } from '../utils/imageProcessor.js';
 import { formatCharacterData, validateCharacterData } from '../utils/characterUtils.js';
+import { normalizeGenerationSettings } from '../utils/generationSettings.js';
+import { canAccessAdultContent, isNSFWCharacter } from '../utils/adultContent.js';
+import { isPng, readPngCard, writePngCard, cardToCharacter, characterToCard } from '../utils/characterCard.js';
+import * as loreService from '../services/lore.service.js';
+import * as reportsService from '../services/reports.service.js';
+import * as discoveryService from '../services/discovery.service.js';
+import * as creatorService from '../services/creator.service.js';
+import * as versionService from '../services/characterVersion.service.js';
+import * as forkService from '../services/fork.service.js';
+import { assertCanCreateCharacter, assertDailyLimit, recordUsage } from '../services/entitlements.service.js';
 
 // Basic gender helper used when generating default first messages
 function getGenderInfo(gender) {
@@ -121,6 +131,19 @@ export const shareCharacter = async (req, res, next) => {
   }
 };
 
+// Report a public character to moderators ({ reason, details? })
+export const reportCharacter = async (req, res, next) => {
+  try {
+    const report = await reportsService.reportCharacter(req.user, req.params.id, req.body || {});
+    res.status(201).json({
+      status: 'success',
+      data: { report: { id: report.id, reason: report.reason, status: report.status, created_at: report.created_at } }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Register a use event and increment counter
 export const useCharacter = async (req, res, next) => {
   try {
@@ -149,6 +172,31 @@ export const useCharacter = async (req, res, next) => {
   }
 };
 
+// Fork (remix) a public character into the caller's private characters ({ name? })
+export const forkCharacter = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { character, source } = await forkService.forkCharacter(req.user, id, { name: req.body?.name });
+
+    if (source.creator_id !== req.user.id) {
+      await forkService.refreshForkCount(id);
+      await recomputePopularityScore(id);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        character: {
+          ...formatCharacterResponse(character, req.user.id),
+          forked_from_credit: await forkService.getForkCredit(character)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Public feed of popular characters
 export const getPopularFeed = async (req, res, next) => {
   try {
@@ -156,10 +204,17 @@ export const getPopularFeed = async (req, res, next) => {
     const limit = Math.min(50, parseInt(req.query.limit || '12', 10));
     const offset = (page - 1) * limit;
 
-    const { data: items, error, count } = await supabase
+    let query = supabase
       .from('characters')
       .select('*', { count: 'exact' })
       .eq('visibility', 'public')
+      .is('hidden_at', null);
+    // NSFW characters are only listed for verified, opted-in adults
+    if (!canAccessAdultContent(req.user)) {
+      query = query.eq('nsfw_enabled', false);
+    }
+
+    const { data: items, error, count } = await query
       .order('popularity_score', { ascending: false })
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
@@ -185,6 +240,155 @@ export const getPopularFeed = async (req, res, next) => {
 };
 
 
+// Public discovery: full-text search (q), tag/type/gender/NSFW filters and the
+// relevance, new, trending (last 24h of uses) and top liked orderings, with
+// cursor pagination
+export const discoverCharacters = async (req, res, next) => {
+  try {
+    const { q, tags, type, gender, nsfw, sort, cursor, limit } = req.query;
+    const { items, sort: order, limit: size, next_cursor, hasMore } = await discoveryService.discoverCharacters(req.user, {
+      q, tags, type, gender, nsfw, sort, cursor, limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        items: items.map(c => formatCharacterResponse(c, req.user.id)),
+        sort: order,
+        pagination: { limit: size, next_cursor, hasMore }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Tag facets with counts for the same filters as discovery
+export const getDiscoveryTags = async (req, res, next) => {
+  try {
+    const { q, tags, type, gender, nsfw, limit } = req.query;
+    const facets = await discoveryService.getTagFacets(req.user, { q, tags, type, gender, nsfw, limit });
+    res.status(200).json({ status: 'success', results: facets.length, data: { tags: facets } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Personalized "for you" characters (precomputed by the recommendations job);
+// falls back to popular characters until the user has any
+export const getRecommendedCharacters = async (req, res, next) => {
+  try {
+    const { items, source } = await discoveryService.getRecommendations(req.user, { limit: req.query.limit });
+    res.status(200).json({
+      status: 'success',
+      results: items.length,
+      data: {
+        source,
+        items: items.map(c => formatCharacterResponse(c, req.user.id))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// New public characters from creators the user follows (?cursor=&limit=)
+export const getFollowingFeed = async (req, res, next) => {
+  try {
+    const { items, next_cursor } = await creatorService.getFollowingFeed(req.user, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.status(200).json({
+      status: 'success',
+      results: items.length,
+      data: {
+        items: items.map(c => formatCharacterResponse(c, req.user.id)),
+        next_cursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Changelog of a character (?before=<version>&limit=); anyone who can see the character
+export const listCharacterVersions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { character } = await checkCharacterAccess(id, req.user.id);
+    const versions = await versionService.listVersions(id, { before: req.query.before, limit: req.query.limit });
+    res.status(200).json({
+      status: 'success',
+      results: versions.length,
+      data: { current_version: character.version || 1, versions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// One version with its full snapshot
+export const getCharacterVersion = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    await checkCharacterAccess(id, req.user.id);
+    const result = await versionService.getVersion(id, version);
+    res.status(200).json({ status: 'success', data: { version: result } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Field diff of a version against the previous one, or ?against=<version>
+export const diffCharacterVersion = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    await checkCharacterAccess(id, req.user.id);
+    const diff = await versionService.compareVersions(id, version, req.query.against);
+    res.status(200).json({ status: 'success', data: diff });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore an older version as a new version (owner only; { note? })
+export const rollbackCharacter = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    await checkCharacterAccess(id, req.user.id, true);
+
+    const { data: current } = await supabase
+      .from('characters')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (!current) throw new AppError('Character not found', 404);
+
+    const { character, version: newVersion, changes } = await versionService.rollbackToVersion(
+      current, version, req.user.id, req.body?.note
+    );
+    res.status(200).json({
+      status: 'success',
+      data: {
+        character: formatCharacterResponse(character, req.user.id),
+        version: newVersion,
+        changes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Columns an owner may set through PUT /characters/:id (traits are parsed
+// separately; avatars only change through the upload/generate endpoints)
+const UPDATABLE_FIELDS = [
+  'name', 'description', 'persona', 'character_type', 'character_gender',
+  'visibility', 'nsfw_enabled', 'allow_remixes', 'tags', 'first_message', 'example_conversations',
+  'llm_provider', 'llm_model', 'generation_settings'
+];
+
 // Format character response with personality traits and metadata
 const formatCharacterResponse = (character, userId) => {
   const formatted = formatCharacterData(character);
@@ -198,7 +402,7 @@ const formatCharacterResponse = (character, userId) => {
 const checkCharacterAccess = async (characterId, userId, requireOwner = false) => {
   const { data: character, error } = await supabase
     .from('characters')
-    .select('creator_id, visibility')
+    .select('creator_id, visibility, hidden_at, published_at, version, forked_from')
     .eq('id', characterId)
     .single();
 
@@ -207,6 +411,10 @@ const checkCharacterAccess = async (characterId, userId, requireOwner = false) =
   }
 
   const isOwner = userId && character.creator_id === userId;
+  // Hidden by staff: only the creator still sees it
+  if (character.hidden_at && !isOwner) {
+    throw new AppError('Character not found', 404);
+  }
   const isPublic = character.visibility === 'public';
   
   // Check if user has explicit access
@@ -242,7 +450,7 @@ async function recomputePopularityScore(characterId) {
   // Fetch needed fields
   const { data: c } = await supabase
     .from('characters')
-    .select('id, likes_count, shares_count, uses_count, created_at')
+    .select('id, likes_count, shares_count, uses_count, forks_count, created_at')
     .eq('id', characterId)
     .single();
   if (!c) return;
@@ -250,6 +458,7 @@ async function recomputePopularityScore(characterId) {
   const likes = Number(c.likes_count || 0);
   const shares = Number(c.shares_count || 0);
   const uses = Number(c.uses_count || 0);
+  const forks = Number(c.forks_count || 0);
   const createdAt = new Date(c.created_at);
   const ageHours = Math.max(0, (Date.now() - createdAt.getTime()) / 36e5);
 
@@ -257,11 +466,12 @@ async function recomputePopularityScore(characterId) {
   const W_LIKE = 3.0;
   const W_SHARE = 5.0;
   const W_USE = 1.0;
+  const W_FORK = 4.0;
 
   // Freshness bonus decays over ~72h
   const freshness = 25 / (1 + ageHours / 72);
 
-  const score = W_LIKE * likes + W_SHARE * shares + W_USE * uses + freshness;
+  const score = W_LIKE * likes + W_SHARE * shares + W_USE * uses + W_FORK * forks + freshness;
 
   await supabase
     .from('characters')
@@ -281,9 +491,13 @@ export const createCharacter = async (req, res, next) => {
       character_gender = 'other',
       visibility = 'private',
       nsfw_enabled = false,
+      allow_remixes = true,
       tags = [],
       first_message,
       example_conversations = [],
+      llm_provider,
+      llm_model,
+      generation_settings,
       // Extract personality traits from request body
       // These will be whatever the user provides, or undefined if not provided
       flirtiness,
@@ -310,6 +524,9 @@ export const createCharacter = async (req, res, next) => {
       first_message,
       tags,
       example_conversations,
+      llm_provider,
+      llm_model,
+      generation_settings,
       // Include personality traits for validation
       flirtiness,
       shyness,
@@ -328,6 +545,12 @@ export const createCharacter = async (req, res, next) => {
     if (!isValid) {
       throw new AppError(`Validation failed: ${errors.join(', ')}`, 400);
     }
+
+    // Only verified, opted-in adults may create NSFW characters
+    if (isNSFWCharacter({ nsfw_enabled }) && !canAccessAdultContent(req.user)) {
+      throw new AdultContentRequiredError('Verify your age and enable adult content before creating NSFW characters.');
+    }
+    await assertCanCreateCharacter(req.user.id);
     
     // Set default first message based on character type and gender if not provided
     let initialFirstMessage = first_message;
@@ -376,9 +599,14 @@ export const createCharacter = async (req, res, next) => {
       character_gender,
       visibility,
       nsfw_enabled,
+      allow_remixes: allow_remixes !== false && allow_remixes !== 'false',
       tags: Array.isArray(tags) ? tags : [],
       first_message: initialFirstMessage || null,
       example_conversations: Array.isArray(example_conversations) ? example_conversations : [],
+      llm_provider: llm_provider || null,
+      llm_model: llm_model || null,
+      generation_settings: normalizeGenerationSettings(generation_settings),
+      published_at: visibility === 'public' ? new Date() : null,
       updated_at: new Date()
     };
     
@@ -397,6 +625,11 @@ export const createCharacter = async (req, res, next) => {
 
     if (error) throw error;
 
+    await versionService.recordInitialVersion(character, req.user.id);
+
+    // Tell followers (not awaited)
+    if (character.visibility === 'public') creatorService.announceCharacterPublished(character);
+
     res.status(201).json({
       status: 'success',
       data: {
@@ -423,10 +656,17 @@ export const getCharacter = async (req, res, next) => {
 
     if (error) throw error;
 
+    if (isNSFWCharacter(character) && !canAccessAdultContent(req.user)) {
+      throw new AdultContentRequiredError();
+    }
+
     res.status(200).json({
       status: 'success',
       data: {
-        character: formatCharacterResponse(character, userId)
+        character: {
+          ...formatCharacterResponse(character, userId),
+          forked_from_credit: await forkService.getForkCredit(character)
+        }
       }
     });
   } catch (error) {
@@ -438,7 +678,7 @@ export const getCharacter = async (req, res, next) => {
 export const updateCharacter = async (req, res, next) => {
   try {
     const { id } = req.params;
-    await checkCharacterAccess(id, req.user.id, true); // Only owner can update
+    const { character: current } = await checkCharacterAccess(id, req.user.id, true); // Only owner can update
 
     // Process personality traits - only include those that are provided
     const personalityTraits = {};
@@ -458,34 +698,48 @@ export const updateCharacter = async (req, res, next) => {
       }
     });
 
-    // Prepare updates with personality traits
-    const updates = { 
-      ...req.body,
-      ...personalityTraits,
-      updated_at: new Date() 
-    };
-    
-    // Don't allow updating creator_id
-    delete updates.creator_id;
+    // Prepare updates from the editable fields plus the parsed personality traits.
+    // Anything else a client sends back (ids, counters, the staff-controlled
+    // hidden state, publish time, fork lineage, the version counter, generated
+    // columns such as search_vector) is ignored; version_note only labels the new version
+    const updates = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    Object.assign(updates, personalityTraits, { updated_at: new Date() });
+
+    if (updates.allow_remixes !== undefined) {
+      updates.allow_remixes = updates.allow_remixes !== false && updates.allow_remixes !== 'false';
+    }
+
+    if (updates.visibility === 'public' && current.hidden_at) {
+      throw new AppError('This character was hidden by a moderator and cannot be made public', 403);
+    }
+
+    if (isNSFWCharacter(updates) && !canAccessAdultContent(req.user)) {
+      throw new AdultContentRequiredError('Verify your age and enable adult content before enabling NSFW for a character.');
+    }
     
     // If we're updating character data, validate it
     const needsValidation = [
       'name', 'description', 'persona', 'character_type', 
-      'character_gender', 'first_message', 'tags', 'example_conversations'
+      'character_gender', 'first_message', 'tags', 'example_conversations',
+      'llm_provider', 'llm_model', 'generation_settings'
     ].some(field => field in updates);
     
+    // Full current row: fills in missing fields for validation and is the
+    // base of the version diff
+    const { data: currentCharacter } = await supabase
+      .from('characters')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (!currentCharacter) {
+      throw new AppError('Character not found', 404);
+    }
+
     if (needsValidation) {
-      // Get current character data to fill in missing fields
-      const { data: currentCharacter } = await supabase
-        .from('characters')
-        .select('*')
-        .eq('id', id)
-        .single();
-      
-      if (!currentCharacter) {
-        throw new AppError('Character not found', 404);
-      }
-      
       // Create a complete character object with updates applied
       const updatedCharacter = {
         ...currentCharacter,
@@ -515,14 +769,25 @@ export const updateCharacter = async (req, res, next) => {
         : [];
     }
 
-    const { data: character, error } = await supabase
-      .from('characters')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .single();
+    if (updates.generation_settings !== undefined) {
+      updates.generation_settings = normalizeGenerationSettings(updates.generation_settings);
+    }
 
-    if (error) throw error;
+    // An empty provider/model clears the override
+    ['llm_provider', 'llm_model'].forEach((field) => {
+      if (updates[field] === '') updates[field] = null;
+    });
+
+    // First time public: announced to followers once
+    const firstPublish = updates.visibility === 'public' && current.visibility !== 'public' && !current.published_at;
+    if (firstPublish) updates.published_at = new Date();
+
+    // Saved as a new version when persona, traits, prompts or model settings change
+    const { character } = await versionService.commitCharacterUpdate(currentCharacter, updates, req.user.id, {
+      note: req.body.version_note
+    });
+
+    if (firstPublish) creatorService.announceCharacterPublished(character);
 
     res.status(200).json({
       status: 'success',
@@ -539,7 +804,7 @@ export const updateCharacter = async (req, res, next) => {
 export const deleteCharacter = async (req, res, next) => {
   try {
     const { id } = req.params;
-    await checkCharacterAccess(id, req.user.id, true); // Only owner can delete
+    const { character } = await checkCharacterAccess(id, req.user.id, true); // Only owner can delete
 
     const { error } = await supabase
       .from('characters')
@@ -548,6 +813,16 @@ export const deleteCharacter = async (req, res, next) => {
 
     if (error) throw error;
 
+    // A deleted fork no longer counts towards its source
+    if (character.forked_from) {
+      try {
+        await forkService.refreshForkCount(character.forked_from);
+        await recomputePopularityScore(character.forked_from);
+      } catch (e) {
+        console.warn('Failed to refresh fork count:', e?.message || e);
+      }
+    }
+
     res.status(204).json({
       status: 'success',
       data: null
@@ -576,6 +851,11 @@ export const listCharacters = async (req, res, next) => {
       query = query.eq('character_type', type);
     }
 
+    // Hidden while the user lacks adult content access (e.g. after opting out)
+    if (!canAccessAdultContent(req.user)) {
+      query = query.eq('nsfw_enabled', false);
+    }
+
     if (search) {
       query = query.ilike('name', `%${search}%`);
     }
@@ -697,6 +977,7 @@ export const generateCharacterAvatar = async (req, res, next) => {
     if (!prompt || !prompt.trim()) {
       throw new AppError('Prompt is required', 400);
     }
+    await assertDailyLimit(req.user.id, 'avatar_generations');
 
     // Fetch existing avatar URL to delete after successful replacement
     let oldAvatarUrl = null;
@@ -712,6 +993,7 @@ export const generateCharacterAvatar = async (req, res, next) => {
     const { buffer, contentType } = await generateImageWithStability({
       prompt: prompt.trim(), output_format, width, height, seed, model
     });
+    await recordUsage(req.user.id, 'avatar_generations');
 
     const ext = contentType === 'image/png' ? 'png' : (contentType === 'image/jpeg' ? 'jpg' : 'webp');
     const fileName = `${uuidv4()}.${ext}`;
@@ -747,3 +1029,254 @@ export const generateCharacterAvatar = async (req, res, next) => {
     next(error);
   }
 };
+
+// List the caller's lorebooks (shareable between their characters)
+export const listLorebooks = async (req, res, next) => {
+  try {
+    const lorebooks = await loreService.listOwnLorebooks(req.user.id);
+    res.status(200).json({ status: 'success', results: lorebooks.length, data: { lorebooks } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create an empty lorebook owned by the caller
+export const createLorebook = async (req, res, next) => {
+  try {
+    const { name, description } = req.body || {};
+    const lorebook = await loreService.createLorebook(req.user.id, { name, description });
+    res.status(201).json({ status: 'success', data: { lorebook } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get lorebooks (with entries) attached to a character (owner only)
+export const getCharacterLore = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await checkCharacterAccess(id, req.user.id, true);
+
+    const lorebooks = await loreService.getCharacterLore(id);
+    res.status(200).json({ status: 'success', data: { lorebooks } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a lore entry to the character's default (or a given attached) lorebook (owner only)
+export const createLoreEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await checkCharacterAccess(id, req.user.id, true);
+
+    const { data: character } = await supabase
+      .from('characters')
+      .select('id, name')
+      .eq('id', id)
+      .single();
+
+    const { lorebookId, keywords, content, priority, enabled } = req.body || {};
+    const entry = await loreService.createEntry(character, req.user.id, { lorebookId, keywords, content, priority, enabled });
+    res.status(201).json({ status: 'success', data: { entry } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a lore entry (owner only)
+export const updateLoreEntry = async (req, res, next) => {
+  try {
+    const { id, entryId } = req.params;
+    await checkCharacterAccess(id, req.user.id, true);
+
+    const { keywords, content, priority, enabled } = req.body || {};
+    const entry = await loreService.updateEntry(id, entryId, req.user.id, { keywords, content, priority, enabled });
+    res.status(200).json({ status: 'success', data: { entry } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a lore entry (owner only)
+export const deleteLoreEntry = async (req, res, next) => {
+  try {
+    const { id, entryId } = req.params;
+    await checkCharacterAccess(id, req.user.id, true);
+
+    await loreService.deleteEntry(id, entryId, req.user.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach one of the caller's lorebooks to a character (owner only)
+export const attachLorebook = async (req, res, next) => {
+  try {
+    const { id, lorebookId } = req.params;
+    await checkCharacterAccess(id, req.user.id, true);
+
+    await loreService.attachLorebook(id, lorebookId, req.user.id);
+    res.status(200).json({ status: 'success', message: 'Lorebook attached' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Detach a lorebook from a character (owner only)
+export const detachLorebook = async (req, res, next) => {
+  try {
+    const { id, lorebookId } = req.params;
+    await checkCharacterAccess(id, req.user.id, true);
+
+    await loreService.detachLorebook(id, lorebookId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Import a TavernAI / SillyTavern character card (V1/V2 JSON or PNG with a "chara" chunk)
+export const importCharacter = async (req, res, next) => {
+  try {
+    await assertCanCreateCharacter(req.user.id);
+    let card = null;
+    let avatarBuffer = null;
+
+    if (req.file) {
+      if (isPng(req.file.buffer)) {
+        card = readPngCard(req.file.buffer);
+        if (!card) throw new AppError('PNG does not contain character card data', 400);
+        avatarBuffer = req.file.buffer;
+      } else {
+        try {
+          card = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (_) {
+          throw new AppError('Card file must be a PNG card or JSON', 400);
+        }
+      }
+    } else if (req.body && typeof req.body === 'object') {
+      card = req.body.card || req.body;
+    }
+
+    let mapped;
+    try {
+      mapped = cardToCharacter(card);
+    } catch (e) {
+      throw new AppError(e.message || 'Invalid character card', 400);
+    }
+    const { character: fields, lore, card_metadata } = mapped;
+
+    const { isValid, errors } = validateCharacterData(fields);
+    if (!isValid) {
+      throw new AppError(`Validation failed: ${errors.join(', ')}`, 400);
+    }
+
+    const id = uuidv4();
+    let avatarUrl = '';
+    if (avatarBuffer) {
+      const processedImage = await processImage(avatarBuffer, { maxWidth: 800, quality: 80 });
+      const { contentType, fileExtension } = getImageOutputConfig();
+      const uploadResult = await uploadToS3({
+        Key: `avatars/${id}/${uuidv4()}.${fileExtension}`,
+        Body: processedImage,
+        ContentType: contentType,
+        CacheControl: 'max-age=31536000'
+      });
+      avatarUrl = uploadResult.url;
+    }
+
+    const characterData = {
+      character_type: 'other',
+      character_gender: 'other',
+      ...fields,
+      id,
+      creator_id: req.user.id,
+      avatar_url: avatarUrl,
+      visibility: 'private',
+      nsfw_enabled: false,
+      first_message: fields.first_message || `Hi, I'm ${fields.name}.`,
+      card_metadata,
+      updated_at: new Date()
+    };
+
+    const { data: character, error } = await supabase
+      .from('characters')
+      .insert(characterData)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await versionService.recordInitialVersion(character, req.user.id, 'Imported from character card');
+
+    // Embedded character_book entries go into the character's default lorebook
+    let importedLore = 0;
+    for (const entry of lore) {
+      try {
+        await loreService.createEntry(character, req.user.id, entry);
+        importedLore += 1;
+      } catch (e) {
+        console.warn('Skipping lore entry from card:', e?.message || e);
+      }
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        character: formatCharacterResponse(character, req.user.id),
+        lore_entries_imported: importedLore
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Export a character as a Character Card V2 (owner only); ?format=json|png
+export const exportCharacter = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'png'].includes(format)) {
+      throw new AppError('Format must be json or png', 400);
+    }
+    await checkCharacterAccess(id, req.user.id, true);
+
+    const { data: character, error } = await supabase
+      .from('characters')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+
+    const lorebooks = await loreService.getCharacterLore(id);
+    const card = characterToCard(character, lorebooks.flatMap(b => b.entries || []));
+    const baseName = String(character.name || 'character').replace(/[^\w.-]+/g, '_');
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+      return res.status(200).json(card);
+    }
+
+    // Only avatars stored in our bucket are embedded; anything else gets the placeholder
+    let avatarBuffer = null;
+    const avatarKey = character.avatar_url ? getOwnObjectKey(character.avatar_url) : null;
+    if (avatarKey) {
+      try {
+        avatarBuffer = await getObjectBuffer(avatarKey, { maxBytes: 5 * 1024 * 1024 });
+      } catch (e) {
+        console.warn('Failed to fetch avatar for card export:', e?.message || e);
+      }
+    }
+
+    const png = writePngCard(await renderCardPng(avatarBuffer), card);
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.png"`);
+    res.status(200).send(png);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,15 +1,67 @@
-import AppError from '../utils/appError.js';
+import AppError, { AdultContentRequiredError } from '../utils/appError.js';
+import { canAccessAdultContent, isNSFWCharacter } from '../utils/adultContent.js';
 import * as chatService from '../services/chat.service.js';
+import * as summaryService from '../services/summary.service.js';
+import * as reportsService from '../services/reports.service.js';
+import * as versionService from '../services/characterVersion.service.js';
 import supabase from '../config/supabaseClient.js';
+import { MIN_GROUP_SIZE, MAX_GROUP_SIZE, ROUTING_MODES } from '../services/groupChat.service.js';
+
+// Sessions may use public characters, the user's own, or ones shared with them.
+// NSFW characters additionally need a verified, opted-in adult.
+const assertCharacterAccess = async (characterId, user) => {
+  const userId = user.id;
+  const { data: character, error: charErr } = await supabase
+    .from('characters')
+    .select('id, creator_id, visibility, nsfw_enabled, hidden_at, version')
+    .eq('id', characterId)
+    .single();
+  if (charErr || !character) {
+    throw new AppError('Character not found', 404);
+  }
+
+  const isPublic = character.visibility === 'public';
+  const isOwner = character.creator_id === userId;
+  // Hidden by staff: only the creator may start new chats with it
+  if (character.hidden_at && !isOwner) {
+    throw new AppError('Character not found', 404);
+  }
+  let hasSharedAccess = false;
+  if (!isOwner && !isPublic) {
+    const { count } = await supabase
+      .from('character_shares')
+      .select('*', { count: 'exact', head: true })
+      .eq('character_id', characterId)
+      .eq('user_id', userId);
+    hasSharedAccess = (count || 0) > 0;
+  }
+
+  if (!isPublic && !isOwner && !hasSharedAccess) {
+    throw new AppError('Access denied for this character', 403);
+  }
+  if (isNSFWCharacter(character) && !canAccessAdultContent(user)) {
+    throw new AdultContentRequiredError();
+  }
+  return character;
+};
+
+// characterVersion when creating a session: a number pins that stored version,
+// 'current' pins the character's version right now, omitted or 'latest' follows
+// the latest version
+const resolvePinnedVersion = async (characterId, requested, currentVersion) => {
+  if (requested === undefined || requested === null || requested === '' || requested === 'latest') return null;
+  if (requested === 'current') return currentVersion || 1;
+  return (await versionService.getVersion(characterId, requested)).version;
+};
 
 /**
- * @desc    Create a new chat session
+ * @desc    Create a new chat session ({ characterId, title?, characterVersion? })
  * @route   POST /api/v1/chat/sessions
  * @access  Private
  */
 export const createSession = async (req, res, next) => {
   try {
-    const { characterId, title } = req.body;
+    const { characterId, title, characterVersion } = req.body;
     const userId = req.user.id;
 
     if (!characterId) {
@@ -18,33 +70,12 @@ export const createSession = async (req, res, next) => {
 
     // Enforce access: allow sessions with public characters for any user,
     // or if the user is the owner, or has been shared the character.
-    const { data: character, error: charErr } = await supabase
-      .from('characters')
-      .select('id, creator_id, visibility')
-      .eq('id', characterId)
-      .single();
-    if (charErr || !character) {
-      throw new AppError('Character not found', 404);
-    }
-
-    const isPublic = character.visibility === 'public';
-    const isOwner = character.creator_id === userId;
-    let hasSharedAccess = false;
-    if (!isOwner && !isPublic) {
-      const { count } = await supabase
-        .from('character_shares')
-        .select('*', { count: 'exact', head: true })
-        .eq('character_id', characterId)
-        .eq('user_id', userId);
-      hasSharedAccess = (count || 0) > 0;
-    }
-
-    if (!isPublic && !isOwner && !hasSharedAccess) {
-      throw new AppError('Access denied for this character', 403);
-    }
+    const character = await assertCharacterAccess(characterId, req.user);
 
     // Create session for requesting user only (no mirroring)
-    const created = await chatService.createSession(userId, characterId, title);
+    const created = await chatService.createSession(userId, characterId, title, {
+      characterVersion: await resolvePinnedVersion(characterId, characterVersion, character.version)
+    });
     // Enrich with character details for response
     const session = await chatService.getSession(created.id, userId);
     
@@ -59,6 +90,178 @@ export const createSession = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Create a group chat session with two or more characters
+ * @route   POST /api/v1/chat/sessions/group
+ * @access  Private
+ */
+export const createGroupSession = async (req, res, next) => {
+  try {
+    const { characterIds, title, routingMode = 'round_robin' } = req.body;
+    const userId = req.user.id;
+
+    const ids = Array.isArray(characterIds) ? Array.from(new Set(characterIds.filter(Boolean))) : [];
+    if (ids.length < MIN_GROUP_SIZE || ids.length > MAX_GROUP_SIZE) {
+      throw new AppError(`A group needs between ${MIN_GROUP_SIZE} and ${MAX_GROUP_SIZE} different characters`, 400);
+    }
+    if (!ROUTING_MODES.includes(routingMode)) {
+      throw new AppError(`Routing mode must be one of: ${ROUTING_MODES.join(', ')}`, 400);
+    }
+
+    for (const characterId of ids) {
+      await assertCharacterAccess(characterId, req.user);
+    }
+
+    const created = await chatService.createGroupSession(userId, ids, title || 'Group Chat', { routingMode });
+    const session = await chatService.getSession(created.id, userId);
+
+    res.status(201).json({
+      status: 'success',
+      data: { session }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the cast (characters) of a session
+ * @route   GET /api/v1/chat/sessions/:sessionId/cast
+ * @access  Private
+ */
+export const getSessionCast = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await chatService.getSession(sessionId, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { cast: session.cast, routing_mode: session.is_group ? session.routing_mode : null }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a character to a group session
+ * @route   POST /api/v1/chat/sessions/:sessionId/cast
+ * @access  Private
+ */
+export const addSessionCharacter = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { characterId } = req.body;
+    const userId = req.user.id;
+
+    if (!characterId) {
+      throw new AppError('Character ID is required', 400);
+    }
+    await assertCharacterAccess(characterId, req.user);
+
+    const cast = await chatService.addSessionCharacter(sessionId, userId, characterId);
+    res.status(200).json({ status: 'success', data: { cast } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a character from a group session
+ * @route   DELETE /api/v1/chat/sessions/:sessionId/cast/:characterId
+ * @access  Private
+ */
+export const removeSessionCharacter = async (req, res, next) => {
+  try {
+    const { sessionId, characterId } = req.params;
+    const cast = await chatService.removeSessionCharacter(sessionId, req.user.id, characterId);
+    res.status(200).json({ status: 'success', data: { cast } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change how a group session picks who replies (round_robin | mention | model)
+ * @route   PATCH /api/v1/chat/sessions/:sessionId/routing
+ * @access  Private
+ */
+export const updateSessionRouting = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { routingMode } = req.body;
+
+    if (!routingMode) {
+      throw new AppError('Routing mode is required', 400);
+    }
+
+    const session = await chatService.setSessionRoutingMode(sessionId, req.user.id, routingMode);
+    res.status(200).json({ status: 'success', data: { session } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pin the session's character to a version, or follow the latest again
+ * @route   PUT /api/v1/chat/sessions/:sessionId/character-version  { version: number | null }
+ * @access  Private
+ */
+export const updateSessionCharacterVersion = async (req, res, next) => {
+  try {
+    const { version = null } = req.body || {};
+    const session = await chatService.setSessionCharacterVersion(req.params.sessionId, req.user.id, version);
+    res.status(200).json({ status: 'success', data: { session } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get generation settings for a session (character preset, user override, effective)
+ * @route   GET /api/v1/chat/sessions/:sessionId/generation-settings
+ * @access  Private
+ */
+export const getGenerationSettings = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const settings = await chatService.getSessionGenerationSettings(sessionId, req.user.id);
+    res.status(200).json({ status: 'success', data: settings });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Override the character's generation settings for this session
+ * @route   PUT /api/v1/chat/sessions/:sessionId/generation-settings
+ * @access  Private
+ */
+export const updateGenerationSettings = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const settings = await chatService.updateSessionGenerationSettings(sessionId, req.user.id, req.body || {});
+    res.status(200).json({ status: 'success', data: settings });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Drop the session override and use the character's preset again
+ * @route   DELETE /api/v1/chat/sessions/:sessionId/generation-settings
+ * @access  Private
+ */
+export const resetGenerationSettings = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const settings = await chatService.updateSessionGenerationSettings(sessionId, req.user.id, {});
+    res.status(200).json({ status: 'success', data: settings });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create a new chat session with a PUBLIC character only
  * @route   POST /api/v1/chat/public/sessions
@@ -66,7 +269,7 @@ export const createSession = async (req, res, next) => {
  */
 export const createPublicCharacterSession = async (req, res, next) => {
   try {
-    const { characterId, title } = req.body;
+    const { characterId, title, characterVersion } = req.body;
     const userId = req.user.id;
 
     if (!characterId) {
@@ -76,17 +279,22 @@ export const createPublicCharacterSession = async (req, res, next) => {
     // Ensure character exists and is public
     const { data: character, error: charErr } = await supabase
       .from('characters')
-      .select('id, visibility')
+      .select('id, visibility, nsfw_enabled, hidden_at, version')
       .eq('id', characterId)
       .single();
-    if (charErr || !character) {
+    if (charErr || !character || character.hidden_at) {
       throw new AppError('Character not found', 404);
     }
     if (character.visibility !== 'public') {
       throw new AppError('Only public characters are allowed for this endpoint', 403);
     }
+    if (isNSFWCharacter(character) && !canAccessAdultContent(req.user)) {
+      throw new AdultContentRequiredError();
+    }
 
-    const created = await chatService.createSession(userId, characterId, title);
+    const created = await chatService.createSession(userId, characterId, title, {
+      characterVersion: await resolvePinnedVersion(characterId, characterVersion, character.version)
+    });
     const session = await chatService.getSession(created.id, userId);
 
     res.status(201).json({
@@ -209,7 +417,7 @@ export const getUserSessions = async (req, res, next) => {
 };
 
 /**
- * @desc    Send a message in a chat session
+ * @desc    Send a message in a chat session (add ?stream=1 for SSE token streaming)
  * @route   POST /api/v1/chat/send
  * @access  Private
  */
@@ -222,6 +430,12 @@ export const sendMessage = async (req, res, next) => {
       throw new AppError('Session ID and message are required', 400);
     }
 
+    // Streaming mode: /chat/send?stream=1 answers with Server-Sent Events
+    const stream = String(req.query.stream || '').toLowerCase();
+    if (stream === '1' || stream === 'true') {
+      return streamMessage(req, res, { sessionId, userId, message });
+    }
+
     const result = await chatService.sendMessage(sessionId, userId, message);
     
     res.status(200).json({
@@ -233,6 +447,49 @@ export const sendMessage = async (req, res, next) => {
   }
 };
 
+// Write one SSE frame
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Streams the assistant reply as SSE:
+ *   event: delta  -> { content, character? } (one per token delta; character set in group sessions)
+ *   event: done   -> full sendMessage result incl. saved message ids/order_index
+ *   event: error  -> { message, code?, details? } (code e.g. MODERATION_INPUT_BLOCKED)
+ * Validation errors raised before the stream opens go through next() as usual.
+ */
+const streamMessage = async (req, res, { sessionId, userId, message }) => {
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx) so deltas reach the client immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  try {
+    const result = await chatService.sendMessageStream(sessionId, userId, message, {
+      onDelta: (content, speaker) => writeEvent(res, 'delta', speaker ? { content, character: speaker } : { content }),
+      isAborted: () => closed
+    });
+    if (!closed) writeEvent(res, 'done', result);
+  } catch (error) {
+    if (!closed) {
+      writeEvent(res, 'error', {
+        message: error?.message || 'Failed to generate reply',
+        ...(typeof error?.code === 'string' && { code: error.code }),
+        ...(error?.details && { details: error.details })
+      });
+    }
+  } finally {
+    res.end();
+  }
+};
+
 /**
  * @desc    Get chat history for a session
  * @route   GET /api/v1/chat/sessions/:sessionId/messages
@@ -260,7 +517,7 @@ export const getSessionMessages = async (req, res, next) => {
       throw new AppError('User not authenticated', 401);
     }
 
-    const { messages, pagination } = await chatService.getSessionMessages(
+    const { messages, pagination, cast } = await chatService.getSessionMessages(
       sessionId, 
       userId, 
       { 
@@ -275,7 +532,8 @@ export const getSessionMessages = async (req, res, next) => {
       status: 'success',
       data: {
         messages,
-        pagination
+        pagination,
+        cast
       }
     });
   } catch (error) {
@@ -381,3 +639,216 @@ export const deleteCharacterWithSessions = async (req, res, next) => {
  * @access  Private
  */
 // (duplicate removed)
+
+/**
+ * @desc    Regenerate the last assistant reply; the old and new replies are kept as swipes
+ * @route   POST /api/v1/chat/sessions/:sessionId/regenerate
+ * @access  Private
+ */
+export const regenerateReply = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+
+    if (!sessionId) {
+      throw new AppError('Session ID is required', 400);
+    }
+
+    const result = await chatService.regenerateLastReply(sessionId, userId);
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the alternatives (swipes) stored for an assistant message
+ * @route   GET /api/v1/chat/messages/:messageId/swipes
+ * @access  Private
+ */
+export const getMessageSwipes = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+
+    const result = await chatService.listMessageSwipes(messageId, userId);
+    res.status(200).json({ status: 'success', results: result.swipes.length, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pick which swipe an assistant message shows and feeds into later history
+ * @route   PATCH /api/v1/chat/messages/:messageId/swipes
+ * @access  Private
+ */
+export const selectMessageSwipe = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const swipeIndex = parseInt(req.body?.swipeIndex, 10);
+    const userId = req.user.id;
+
+    if (Number.isNaN(swipeIndex)) {
+      throw new AppError('swipeIndex is required', 400);
+    }
+
+    const result = await chatService.selectMessageSwipe(messageId, userId, swipeIndex);
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Report a character reply to moderators
+ * @route   POST /api/v1/chat/messages/:messageId/report  { reason, details? }
+ * @access  Private
+ */
+export const reportMessage = async (req, res, next) => {
+  try {
+    const report = await reportsService.reportMessage(req.user, req.params.messageId, req.body || {});
+    res.status(201).json({
+      status: 'success',
+      data: { report: { id: report.id, reason: report.reason, status: report.status, created_at: report.created_at } }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Edit a past user message; later turns are archived into a named branch
+ * @route   PATCH /api/v1/chat/messages/:messageId
+ * @access  Private
+ */
+export const editMessage = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { content, branchName } = req.body || {};
+    const userId = req.user.id;
+
+    if (!content || !String(content).trim()) {
+      throw new AppError('Message content is required', 400);
+    }
+
+    const result = await chatService.editUserMessage(messageId, userId, String(content), { branchName });
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List archived branches of a session
+ * @route   GET /api/v1/chat/sessions/:sessionId/branches
+ * @access  Private
+ */
+export const getSessionBranches = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+
+    const branches = await chatService.listBranches(sessionId, userId);
+    res.status(200).json({ status: 'success', results: branches.length, data: { branches } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Make an archived branch the active conversation
+ * @route   POST /api/v1/chat/sessions/:sessionId/branches/:branchId/switch
+ * @access  Private
+ */
+export const switchSessionBranch = async (req, res, next) => {
+  try {
+    const { sessionId, branchId } = req.params;
+    const userId = req.user.id;
+
+    const result = await chatService.switchBranch(sessionId, branchId, userId);
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an archived branch and its messages
+ * @route   DELETE /api/v1/chat/sessions/:sessionId/branches/:branchId
+ * @access  Private
+ */
+export const deleteSessionBranch = async (req, res, next) => {
+  try {
+    const { sessionId, branchId } = req.params;
+    const userId = req.user.id;
+
+    await chatService.deleteBranch(sessionId, branchId, userId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the rolling summary (long-term memory) of a session
+ * @route   GET /api/v1/chat/sessions/:sessionId/summary
+ * @access  Private
+ */
+export const getSessionSummary = async (req, res, next) => {
+  try {
+    const summary = await summaryService.getSessionSummary(req.params.sessionId, req.user.id);
+    res.status(200).json({ status: 'success', data: { summary } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the session summary with user-edited text
+ * @route   PUT /api/v1/chat/sessions/:sessionId/summary
+ * @access  Private
+ */
+export const updateSessionSummary = async (req, res, next) => {
+  try {
+    const { summary } = req.body || {};
+    if (typeof summary !== 'string') {
+      throw new AppError('Summary text is required', 400);
+    }
+
+    const updated = await summaryService.updateSessionSummary(req.params.sessionId, req.user.id, summary);
+    res.status(200).json({ status: 'success', data: { summary: updated } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Regenerate the session summary now
+ * @route   POST /api/v1/chat/sessions/:sessionId/summary/refresh
+ * @access  Private
+ */
+export const refreshSessionSummary = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const refreshed = await summaryService.refreshSessionSummary(sessionId, req.user.id, { force: true });
+    const summary = refreshed || await summaryService.getSessionSummary(sessionId, req.user.id);
+    res.status(200).json({ status: 'success', data: { summary, refreshed: !!refreshed } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset (forget) the session summary
+ * @route   DELETE /api/v1/chat/sessions/:sessionId/summary
+ * @access  Private
+ */
+export const resetSessionSummary = async (req, res, next) => {
+  try {
+    await summaryService.resetSessionSummary(req.params.sessionId, req.user.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
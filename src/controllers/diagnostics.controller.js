@@ -0,0 +1,41 @@
+import * as diagnosticsService from '../services/diagnostics.service.js';
+
+/**
+ * @desc    Run all diagnostics checks, or a comma-separated subset
+ * @route   GET /api/v1/diagnostics?checks=database,redis
+ * @access  Private (admin)
+ */
+export const runDiagnostics = async (req, res, next) => {
+  try {
+    const names = req.query.checks
+      ? String(req.query.checks).split(',').map(s => s.trim()).filter(Boolean)
+      : undefined;
+    const report = await diagnosticsService.runChecks(names);
+    res.status(200).json({ status: 'success', data: report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Names of the available checks
+ * @route   GET /api/v1/diagnostics/checks
+ * @access  Private (admin)
+ */
+export const listChecks = (req, res) => {
+  res.status(200).json({ status: 'success', data: { checks: diagnosticsService.CHECK_NAMES } });
+};
+
+/**
+ * @desc    Run one named check
+ * @route   GET /api/v1/diagnostics/:check
+ * @access  Private (admin)
+ */
+export const runDiagnosticCheck = async (req, res, next) => {
+  try {
+    const result = await diagnosticsService.runCheck(req.params.check);
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    next(error);
+  }
+};
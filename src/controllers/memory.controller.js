@@ -0,0 +1,99 @@
+import AppError from '../utils/appError.js';
+import * as memoryService from '../services/memory.service.js';
+
+/**
+ * @desc    List memories for the user's relationship with a character
+ * @route   GET /api/v1/chat/characters/:characterId/memories?status=active|suggested
+ * @access  Private
+ */
+export const listMemories = async (req, res, next) => {
+  try {
+    const { characterId } = req.params;
+    const { status } = req.query;
+    const memories = await memoryService.listMemories(req.user.id, characterId, { status });
+    res.status(200).json({ status: 'success', results: memories.length, data: { memories } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pin a new fact for this character to remember
+ * @route   POST /api/v1/chat/characters/:characterId/memories
+ * @access  Private
+ */
+export const createMemory = async (req, res, next) => {
+  try {
+    const { characterId } = req.params;
+    const { content, pinned } = req.body || {};
+    if (!content) {
+      throw new AppError('Memory content is required', 400);
+    }
+    const memory = await memoryService.createMemory(req.user.id, characterId, { content, pinned });
+    res.status(201).json({ status: 'success', data: { memory } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Edit, pin/unpin or change the status of a memory
+ * @route   PATCH /api/v1/chat/characters/:characterId/memories/:memoryId
+ * @access  Private
+ */
+export const updateMemory = async (req, res, next) => {
+  try {
+    const { characterId, memoryId } = req.params;
+    const { content, pinned, status } = req.body || {};
+    const memory = await memoryService.updateMemory(req.user.id, characterId, memoryId, { content, pinned, status });
+    res.status(200).json({ status: 'success', data: { memory } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a memory suggested by the model
+ * @route   POST /api/v1/chat/characters/:characterId/memories/:memoryId/accept
+ * @access  Private
+ */
+export const acceptMemory = async (req, res, next) => {
+  try {
+    const { characterId, memoryId } = req.params;
+    const memory = await memoryService.updateMemory(req.user.id, characterId, memoryId, { status: 'active' });
+    res.status(200).json({ status: 'success', data: { memory } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete (or reject a suggested) memory
+ * @route   DELETE /api/v1/chat/characters/:characterId/memories/:memoryId
+ * @access  Private
+ */
+export const deleteMemory = async (req, res, next) => {
+  try {
+    const { characterId, memoryId } = req.params;
+    await memoryService.deleteMemory(req.user.id, characterId, memoryId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Ask the model to suggest new memories from the latest conversation
+ * @route   POST /api/v1/chat/characters/:characterId/memories/suggest
+ * @access  Private
+ */
+export const suggestMemories = async (req, res, next) => {
+  try {
+    const { characterId } = req.params;
+    const { sessionId } = req.body || {};
+    const memories = await memoryService.suggestMemories(req.user.id, characterId, { sessionId });
+    res.status(200).json({ status: 'success', results: memories.length, data: { memories } });
+  } catch (error) {
+    next(error);
+  }
+};
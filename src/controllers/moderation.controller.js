@@ -0,0 +1,72 @@
+import * as moderationService from '../services/moderation.service.js';
+
+/**
+ * @desc    List moderation rules (optionally one category)
+ * @route   GET /api/v1/moderation/rules?category=sexual
+ * @access  Private (admin)
+ */
+export const listRules = async (req, res, next) => {
+  try {
+    const rules = await moderationService.listRules({ category: req.query.category });
+    res.status(200).json({ status: 'success', results: rules.length, data: { rules } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a term to a category. action: block | restrict | flag
+ * @route   POST /api/v1/moderation/rules
+ * @access  Private (admin)
+ */
+export const createRule = async (req, res, next) => {
+  try {
+    const rule = await moderationService.createRule(req.body || {}, req.user.id);
+    res.status(201).json({ status: 'success', data: { rule } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a rule's category, term, action or enabled flag
+ * @route   PATCH /api/v1/moderation/rules/:ruleId
+ * @access  Private (admin)
+ */
+export const updateRule = async (req, res, next) => {
+  try {
+    const rule = await moderationService.updateRule(req.params.ruleId, req.body || {});
+    res.status(200).json({ status: 'success', data: { rule } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a rule
+ * @route   DELETE /api/v1/moderation/rules/:ruleId
+ * @access  Private (admin)
+ */
+export const deleteRule = async (req, res, next) => {
+  try {
+    await moderationService.deleteRule(req.params.ruleId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Recent moderation decisions, newest first
+ * @route   GET /api/v1/moderation/logs?category=&stage=input|output&decision=blocked|masked|flagged&reviewed=&before=&limit=
+ * @access  Private (admin)
+ */
+export const listLogs = async (req, res, next) => {
+  try {
+    const { category, stage, decision, reviewed, before, limit } = req.query;
+    const logs = await moderationService.listLogs({ category, stage, decision, reviewed, before, limit });
+    res.status(200).json({ status: 'success', results: logs.length, data: { logs } });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,66 @@
+import * as creatorService from '../services/creator.service.js';
+import { formatCharacterData } from '../utils/characterUtils.js';
+
+/**
+ * @desc    Creator profile: public characters, total likes and uses, followers
+ * @route   GET /api/v1/users/:username?sort=new|popular&page=&limit=
+ * @access  Public (signed-in viewers also get is_following and NSFW characters if allowed)
+ */
+export const getCreatorProfile = async (req, res, next) => {
+  try {
+    const { sort, page, limit } = req.query;
+    const { profile, characters, pagination } = await creatorService.getCreatorProfile(
+      req.params.username,
+      req.user || null,
+      { sort, page, limit }
+    );
+    res.status(200).json({
+      status: 'success',
+      data: { profile, characters: characters.map(formatCharacterData), pagination }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Follow a creator, or change whether their announcements are sent
+ * @route   POST /api/v1/users/:username/follow  { notify? }
+ * @access  Private
+ */
+export const followCreator = async (req, res, next) => {
+  try {
+    const follow = await creatorService.followCreator(req.user, req.params.username, { notify: req.body?.notify });
+    res.status(200).json({ status: 'success', data: { follow } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unfollow a creator
+ * @route   DELETE /api/v1/users/:username/follow
+ * @access  Private
+ */
+export const unfollowCreator = async (req, res, next) => {
+  try {
+    await creatorService.unfollowCreator(req.user, req.params.username);
+    res.status(200).json({ status: 'success', message: 'Unfollowed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Creators the caller follows
+ * @route   GET /api/v1/users/me/following?before=&limit=
+ * @access  Private
+ */
+export const listFollowing = async (req, res, next) => {
+  try {
+    const creators = await creatorService.listFollowing(req.user.id, { before: req.query.before, limit: req.query.limit });
+    res.status(200).json({ status: 'success', results: creators.length, data: { creators } });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,9 +1,13 @@
 import supabase, { supabaseAdmin } from '../config/supabaseClient.js';
 import env from '../config/env.js';
 import { redisClient } from '../config/redis.js';
-import { chatCompletion } from '../config/together.js';
+import { meteredChatCompletion } from '../services/metering.service.js';
 import { buildMessagesForSession } from '../services/messageBuilder.js';
 import { sendToUser } from '../services/push.service.js';
+import { formatMessages } from '../services/chat.service.js';
+import { emitToSession, emitToUser } from '../services/realtime.service.js';
+import { moderateOutput } from '../services/moderation.service.js';
+import { ContentBlockedError } from '../utils/appError.js';
 
 // Simple jittered sleep
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -15,15 +19,23 @@ export async function generateNudgeViaAI(sessionId, userId) {
     'Length: 6–12 words. Natural, warm, human-like. 1 action like **smiles** is okay.',
     'No questions unless playful and brief. Avoid repetitive phrasing or meta lines.',
   ].join(' ');
-  const { messages } = await buildMessagesForSession(sessionId, userId, userInstruction, {
+  const { messages, modelOptions, usedNSFW } = await buildMessagesForSession(sessionId, userId, userInstruction, {
     includeHistory: true,
     historyLimit: 6,
-    historyCharBudget: 1200,
+    historyTokenBudget: 300,
     polish: true,
   });
-  const resp = await chatCompletion(messages);
+  const resp = await meteredChatCompletion(userId, messages, modelOptions);
   const aiText = resp?.choices?.[0]?.message?.content?.trim();
-  return aiText || '';
+  if (!aiText) return '';
+  // A blocked ping is simply not sent (callers treat '' as "no nudge")
+  try {
+    const { text } = await moderateOutput(aiText, { userId, sessionId, nsfwEnabled: !!usedNSFW });
+    return text;
+  } catch (e) {
+    if (e instanceof ContentBlockedError) return '';
+    throw e;
+  }
 }
 
 // Choose one session per user that’s inactive
@@ -49,6 +61,15 @@ async function findEligibleSessions({ inactiveHours = 24, limit = 50 }) {
     if (!byUser.has(s.user_id)) byUser.set(s.user_id, s);
   }
 
+  // Closed and suspended accounts are never nudged
+  const { data: inactive } = await supabaseAdmin
+    .from('user_profiles')
+    .select('id')
+    .in('id', Array.from(byUser.keys()))
+    .or('is_active.eq.false,suspended_at.not.is.null');
+  (inactive || []).forEach(u => byUser.delete(u.id));
+  if (!byUser.size) return [];
+
   // Fetch characters
   const charIds = Array.from(new Set(Array.from(byUser.values()).map(s => s.character_id).filter(Boolean)));
   let charsById = {};
@@ -69,7 +90,7 @@ async function findEligibleSessions({ inactiveHours = 24, limit = 50 }) {
 }
 
 // Insert an assistant message as a nudge
-export async function insertAssistantMessage(sessionId, content, is_nsfw = false) {
+export async function insertAssistantMessage(sessionId, content, is_nsfw = false, characterId = null) {
   // Get next order_index
   let nextIdx = null;
   try {
@@ -77,15 +98,18 @@ export async function insertAssistantMessage(sessionId, content, is_nsfw = false
       .from('chat_messages')
       .select('order_index')
       .eq('session_id', sessionId)
+      .is('branch_id', null)
       .order('order_index', { ascending: false, nullsFirst: false })
       .limit(1);
     const base = Number(rows?.[0]?.order_index ?? 0);
     nextIdx = base + 1;
   } catch {}
 
-  const { error } = await supabase
+  const { data: row, error } = await supabase
     .from('chat_messages')
-    .insert([{ session_id: sessionId, role: 'assistant', content, is_nsfw, order_index: nextIdx, metadata: { nudge: true } }]);
+    .insert([{ session_id: sessionId, role: 'assistant', content, is_nsfw, order_index: nextIdx, character_id: characterId, metadata: { nudge: true } }])
+    .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata, character_id')
+    .single();
   if (error) throw error;
 
   // Touch session updated_at
@@ -93,6 +117,10 @@ export async function insertAssistantMessage(sessionId, content, is_nsfw = false
     .from('chat_sessions')
     .update({ updated_at: new Date().toISOString() })
     .eq('id', sessionId);
+
+  // Live delivery to clients that have the session open
+  emitToSession(sessionId, 'message:new', { sessionId, message: formatMessages([row])[0] });
+  return row;
 }
 
 // Optional: email ping
@@ -196,7 +224,17 @@ export async function runNudgeTick() {
         content = fallback[Math.floor(Math.random() * fallback.length)];
       }
       try {
-        await insertAssistantMessage(c.sessionId, content, false);
+        const row = await insertAssistantMessage(c.sessionId, content, false, c.characterId || null);
+        // Same shape as GET /notifications/pings items
+        emitToUser(c.userId, 'nudge', {
+          id: row?.id,
+          type: 'nudge',
+          session_id: c.sessionId,
+          character_id: c.characterId || null,
+          title: 'New message',
+          body: content,
+          created_at: row?.created_at || new Date().toISOString(),
+        });
         await maybeSendEmailNudge(c.userId, c.character);
         // Push notification (FCM)
         if (env.PUSH_ENABLED) {
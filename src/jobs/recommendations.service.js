@@ -0,0 +1,352 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import env from '../config/env.js';
+import { redisClient } from '../config/redis.js';
+import { ADULT_PROFILE_FIELDS, canAccessAdultContent } from '../utils/adultContent.js';
+
+// Offline "for you" recommendations. For each recently active user we build a
+// taste profile from liked characters and characters they chat with (tags,
+// type, gender, personality traits), score a pool of public candidates
+// against it, and store the top results in character_recommendations.
+// Characters the user owns, chats with or already liked are never recommended.
+
+const TRAITS = [
+  'flirtiness', 'shyness', 'kindness', 'rudeness', 'confidence',
+  'intelligence', 'empathy', 'humor', 'aggression', 'openness',
+  'extroversion', 'patience'
+];
+
+const CANDIDATE_FIELDS = `id, creator_id, tags, character_type, character_gender, nsfw_enabled, popularity_score, ${TRAITS.join(', ')}`;
+
+// Seed weights: a like is a stronger signal than one chat session
+const W_LIKE = 2;
+const W_SESSION = 1;
+const MAX_SESSION_WEIGHT = 5;
+
+// Score mix; popularity only breaks near-ties between similar characters
+const W_TAGS = 0.5;
+const W_TRAITS = 0.25;
+const W_TYPE = 0.1;
+const W_GENDER = 0.05;
+const W_POPULARITY = 0.1;
+
+const POPULAR_POOL = 300;
+const TAG_POOL = 300;
+const PROFILE_TAGS = 20;
+const ACTIVE_DAYS = 30;
+const USER_PAGE = 200; // users checked per round in findStaleUsers
+const ACTIVITY_ROWS = 1000; // PostgREST's default max rows per response
+
+const normTag = (t) => String(t || '').trim().toLowerCase();
+
+const addWeight = (map, key, w) => {
+  if (key) map.set(key, (map.get(key) || 0) + w);
+};
+
+/**
+ * Weighted taste profile from seed characters
+ * @param {Array<{ character: Object, weight: number }>} seeds
+ */
+export function buildProfile(seeds) {
+  const tags = new Map();
+  const types = new Map();
+  const genders = new Map();
+  const traitSums = {};
+  const traitWeights = {};
+  let total = 0;
+
+  for (const { character: c, weight } of seeds) {
+    total += weight;
+    (Array.isArray(c.tags) ? c.tags : []).forEach(t => addWeight(tags, normTag(t), weight));
+    addWeight(types, c.character_type, weight);
+    addWeight(genders, c.character_gender, weight);
+    for (const trait of TRAITS) {
+      const v = Number(c[trait]);
+      if (Number.isFinite(v)) {
+        traitSums[trait] = (traitSums[trait] || 0) + v * weight;
+        traitWeights[trait] = (traitWeights[trait] || 0) + weight;
+      }
+    }
+  }
+
+  const traits = {};
+  for (const trait of Object.keys(traitSums)) traits[trait] = traitSums[trait] / traitWeights[trait];
+  return { tags, types, genders, traits, total };
+}
+
+// Cosine similarity between the profile's tag weights and a candidate's tag set
+function tagSimilarity(profileTags, candidateTags) {
+  const tags = [...new Set((candidateTags || []).map(normTag).filter(Boolean))];
+  if (!tags.length || !profileTags.size) return { score: 0, shared: [] };
+  let dot = 0;
+  let norm = 0;
+  const shared = [];
+  for (const w of profileTags.values()) norm += w * w;
+  for (const t of tags) {
+    const w = profileTags.get(t);
+    if (w) {
+      dot += w;
+      shared.push(t);
+    }
+  }
+  const score = dot / (Math.sqrt(norm) * Math.sqrt(tags.length));
+  return { score, shared: shared.sort((a, b) => profileTags.get(b) - profileTags.get(a)) };
+}
+
+// 1 - mean absolute difference over the traits both sides have
+function traitSimilarity(profileTraits, candidate) {
+  let diff = 0;
+  let n = 0;
+  for (const [trait, v] of Object.entries(profileTraits)) {
+    const c = Number(candidate[trait]);
+    if (Number.isFinite(c)) {
+      diff += Math.abs(v - c);
+      n += 1;
+    }
+  }
+  return n ? 1 - diff / n : 0;
+}
+
+// Share of the profile's weight on this value (0..1)
+const share = (map, key, total) => (key && total ? (map.get(key) || 0) / total : 0);
+
+/**
+ * Scores candidates against a profile, best first
+ * @param {Object} profile - from buildProfile
+ * @param {Object[]} candidates - characters with CANDIDATE_FIELDS
+ * @param {number} limit
+ * @returns {Array<{ character_id: string, score: number, reasons: Object }>}
+ */
+export function scoreCandidates(profile, candidates, limit) {
+  const maxPopularity = Math.max(0, ...candidates.map(c => Number(c.popularity_score) || 0));
+  return candidates
+    .map((c) => {
+      const tags = tagSimilarity(profile.tags, c.tags);
+      const traits = traitSimilarity(profile.traits, c);
+      const type = share(profile.types, c.character_type, profile.total);
+      const gender = share(profile.genders, c.character_gender, profile.total);
+      const popularity = maxPopularity > 0 ? Math.log1p(Number(c.popularity_score) || 0) / Math.log1p(maxPopularity) : 0;
+      const score = W_TAGS * tags.score + W_TRAITS * traits + W_TYPE * type + W_GENDER * gender + W_POPULARITY * popularity;
+      const reasons = {};
+      if (tags.shared.length) reasons.tags = tags.shared.slice(0, 5);
+      if (traits >= 0.85) reasons.similar_personality = true;
+      if (type >= 0.5) reasons.character_type = c.character_type;
+      return { character_id: c.id, score: Number(score.toFixed(6)), reasons };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Liked characters, and characters from the user's sessions (1:1 and group)
+ * weighted by how many sessions they appear in. Both are excluded from
+ * recommendations, here and in the popular fallback (discovery.service).
+ * @returns {Promise<{ liked: Set<string>, chatted: Map<string, number> }>}
+ */
+export async function loadSignals(userId) {
+  const [{ data: likes }, { data: sessions }] = await Promise.all([
+    supabaseAdmin.from('character_likes').select('character_id').eq('user_id', userId).limit(500),
+    supabaseAdmin.from('chat_sessions').select('id, character_id').eq('user_id', userId)
+      .order('updated_at', { ascending: false }).limit(500)
+  ]);
+
+  const chatted = new Map();
+  (sessions || []).forEach(s => addWeight(chatted, s.character_id, 1));
+  const sessionIds = (sessions || []).map(s => s.id);
+  if (sessionIds.length) {
+    const { data: members } = await supabaseAdmin
+      .from('chat_session_characters')
+      .select('character_id')
+      .in('session_id', sessionIds);
+    (members || []).forEach(m => addWeight(chatted, m.character_id, 1));
+  }
+
+  return { liked: new Set((likes || []).map(l => l.character_id)), chatted };
+}
+
+async function fetchCharacters(ids) {
+  if (!ids.length) return [];
+  const { data, error } = await supabaseAdmin.from('characters').select(CANDIDATE_FIELDS).in('id', ids);
+  if (error) throw new Error('Failed to fetch characters');
+  return data || [];
+}
+
+// Popular public characters plus ones sharing the profile's top tags
+async function fetchCandidates(profile, includeNsfw) {
+  const base = () => {
+    let q = supabaseAdmin
+      .from('characters')
+      .select(CANDIDATE_FIELDS)
+      .eq('visibility', 'public')
+      .is('hidden_at', null);
+    if (!includeNsfw) q = q.eq('nsfw_enabled', false);
+    return q;
+  };
+  const topTags = [...profile.tags.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, PROFILE_TAGS)
+    .map(([t]) => t);
+
+  const [popular, tagged] = await Promise.all([
+    base().order('popularity_score', { ascending: false }).limit(POPULAR_POOL),
+    topTags.length
+      ? base().overlaps('tags', topTags).order('popularity_score', { ascending: false }).limit(TAG_POOL)
+      : Promise.resolve({ data: [] })
+  ]);
+  if (popular.error || tagged.error) throw new Error('Failed to fetch candidates');
+
+  const byId = new Map();
+  [...(popular.data || []), ...(tagged.data || [])].forEach(c => byId.set(c.id, c));
+  return [...byId.values()];
+}
+
+async function replaceRecommendations(userId, rows) {
+  const { error: delErr } = await supabaseAdmin.from('character_recommendations').delete().eq('user_id', userId);
+  if (delErr) throw new Error('Failed to clear recommendations');
+  if (rows.length) {
+    const computedAt = new Date().toISOString();
+    const { error } = await supabaseAdmin
+      .from('character_recommendations')
+      .insert(rows.map(r => ({ ...r, user_id: userId, computed_at: computedAt })));
+    if (error) throw new Error('Failed to save recommendations');
+  }
+  await supabaseAdmin
+    .from('recommendation_runs')
+    .upsert({ user_id: userId, computed_at: new Date().toISOString(), recommendations: rows.length }, { onConflict: 'user_id' });
+}
+
+/**
+ * Recomputes and stores one user's recommendations
+ * @param {string} userId
+ * @returns {Promise<{ recommendations: number }>}
+ */
+export async function computeRecommendationsForUser(userId) {
+  const { data: user, error } = await supabaseAdmin
+    .from('user_profiles')
+    .select(`id, ${ADULT_PROFILE_FIELDS}`)
+    .eq('id', userId)
+    .single();
+  if (error || !user) throw new Error('User not found');
+
+  const { liked, chatted } = await loadSignals(userId);
+  const seedIds = [...new Set([...liked, ...chatted.keys()])];
+  const seeds = (await fetchCharacters(seedIds)).map(c => ({
+    character: c,
+    weight: (liked.has(c.id) ? W_LIKE : 0) + Math.min(MAX_SESSION_WEIGHT, chatted.get(c.id) || 0) * W_SESSION
+  }));
+  if (!seeds.length) {
+    // Nothing to go on yet; the endpoint falls back to popular characters
+    await replaceRecommendations(userId, []);
+    return { recommendations: 0 };
+  }
+
+  const profile = buildProfile(seeds);
+  const candidates = (await fetchCandidates(profile, canAccessAdultContent(user)))
+    .filter(c => c.creator_id !== userId && !chatted.has(c.id) && !liked.has(c.id));
+  const limit = Math.max(1, parseInt(env.RECOMMENDATIONS_PER_USER, 10) || 50);
+  const rows = scoreCandidates(profile, candidates, limit);
+  await replaceRecommendations(userId, rows);
+  return { recommendations: rows.length };
+}
+
+// Users among `ids` with a chat session or a like since `since`. A full
+// response may hide users, so those not seen yet are asked for again.
+async function activeAmong(ids, since) {
+  const active = new Set();
+  for (const [table, column] of [['chat_sessions', 'updated_at'], ['character_likes', 'created_at']]) {
+    let pending = ids.filter(id => !active.has(id));
+    while (pending.length) {
+      const { data, error } = await supabaseAdmin
+        .from(table)
+        .select('user_id')
+        .in('user_id', pending)
+        .gte(column, since)
+        .limit(ACTIVITY_ROWS);
+      if (error) throw new Error('Failed to fetch user activity');
+      (data || []).forEach(r => active.add(r.user_id));
+      if ((data || []).length < ACTIVITY_ROWS) break;
+      pending = pending.filter(id => !active.has(id));
+    }
+  }
+  return active;
+}
+
+/**
+ * Active, non-suspended users whose last run is older than the refresh window
+ * (or who have none). Pages through every user by id so users beyond the most
+ * recently active ones are still reached once those are fresh.
+ * @param {number} limit
+ */
+async function findStaleUsers(limit) {
+  const activeSince = new Date(Date.now() - ACTIVE_DAYS * 24 * 3600 * 1000).toISOString();
+  const refreshHours = Math.max(1, parseInt(env.RECOMMENDATIONS_REFRESH_HOURS, 10) || 24);
+  const freshSince = new Date(Date.now() - refreshHours * 3600 * 1000).toISOString();
+
+  const stale = [];
+  let after = null;
+  while (stale.length < limit) {
+    let query = supabaseAdmin
+      .from('user_profiles')
+      .select('id')
+      .not('is_active', 'is', false)
+      .is('suspended_at', null)
+      .order('id', { ascending: true })
+      .limit(USER_PAGE);
+    if (after) query = query.gt('id', after);
+    const { data: users, error } = await query;
+    if (error) throw new Error('Failed to fetch users');
+    const ids = (users || []).map(u => u.id);
+    if (!ids.length) break;
+    after = ids[ids.length - 1];
+
+    const { data: fresh } = await supabaseAdmin
+      .from('recommendation_runs')
+      .select('user_id')
+      .in('user_id', ids)
+      .gte('computed_at', freshSince);
+    const freshIds = new Set((fresh || []).map(r => r.user_id));
+    const activeIds = await activeAmong(ids.filter(id => !freshIds.has(id)), activeSince);
+    stale.push(...ids.filter(id => activeIds.has(id) && !freshIds.has(id)));
+    if (ids.length < USER_PAGE) break;
+  }
+  return stale.slice(0, limit);
+}
+
+// Lock to avoid overlapping runs across instances
+async function acquireLock(lockKey, ttlSec) {
+  if (!redisClient.isConnected) return true; // no redis, skip lock
+  try {
+    const res = await redisClient.client.set(lockKey, '1', { NX: true, EX: ttlSec });
+    return res === 'OK';
+  } catch { return true; }
+}
+
+/**
+ * One batch of the recommendations job
+ * @param {{ force?: boolean }} [options] - force runs even when RECOMMENDATIONS_ENABLED is off (CLI)
+ * @returns {Promise<{ processed: number, failed: number } | { skipped: true, reason?: string }>}
+ */
+export async function runRecommendationsTick({ force = false } = {}) {
+  if (!env.RECOMMENDATIONS_ENABLED && !force) return { skipped: true };
+  const lockKey = 'recommendations:lock';
+  const gotLock = await acquireLock(lockKey, 600);
+  if (!gotLock) return { skipped: true, reason: 'locked' };
+
+  try {
+    const batchLimit = Math.max(1, parseInt(env.RECOMMENDATIONS_BATCH_LIMIT, 10) || 100);
+    const userIds = await findStaleUsers(batchLimit);
+    let processed = 0;
+    let failed = 0;
+    for (const userId of userIds) {
+      try {
+        await computeRecommendationsForUser(userId);
+        processed += 1;
+      } catch (e) {
+        failed += 1;
+        console.warn(`[recommendations] user ${userId} failed:`, e?.message || e);
+      }
+    }
+    return { processed, failed };
+  } finally {
+    if (redisClient.isConnected) await redisClient.client.del(lockKey).catch(() => {});
+  }
+}
@@ -3,6 +3,57 @@ import { promisify } from 'util';
 import supabase, { userDB } from '../config/supabaseClient.js';
 import AppError from '../utils/appError.js';
 
+/**
+ * Verifies a JWT and loads its user. Shared by `protect` and the socket.io
+ * handshake so both transports apply the same checks.
+ * @param {string} token
+ * @returns {Promise<Object>} the user row
+ * @throws {AppError} 401 when the token is missing/invalid or the user is gone
+ */
+export const verifyAuthToken = async (token) => {
+  if (!token) {
+    throw new AppError('You are not logged in! Please log in to get access.', 401);
+  }
+
+  // 1) Verify token
+  let decoded;
+  try {
+    decoded = await jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid token or session expired', 401);
+  }
+
+  // 2) Check if user still exists
+  const user = await userDB.getUserById(decoded.id);
+
+  if (!user) {
+    throw new AppError('The user belonging to this token no longer exists.', 401);
+  }
+
+  // 3) Check if user changed password after the token was issued
+  if (user.password_changed_at) {
+    const changedTimestamp = new Date(user.password_changed_at).getTime() / 1000;
+    if (decoded.iat < changedTimestamp) {
+      throw new AppError('User recently changed password! Please log in again.', 401);
+    }
+  }
+
+  return user;
+};
+
+/**
+ * Rejects deactivated accounts: suspended by staff, or closed by the user
+ * @throws {AppError} 403
+ */
+export const assertAccountActive = (user) => {
+  if (user?.suspended_at) {
+    throw new AppError('This account has been suspended. Please contact support.', 403);
+  }
+  if (user && Object.prototype.hasOwnProperty.call(user, 'is_active') && user.is_active === false) {
+    throw new AppError('This account is closed. Please contact support to reopen.', 403);
+  }
+};
+
 // Protect routes - require authentication
 export const protect = async (req, res, next) => {
   try {
@@ -17,48 +68,32 @@ export const protect = async (req, res, next) => {
       token = req.cookies.jwt;
     }
 
-    if (!token) {
-      return next(
-        new AppError('You are not logged in! Please log in to get access.', 401)
-      );
-    }
-
-    // 2) Verify token
-    const decoded = await jwt.verify(token, process.env.JWT_SECRET);
-
-    // 3) Check if user still exists
-    const user = await userDB.getUserById(decoded.id);
-
-    if (!user) {
-      return next(
-        new AppError('The user belonging to this token no longer exists.', 401)
-      );
-    }
-
-    // 4) Check if user changed password after the token was issued
-    if (user.password_changed_at) {
-      const changedTimestamp = new Date(user.password_changed_at).getTime() / 1000;
-      if (decoded.iat < changedTimestamp) {
-        return next(
-          new AppError('User recently changed password! Please log in again.', 401)
-        );
-      }
-    }
+    const user = await verifyAuthToken(token);
+    assertAccountActive(user);
 
     // GRANT ACCESS TO PROTECTED ROUTE
     req.user = user;
     res.locals.user = user;
     next();
   } catch (error) {
+    if (error instanceof AppError) return next(error);
     return next(new AppError('Invalid token or session expired', 401));
   }
 };
 
+// Like `protect` when a token is sent; anonymous requests pass through
+// without req.user (public pages that show more to signed-in users)
+export const optionalProtect = async (req, res, next) => {
+  const hasToken = req.headers.authorization?.startsWith('Bearer') || req.cookies?.jwt;
+  if (!hasToken) return next();
+  return protect(req, res, next);
+};
+
 // Restrict to certain roles
 export const restrictTo = (...roles) => {
   return (req, res, next) => {
     // roles is an array of allowed roles ['admin', 'moderator']
-    if (!roles.includes(req.user.role)) {
+    if (!roles.includes(req.user?.role)) {
       return next(
         new AppError('You do not have permission to perform this action', 403)
       );
@@ -17,11 +17,14 @@ export class RateLimitError extends AppError {
   }
 }
 
-// API quota exceeded error
-class QuotaExceededError extends AppError {
-  constructor(message = 'API quota exceeded. Please try again later.') {
+// API quota exceeded error. Usage quotas pass the seconds until their reset
+// and details ({ quota, limit, used, resets_at }) for the client.
+export class QuotaExceededError extends AppError {
+  constructor(message = 'API quota exceeded. Please try again later.', { retryAfter = 300, details } = {}) {
     super(message, 429);
-    this.retryAfter = 300; // 5 minutes
+    this.retryAfter = retryAfter; // 5 minutes unless the quota says otherwise
+    this.code = 'QUOTA_EXCEEDED';
+    if (details) this.details = details;
   }
 }
 
@@ -50,6 +53,13 @@ const handleValidationErrorDB = (err) => {
   return new AppError(message, 400);
 };
 
+// Machine-readable code (e.g. MODERATION_INPUT_BLOCKED) for clients; numeric
+// codes are database errors and stay internal
+const addErrorCode = (err, response) => {
+  if (typeof err.code === 'string') response.code = err.code;
+  if (err.details) response.details = err.details;
+};
+
 const sendErrorDev = (err, res) => {
   const response = {
     status: err.status,
@@ -57,6 +67,7 @@ const sendErrorDev = (err, res) => {
     error: err,
     stack: err.stack,
   };
+  addErrorCode(err, response);
 
   // Add retry-after header for rate limiting
   if (err.statusCode === 429) {
@@ -75,6 +86,7 @@ const sendErrorProd = (err, res) => {
       status: err.status,
       message: err.message,
     };
+    addErrorCode(err, response);
 
     // Add retry-after for rate limiting errors
     if (err.statusCode === 429) {
@@ -115,9 +127,9 @@ export const handleRateLimit = (req, res) => {
   });
 };
 
-// Error handling for API quota exceeded
-export const handleQuotaExceeded = (req, res, next) => {
-  const err = new QuotaExceededError();
+// Error handling for API quota exceeded (pass the QuotaExceededError when there is one)
+export const handleQuotaExceeded = (req, res, next, quotaError) => {
+  const err = quotaError instanceof QuotaExceededError ? quotaError : new QuotaExceededError();
   next(err);
 };
 
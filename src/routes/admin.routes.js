@@ -0,0 +1,38 @@
+import express from 'express';
+import * as adminController from '../controllers/admin.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import { STAFF_ROLES } from '../config/roles.js';
+
+const router = express.Router();
+
+// Moderators and admins; role changes and the audit log are admin only
+router.use(protect, restrictTo(...STAFF_ROLES));
+
+// Users
+router.get('/users', adminController.searchUsers);
+router.get('/users/:userId', adminController.getUser);
+router.post('/users/:userId/suspend', adminController.suspendUser);
+router.post('/users/:userId/reactivate', adminController.reactivateUser);
+router.put('/users/:userId/role', restrictTo('admin'), adminController.setUserRole);
+
+// Characters
+router.get('/characters', adminController.listCharacters);
+router.post('/characters/:id/hide', adminController.hideCharacter);
+router.post('/characters/:id/unhide', adminController.unhideCharacter);
+router.post('/characters/:id/unpublish', adminController.unpublishCharacter);
+
+// User reports queue
+router.get('/reports', adminController.listReports);
+router.post('/reports/:reportId/resolve', adminController.resolveReport);
+
+// Content flagged by moderation
+router.get('/flagged', adminController.listFlaggedContent);
+router.post('/flagged/:logId/review', adminController.reviewFlaggedContent);
+
+// Stats
+router.get('/stats/nudges', adminController.getNudgeStats);
+router.get('/stats/usage', adminController.getUsageStats);
+
+router.get('/actions', restrictTo('admin'), adminController.listAdminActions);
+
+export default router;
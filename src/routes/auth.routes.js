@@ -6,6 +6,9 @@ import {
   getCurrentUser, 
   updateUser, 
   deleteUser,
+  verifyAge,
+  getMyUsage,
+  updateAdultContent,
   uploadAvatar,
   deleteAvatar,
   sendEmailVerification,
@@ -42,6 +45,9 @@ router.put('/me', updateUser);
 router.delete('/me', deleteUser);
 router.post('/me/avatar', uploadSingle('avatar'), uploadAvatar);
 router.delete('/me/avatar', deleteAvatar);
+router.get('/me/usage', getMyUsage);
+router.post('/me/age-verification', verifyAge);
+router.put('/me/adult-content', updateAdultContent);
 
 // Email verification (OTP)
 router.post('/verify/email/send', sendEmailVerification);
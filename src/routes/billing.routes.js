@@ -0,0 +1,18 @@
+import express from 'express';
+import * as billingController from '../controllers/billing.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Public
+router.get('/plans', billingController.listPlans);
+// Signed by the payment provider; server.js keeps the raw body for verification
+router.post('/webhook', billingController.paymentWebhook);
+
+// Admin plan tooling
+router.use('/admin', protect, restrictTo('admin'));
+router.route('/admin/users/:userId/plan')
+  .get(billingController.getUserPlan)
+  .post(billingController.grantUserPlan);
+
+export default router;
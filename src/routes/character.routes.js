@@ -12,9 +12,29 @@ import {
   unlikeCharacter,
   shareCharacter,
   useCharacter,
-  getPopularFeed
+  forkCharacter,
+  reportCharacter,
+  getPopularFeed,
+  discoverCharacters,
+  getDiscoveryTags,
+  getRecommendedCharacters,
+  getFollowingFeed,
+  listCharacterVersions,
+  getCharacterVersion,
+  diffCharacterVersion,
+  rollbackCharacter,
+  listLorebooks,
+  createLorebook,
+  getCharacterLore,
+  createLoreEntry,
+  updateLoreEntry,
+  deleteLoreEntry,
+  attachLorebook,
+  detachLorebook,
+  importCharacter,
+  exportCharacter
 } from '../controllers/character.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
+import { protect, optionalProtect } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -33,21 +53,60 @@ const upload = multer({
   },
 });
 
+// Character cards: PNG with an embedded "chara" chunk or plain JSON
+const cardUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'image/png' || file.mimetype === 'application/json' || /\.(png|json)$/i.test(file.originalname || '')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG or JSON character cards are allowed'), false);
+    }
+  },
+});
+
 // Popular feed (protected)
 router.get('/feed/popular', protect, getPopularFeed);
+router.get('/feed/following', protect, getFollowingFeed);
+
+// Discovery: search, filters and feeds over public characters (protected)
+router.get('/discover', protect, discoverCharacters);
+router.get('/discover/tags', protect, getDiscoveryTags);
+router.get('/recommended', protect, getRecommendedCharacters);
+
+// Caller's lorebooks (protected; declared before /:id)
+router.route('/lorebooks')
+  .get(protect, listLorebooks)
+  .post(protect, createLorebook);
+
+// Character card import (protected; declared before /:id)
+router.post('/import', protect, cardUpload.single('card'), importCharacter);
 
 // Character CRUD routes
 router.route('/')
   .post(protect, createCharacter)
   .get(protect, listCharacters);
 
-// Public: Get character by id
-router.get('/:id', getCharacter);
+// Public: Get character by id (signed-in callers are recognised, so owners
+// see their hidden characters and verified adults their NSFW ones)
+router.get('/:id', optionalProtect, getCharacter);
 
 // Protected: update and delete
 router.put('/:id', protect, updateCharacter);
 router.delete('/:id', protect, deleteCharacter);
 
+// Version history (anyone with access); rollback is owner only
+router.get('/:id/versions', protect, listCharacterVersions);
+router.get('/:id/versions/:version', protect, getCharacterVersion);
+router.get('/:id/versions/:version/diff', protect, diffCharacterVersion);
+router.post('/:id/versions/:version/rollback', protect, rollbackCharacter);
+
+// Character card export (owner only)
+router.get('/:id/export', protect, exportCharacter);
+
 // Upload character avatar (protected)
 router.post('/:id/avatar', protect, upload.single('avatar'), uploadAvatar);
 router.post('/:id/avatar/generate', protect, generateCharacterAvatar);
@@ -58,4 +117,19 @@ router.delete('/:id/like', protect, unlikeCharacter);
 router.post('/:id/share', protect, shareCharacter);
 router.post('/:id/use', protect, useCharacter);
 
+// Fork / remix into the caller's private characters (protected)
+router.post('/:id/fork', protect, forkCharacter);
+router.post('/:id/report', protect, reportCharacter);
+
+// Lorebook / world-info entries (owner only)
+router.route('/:id/lore')
+  .get(protect, getCharacterLore)
+  .post(protect, createLoreEntry);
+router.route('/:id/lore/:entryId')
+  .patch(protect, updateLoreEntry)
+  .delete(protect, deleteLoreEntry);
+router.route('/:id/lorebooks/:lorebookId')
+  .put(protect, attachLorebook)
+  .delete(protect, detachLorebook);
+
 export default router;
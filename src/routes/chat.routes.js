@@ -1,5 +1,6 @@
 import express from 'express';
 import * as chatController from '../controllers/chat.controller.js';
+import * as memoryController from '../controllers/memory.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { chatRateLimiter, standardRateLimiter } from '../middleware/rateLimiter.js';
 
@@ -17,6 +18,10 @@ router.route('/sessions')
   .get(chatController.getUserSessions)
   .delete(chatController.deleteAllUserSessions);
 
+// Group sessions: two or more characters plus the user
+router.route('/sessions/group')
+  .post(chatController.createGroupSession);
+
 // Create a session with a PUBLIC character (no owner mirroring)
 router.route('/public/sessions')
   .post(chatController.createPublicCharacterSession);
@@ -34,16 +39,84 @@ router.route('/sessions/:sessionId/messages')
   .get(chatController.getSessionMessages)
   .delete(chatController.clearSessionMessages);
 
+// Group cast and reply routing
+router.route('/sessions/:sessionId/cast')
+  .get(chatController.getSessionCast)
+  .post(chatController.addSessionCharacter);
+
+router.route('/sessions/:sessionId/cast/:characterId')
+  .delete(chatController.removeSessionCharacter);
+
+router.route('/sessions/:sessionId/routing')
+  .patch(chatController.updateSessionRouting);
+
+// Character version the session talks to (pinned, or null for the latest)
+router.route('/sessions/:sessionId/character-version')
+  .put(chatController.updateSessionCharacterVersion);
+
+// Sampling settings: character preset with an optional per-session user override
+router.route('/sessions/:sessionId/generation-settings')
+  .get(chatController.getGenerationSettings)
+  .put(chatController.updateGenerationSettings)
+  .delete(chatController.resetGenerationSettings);
+
+// Regenerate the last assistant reply (kept as swipes on the same order_index)
+router.route('/sessions/:sessionId/regenerate')
+  .post(chatController.regenerateReply);
+
+// Rolling summary (long-term memory) of a session
+router.route('/sessions/:sessionId/summary')
+  .get(chatController.getSessionSummary)
+  .put(chatController.updateSessionSummary)
+  .delete(chatController.resetSessionSummary);
+
+router.route('/sessions/:sessionId/summary/refresh')
+  .post(chatController.refreshSessionSummary);
+
+// Conversation branches created by editing past user messages
+router.route('/sessions/:sessionId/branches')
+  .get(chatController.getSessionBranches);
+
+router.route('/sessions/:sessionId/branches/:branchId')
+  .delete(chatController.deleteSessionBranch);
+
+router.route('/sessions/:sessionId/branches/:branchId/switch')
+  .post(chatController.switchSessionBranch);
+
 // Clear all messages for a user's chats with a character
 router.route('/characters/:characterId/messages')
   .delete(chatController.clearMessagesForCharacter);
 
+// User-curated memories for the user's relationship with a character
+router.route('/characters/:characterId/memories')
+  .get(memoryController.listMemories)
+  .post(memoryController.createMemory);
+
+router.route('/characters/:characterId/memories/suggest')
+  .post(memoryController.suggestMemories);
+
+router.route('/characters/:characterId/memories/:memoryId')
+  .patch(memoryController.updateMemory)
+  .delete(memoryController.deleteMemory);
+
+router.route('/characters/:characterId/memories/:memoryId/accept')
+  .post(memoryController.acceptMemory);
+
 // Delete a character (owner only) and cascade user's sessions/messages with it
 router.route('/characters/:characterId')
   .delete(chatController.deleteCharacterWithSessions);
 
-// Delete a single message
+// Edit (user messages, branches the conversation) or delete a single message
 router.route('/messages/:messageId')
+  .patch(chatController.editMessage)
   .delete(chatController.deleteMessage);
 
+// Browse and select alternatives for an assistant message
+router.route('/messages/:messageId/swipes')
+  .get(chatController.getMessageSwipes)
+  .patch(chatController.selectMessageSwipe);
+
+// Report a character reply to moderators
+router.post('/messages/:messageId/report', chatController.reportMessage);
+
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import * as diagnosticsController from '../controllers/diagnostics.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Mounted only when env.DIAGNOSTICS_ENABLED (see server.js)
+router.use(protect, restrictTo('admin'));
+
+router.get('/', diagnosticsController.runDiagnostics);
+router.get('/checks', diagnosticsController.listChecks);
+router.get('/:check', diagnosticsController.runDiagnosticCheck);
+
+export default router;
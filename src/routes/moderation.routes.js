@@ -0,0 +1,20 @@
+import express from 'express';
+import * as moderationController from '../controllers/moderation.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Rule lists are edited at runtime here; chat picks changes up within a minute
+router.use(protect, restrictTo('admin'));
+
+router.route('/rules')
+  .get(moderationController.listRules)
+  .post(moderationController.createRule);
+
+router.route('/rules/:ruleId')
+  .patch(moderationController.updateRule)
+  .delete(moderationController.deleteRule);
+
+router.get('/logs', moderationController.listLogs);
+
+export default router;
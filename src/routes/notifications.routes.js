@@ -117,6 +117,7 @@ router.post('/test', protect, async (req, res) => {
       .from('chat_messages')
       .select('id, session_id, role, content, created_at, order_index, metadata')
       .in('session_id', sessionIds)
+      .is('branch_id', null)
       .eq('role', 'assistant')
       .order('created_at', { ascending: false })
       .order('id', { ascending: false })
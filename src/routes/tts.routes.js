@@ -7,6 +7,8 @@ import env from '../config/env.js';
 import { redisClient } from '../config/redis.js';
 import { uploadToS3 } from '../config/s3.js';
 import { supabaseAdmin } from '../config/supabaseClient.js';
+import { assertDailyLimit, recordUsage } from '../services/entitlements.service.js';
+import { QuotaExceededError, handleQuotaExceeded } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
@@ -54,7 +56,7 @@ function buildCacheKey(payload) {
   return `tts:polly:${hash}`;
 }
 
-router.post('/polly', protect, ttsLimiter, async (req, res) => {
+router.post('/polly', protect, ttsLimiter, async (req, res, next) => {
   try {
     const { text, voiceId, engine = 'neural', languageCode, reaction, format = 'mp3' } = req.body || {};
     const messageId = req.body?.messageId || req.body?.message_id || req.query?.messageId || null;
@@ -81,6 +83,15 @@ router.post('/polly', protect, ttsLimiter, async (req, res) => {
       } catch {}
     }
 
+    // Daily quota on synthesized characters (cache hits and reactions are free)
+    const ttsChars = content.length;
+    try {
+      await assertDailyLimit(req.user.id, 'tts_chars', ttsChars);
+    } catch (quotaErr) {
+      if (!(quotaErr instanceof QuotaExceededError)) throw quotaErr;
+      return handleQuotaExceeded(req, res, next, quotaErr);
+    }
+
     // Prepare SSML
     const ssml = useReaction ? useReaction : wrapTextAsSSML(content);
 
@@ -97,6 +108,7 @@ router.post('/polly', protect, ttsLimiter, async (req, res) => {
 
     const result = await polly.send(cmd);
     const audioBuffer = Buffer.from(await result.AudioStream?.transformToByteArray?.() || []);
+    await recordUsage(req.user.id, 'tts_chars', ttsChars);
 
     // Decide: S3 or base64
     const canUpload = Boolean(env.S3_BUCKET || env.S3_BUCKET_NAME || process.env.AWS_S3_BUCKET);
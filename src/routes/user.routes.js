@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getCreatorProfile,
+  followCreator,
+  unfollowCreator,
+  listFollowing
+} from '../controllers/user.controller.js';
+import { protect, optionalProtect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Caller's follows (declared before /:username)
+router.get('/me/following', protect, listFollowing);
+
+// Public creator profile
+router.get('/:username', optionalProtect, getCreatorProfile);
+
+router.route('/:username/follow')
+  .post(protect, followCreator)
+  .delete(protect, unfollowCreator);
+
+export default router;
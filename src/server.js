@@ -15,7 +15,14 @@ import characterRoutes from './routes/character.routes.js';
 import chatRoutes from './routes/chat.routes.js';
 import notificationsRoutes from './routes/notifications.routes.js';
 import ttsRoutes from './routes/tts.routes.js';
+import moderationRoutes from './routes/moderation.routes.js';
+import billingRoutes from './routes/billing.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import userRoutes from './routes/user.routes.js';
+import diagnosticsRoutes from './routes/diagnostics.routes.js';
 import { runNudgeTick } from './jobs/nudge.service.js';
+import { runRecommendationsTick } from './jobs/recommendations.service.js';
+import { initRealtime } from './services/realtime.service.js';
 
 // Middleware
 import errorHandler, { handleRateLimit } from './middleware/errorHandler.js';
@@ -24,6 +31,7 @@ import { standardRateLimiter, strictRateLimiter } from './middleware/rateLimiter
 // Config
 import env from './config/env.js';
 import { redisClient } from './config/redis.js';
+import { getDefaultProvider } from './config/llm.js';
 
 // Initialize Express
 const app = express();
@@ -163,9 +171,20 @@ const startServer = () => {
   return server;
 };
 
+// Fail fast on a missing LLM provider (production has no mock fallback)
+try {
+  getDefaultProvider();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Start the server
 const server = startServer();
 
+// Real-time chat (socket.io) shares the HTTP server and CORS policy
+initRealtime(server, { cors: { origin: corsOptions.origin, credentials: true } });
+
 // Background: random character pings (nudges)
 if (env.NUDGE_ENABLED) {
   const tickSeconds = Math.max(60, parseInt(env.NUDGE_TICK_SECONDS || '300', 10));
@@ -187,6 +206,26 @@ if (env.NUDGE_ENABLED) {
   console.log(`[nudges] enabled; tick=${tickSeconds}s (jitter=${jitterMs}ms)`);
 }
 
+// Background: precompute "for you" recommendations
+if (env.RECOMMENDATIONS_ENABLED) {
+  const tickSeconds = Math.max(300, parseInt(env.RECOMMENDATIONS_TICK_SECONDS || '3600', 10));
+  const runTick = async () => {
+    try {
+      const res = await runRecommendationsTick();
+      if (res?.processed || res?.failed) {
+        console.log(`[recommendations] processed=${res.processed} failed=${res.failed}`);
+      }
+    } catch (e) {
+      console.warn('[recommendations] tick error:', e?.message || e);
+    }
+  };
+  setTimeout(() => {
+    runTick();
+    setInterval(runTick, tickSeconds * 1000);
+  }, 30000 + Math.floor(Math.random() * 30000));
+  console.log(`[recommendations] enabled; tick=${tickSeconds}s`);
+}
+
 // Helper: get top processes by CPU and Memory using `ps` (works on Linux/macOS)
 const execAsync = promisify(execCb);
 async function getTopProcesses(limit = 5) {
@@ -324,8 +363,13 @@ app.get('/health', async (req, res) => {
   });
 });
 
-// Body parsing
-app.use(express.json({ limit: '10kb' }));
+// Body parsing (payment webhooks also keep the raw body for signature checks)
+app.use(express.json({
+  limit: '10kb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/billing/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(cookieParser());
 
 // Health check
@@ -337,16 +381,20 @@ app.get('/api/v1/health', (req, res) => {
   });
 });
 
-// Import test routes
-import testRoutes from './routes/test.routes.js';
-
 // API Routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/characters', characterRoutes);
 app.use('/api/v1/chat', chatRoutes);
-app.use('/api/v1/test', testRoutes);
 app.use('/api/v1/notifications', notificationsRoutes);
 app.use('/api/v1/tts', ttsRoutes);
+app.use('/api/v1/moderation', moderationRoutes);
+app.use('/api/v1/billing', billingRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/users', userRoutes);
+// Admin diagnostics; not mounted at all in production unless DIAGNOSTICS_ENABLED=true
+if (env.DIAGNOSTICS_ENABLED) {
+  app.use('/api/v1/diagnostics', diagnosticsRoutes);
+}
 
 // 404 handler
 app.all('*', (req, res, next) => {
@@ -0,0 +1,337 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import { ROLES, roleRank } from '../config/roles.js';
+import AppError from '../utils/appError.js';
+import { getUsageSummary } from './entitlements.service.js';
+
+// Profile columns staff may see (never password or reset tokens)
+const USER_FIELDS = [
+  'id', 'username', 'email', 'phone_number', 'first_name', 'last_name', 'avatar_url',
+  'role', 'plan', 'plan_expires_at', 'is_active', 'is_verified', 'is_email_verified',
+  'is_phone_verified', 'age_verified_at', 'adult_content_enabled',
+  'suspended_at', 'suspended_by', 'suspension_reason', 'last_login', 'created_at', 'updated_at'
+].join(', ');
+
+const CHARACTER_FIELDS = [
+  'id', 'creator_id', 'name', 'description', 'avatar_url', 'character_type', 'visibility',
+  'nsfw_enabled', 'tags', 'popularity_score', 'hidden_at', 'hidden_by', 'hidden_reason',
+  'created_at', 'updated_at'
+].join(', ');
+
+const MAX_REASON_LENGTH = 1000;
+const MAX_STATS_DAYS = 90;
+
+const clampLimit = (limit, fallback = 20) => Math.max(1, Math.min(100, parseInt(limit, 10) || fallback));
+const cleanReason = (reason) => (reason ? String(reason).trim().slice(0, MAX_REASON_LENGTH) || null : null);
+// PostgREST .or() filters are comma separated; keep search terms from breaking out
+const searchTerm = (q) => String(q || '').replace(/[,()%*\\]/g, ' ').trim();
+
+const pageOf = (page, limit) => {
+  const p = Math.max(1, parseInt(page, 10) || 1);
+  return { page: p, offset: (p - 1) * limit };
+};
+
+const paginationOf = (count, page, limit, offset, rows) => ({
+  total: count || 0,
+  page,
+  limit,
+  total_pages: Math.ceil((count || 0) / limit),
+  hasMore: offset + (rows?.length || 0) < (count || 0)
+});
+
+/**
+ * Appends to the admin_actions audit log. Never throws: the action itself
+ * already happened.
+ */
+export async function recordAdminAction(actorId, action, targetType, targetId, { reason = null, details = {} } = {}) {
+  const { error } = await supabaseAdmin
+    .from('admin_actions')
+    .insert([{ actor_id: actorId, action, target_type: targetType, target_id: targetId, reason, details }]);
+  if (error) console.warn('[admin] failed to record action', action, error.message || error);
+}
+
+export async function listAdminActions({ targetType, targetId, actorId, before, limit } = {}) {
+  let query = supabaseAdmin
+    .from('admin_actions')
+    .select('id, actor_id, action, target_type, target_id, reason, details, created_at')
+    .order('created_at', { ascending: false })
+    .limit(clampLimit(limit, 50));
+  if (targetType) query = query.eq('target_type', targetType);
+  if (targetId) query = query.eq('target_id', targetId);
+  if (actorId) query = query.eq('actor_id', actorId);
+  if (before) query = query.lt('created_at', before);
+  const { data, error } = await query;
+  if (error) throw new Error('Failed to fetch admin actions');
+  return data || [];
+}
+
+// ---------------------------------------------------------------------------
+// Users
+// ---------------------------------------------------------------------------
+
+/**
+ * Searches accounts by username, email, name or phone number
+ * @param {Object} filters
+ * @param {string} [filters.q]
+ * @param {string} [filters.role] - user | moderator | admin
+ * @param {string} [filters.status] - active | suspended | closed
+ */
+export async function searchUsers({ q, role, status, page, limit } = {}) {
+  const size = clampLimit(limit);
+  const { page: p, offset } = pageOf(page, size);
+
+  let query = supabaseAdmin
+    .from('user_profiles')
+    .select(USER_FIELDS, { count: 'exact' })
+    .order('created_at', { ascending: false });
+
+  const term = searchTerm(q);
+  if (term) {
+    query = query.or(['username', 'email', 'first_name', 'last_name', 'phone_number']
+      .map(col => `${col}.ilike.%${term}%`)
+      .join(','));
+  }
+  if (role) {
+    if (!ROLES.includes(role)) throw new AppError(`role must be one of: ${ROLES.join(', ')}`, 400);
+    query = query.eq('role', role);
+  }
+  if (status === 'suspended') {
+    query = query.not('suspended_at', 'is', null);
+  } else if (status === 'closed') {
+    query = query.eq('is_active', false).is('suspended_at', null);
+  } else if (status === 'active') {
+    query = query.neq('is_active', false).is('suspended_at', null);
+  } else if (status) {
+    throw new AppError('status must be one of: active, suspended, closed', 400);
+  }
+
+  const { data, error, count } = await query.range(offset, offset + size - 1);
+  if (error) throw new Error('Failed to search users');
+  return { users: data || [], pagination: paginationOf(count, p, size, offset, data) };
+}
+
+async function loadUser(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('user_profiles')
+    .select(USER_FIELDS)
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) throw new Error('Failed to fetch user');
+  if (!data) throw new AppError('User not found', 404);
+  return data;
+}
+
+// Staff act only on accounts ranked below them, and never on themselves
+function assertCanManage(actor, target) {
+  if (actor.id === target.id) {
+    throw new AppError('You cannot perform this action on your own account', 400);
+  }
+  if (roleRank(target.role) >= roleRank(actor.role)) {
+    throw new AppError('You do not have permission to manage this account', 403);
+  }
+}
+
+/**
+ * Profile, plan usage, character count and recent staff actions for one account
+ */
+export async function getUserDetail(userId) {
+  const user = await loadUser(userId);
+  const [usage, characters, actions] = await Promise.all([
+    getUsageSummary(userId),
+    supabaseAdmin
+      .from('characters')
+      .select('id', { count: 'exact', head: true })
+      .eq('creator_id', userId),
+    listAdminActions({ targetType: 'user', targetId: userId, limit: 20 })
+  ]);
+  return { user, usage, characters: characters.count || 0, actions };
+}
+
+export async function suspendUser(actor, userId, reason) {
+  const target = await loadUser(userId);
+  assertCanManage(actor, target);
+  if (target.suspended_at) throw new AppError('User is already suspended', 400);
+
+  const { data, error } = await supabaseAdmin
+    .from('user_profiles')
+    .update({
+      is_active: false,
+      suspended_at: new Date().toISOString(),
+      suspended_by: actor.id,
+      suspension_reason: cleanReason(reason)
+    })
+    .eq('id', userId)
+    .select(USER_FIELDS)
+    .single();
+  if (error) throw new Error('Failed to suspend user');
+  await recordAdminAction(actor.id, 'user.suspend', 'user', userId, { reason: cleanReason(reason) });
+  return data;
+}
+
+/**
+ * Lifts a suspension, or reopens an account the user closed themselves
+ */
+export async function reactivateUser(actor, userId, reason) {
+  const target = await loadUser(userId);
+  assertCanManage(actor, target);
+  if (target.is_active !== false && !target.suspended_at) {
+    throw new AppError('User is already active', 400);
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('user_profiles')
+    .update({ is_active: true, suspended_at: null, suspended_by: null, suspension_reason: null })
+    .eq('id', userId)
+    .select(USER_FIELDS)
+    .single();
+  if (error) throw new Error('Failed to reactivate user');
+  await recordAdminAction(actor.id, 'user.reactivate', 'user', userId, {
+    reason: cleanReason(reason),
+    details: { was: target.suspended_at ? 'suspended' : 'closed' }
+  });
+  return data;
+}
+
+export async function setUserRole(actor, userId, role) {
+  if (!ROLES.includes(role)) throw new AppError(`role must be one of: ${ROLES.join(', ')}`, 400);
+  const target = await loadUser(userId);
+  if (actor.id === target.id) throw new AppError('You cannot change your own role', 400);
+  if (target.role === role) return target;
+
+  const { data, error } = await supabaseAdmin
+    .from('user_profiles')
+    .update({ role })
+    .eq('id', userId)
+    .select(USER_FIELDS)
+    .single();
+  if (error) throw new Error('Failed to update role');
+  await recordAdminAction(actor.id, 'user.role', 'user', userId, { details: { from: target.role || 'user', to: role } });
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// Characters
+// ---------------------------------------------------------------------------
+
+/**
+ * Characters for review, newest first
+ * @param {Object} filters
+ * @param {string} [filters.q] - name contains
+ * @param {string} [filters.visibility] - private | public | shareable
+ * @param {boolean|string} [filters.hidden]
+ * @param {string} [filters.creatorId]
+ */
+export async function listCharacters({ q, visibility, hidden, creatorId, page, limit } = {}) {
+  const size = clampLimit(limit);
+  const { page: p, offset } = pageOf(page, size);
+
+  let query = supabaseAdmin
+    .from('characters')
+    .select(CHARACTER_FIELDS, { count: 'exact' })
+    .order('created_at', { ascending: false });
+  const term = searchTerm(q);
+  if (term) query = query.ilike('name', `%${term}%`);
+  if (visibility) query = query.eq('visibility', visibility);
+  if (hidden === true || hidden === 'true') query = query.not('hidden_at', 'is', null);
+  if (hidden === false || hidden === 'false') query = query.is('hidden_at', null);
+  if (creatorId) query = query.eq('creator_id', creatorId);
+
+  const { data, error, count } = await query.range(offset, offset + size - 1);
+  if (error) throw new Error('Failed to fetch characters');
+  return { characters: data || [], pagination: paginationOf(count, p, size, offset, data) };
+}
+
+async function updateCharacterModeration(characterId, patch) {
+  const { data, error } = await supabaseAdmin
+    .from('characters')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', characterId)
+    .select(CHARACTER_FIELDS)
+    .maybeSingle();
+  if (error) throw new Error('Failed to update character');
+  if (!data) throw new AppError('Character not found', 404);
+  return data;
+}
+
+/**
+ * Hides a character from everyone but its creator. It also leaves public
+ * listings, and the creator cannot publish it again until it is unhidden.
+ */
+export async function hideCharacter(actor, characterId, reason) {
+  const character = await updateCharacterModeration(characterId, {
+    hidden_at: new Date().toISOString(),
+    hidden_by: actor.id,
+    hidden_reason: cleanReason(reason)
+  });
+  await recordAdminAction(actor.id, 'character.hide', 'character', characterId, { reason: cleanReason(reason) });
+  return character;
+}
+
+export async function unhideCharacter(actor, characterId, reason) {
+  const character = await updateCharacterModeration(characterId, {
+    hidden_at: null,
+    hidden_by: null,
+    hidden_reason: null
+  });
+  await recordAdminAction(actor.id, 'character.unhide', 'character', characterId, { reason: cleanReason(reason) });
+  return character;
+}
+
+/**
+ * Makes a public character private. The creator may publish it again.
+ */
+export async function unpublishCharacter(actor, characterId, reason) {
+  const character = await updateCharacterModeration(characterId, { visibility: 'private' });
+  await recordAdminAction(actor.id, 'character.unpublish', 'character', characterId, { reason: cleanReason(reason) });
+  return character;
+}
+
+// ---------------------------------------------------------------------------
+// Stats
+// ---------------------------------------------------------------------------
+
+const statsSince = (days) => {
+  const d = Math.max(1, Math.min(MAX_STATS_DAYS, parseInt(days, 10) || 7));
+  const since = new Date(Date.now() - (d - 1) * 24 * 3600 * 1000);
+  return { days: d, since: since.toISOString().slice(0, 10) };
+};
+
+/**
+ * Nudges sent per day, distinct users and replies within 24 hours
+ */
+export async function getNudgeStats({ days } = {}) {
+  const range = statsSince(days);
+  const { data, error } = await supabaseAdmin.rpc('nudge_daily_stats', { p_since: `${range.since}T00:00:00Z` });
+  if (error) throw new Error('Failed to fetch nudge stats');
+  const daily = (data || []).map(r => ({
+    day: r.day,
+    sent: Number(r.sent) || 0,
+    users: Number(r.users) || 0,
+    replied: Number(r.replied) || 0
+  }));
+  const sent = daily.reduce((sum, r) => sum + r.sent, 0);
+  const replied = daily.reduce((sum, r) => sum + r.replied, 0);
+  return {
+    ...range,
+    totals: { sent, replied, reply_rate: sent ? Math.round((replied / sent) * 1000) / 1000 : 0 },
+    daily
+  };
+}
+
+/**
+ * usage_daily totals per day and metric (messages, llm tokens, tts, images)
+ */
+export async function getUsageStats({ days } = {}) {
+  const range = statsSince(days);
+  const { data, error } = await supabaseAdmin.rpc('usage_daily_totals', { p_since: range.since });
+  if (error) throw new Error('Failed to fetch usage stats');
+
+  const byDay = new Map();
+  const totals = {};
+  (data || []).forEach((r) => {
+    const total = Number(r.total) || 0;
+    if (!byDay.has(r.day)) byDay.set(r.day, { day: r.day, metrics: {} });
+    byDay.get(r.day).metrics[r.metric] = { total, users: Number(r.users) || 0 };
+    totals[r.metric] = (totals[r.metric] || 0) + total;
+  });
+  return { ...range, totals, daily: Array.from(byDay.values()) };
+}
@@ -0,0 +1,96 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import env from '../config/env.js';
+import { DEFAULT_PLAN } from '../config/plans.js';
+import AppError from '../utils/appError.js';
+import { verifySignature } from '../utils/webhookSignature.js';
+import { grantPlan } from './entitlements.service.js';
+
+// Provider-neutral subscription events. The payment provider (or
+// scripts/payment-webhook-stub.js locally) posts:
+//   { id, type, data: { user_id, plan, current_period_end } }
+// with an x-payment-signature header (see src/utils/webhookSignature.js).
+export const PAYMENT_EVENT_TYPES = [
+  'subscription.activated',
+  'subscription.renewed',
+  'subscription.canceled',
+  'subscription.expired'
+];
+
+/**
+ * Throws 503 when no secret is configured, 400 when the signature is invalid
+ */
+export function assertValidSignature(rawBody, header) {
+  if (!env.PAYMENT_WEBHOOK_SECRET) {
+    throw new AppError('Payment webhooks are not configured', 503);
+  }
+  const tolerance = parseInt(env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+  if (!verifySignature(rawBody, header, env.PAYMENT_WEBHOOK_SECRET, tolerance)) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+}
+
+async function currentPlan(userId) {
+  const { data } = await supabaseAdmin
+    .from('user_profiles')
+    .select('plan')
+    .eq('id', userId)
+    .single();
+  return data?.plan || DEFAULT_PLAN;
+}
+
+/**
+ * Applies one subscription event to the user's plan. Events are recorded in
+ * payment_events and replays of the same id are acknowledged without effect.
+ * @returns {Promise<{ received: true, duplicate?: boolean, ignored?: boolean, plan?: Object }>}
+ */
+export async function handlePaymentEvent(event) {
+  const { id, type, data = {} } = event || {};
+  if (!id || !type) throw new AppError('Event id and type are required', 400);
+
+  const { data: seen } = await supabaseAdmin
+    .from('payment_events')
+    .select('id')
+    .eq('id', id)
+    .maybeSingle();
+  if (seen) return { received: true, duplicate: true };
+
+  if (!PAYMENT_EVENT_TYPES.includes(type)) {
+    return { received: true, ignored: true };
+  }
+  if (!data.user_id) throw new AppError('data.user_id is required', 400);
+
+  let plan;
+  switch (type) {
+    case 'subscription.activated':
+    case 'subscription.renewed':
+      if (!data.plan) throw new AppError('data.plan is required', 400);
+      plan = await grantPlan(data.user_id, data.plan, {
+        source: 'payment',
+        expiresAt: data.current_period_end || null,
+        reference: id
+      });
+      break;
+    case 'subscription.canceled':
+      // Access continues until the end of the period already paid for
+      plan = await grantPlan(data.user_id, data.plan || await currentPlan(data.user_id), {
+        source: 'payment',
+        expiresAt: data.current_period_end || new Date().toISOString(),
+        reference: id
+      });
+      break;
+    case 'subscription.expired':
+      plan = await grantPlan(data.user_id, DEFAULT_PLAN, { source: 'payment', reference: id });
+      break;
+    default:
+      break;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('payment_events')
+    .insert([{ id, type, user_id: data.user_id, payload: event }]);
+  if (error && error.code !== '23505') {
+    console.warn('[billing] failed to record payment event:', error.message || error);
+  }
+
+  return { received: true, plan };
+}
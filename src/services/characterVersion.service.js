@@ -0,0 +1,216 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import AppError from '../utils/appError.js';
+
+// Immutable character versions (sql/migrations/036_add_character_versions.sql).
+// characters.version is the latest version number; each version row holds a
+// snapshot of the fields below and the diff against the version before it.
+// Avatar, visibility and the NSFW flag are not versioned: they are access
+// settings, and always apply as currently set.
+
+export const VERSIONED_FIELDS = [
+  'name', 'description', 'persona', 'character_type', 'character_gender',
+  'first_message', 'example_conversations', 'tags',
+  'llm_provider', 'llm_model', 'generation_settings',
+  'flirtiness', 'shyness', 'kindness', 'rudeness', 'confidence',
+  'intelligence', 'empathy', 'humor', 'aggression', 'openness',
+  'extroversion', 'patience'
+];
+
+const VERSION_LIST_FIELDS = 'id, character_id, version, changes, note, rolled_back_from, created_by, created_at';
+const MAX_NOTE_LENGTH = 500;
+
+const cleanNote = (note) => (note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) || null : null);
+
+/**
+ * The versioned fields of a character row
+ */
+export function snapshotOf(character) {
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) snapshot[field] = character?.[field] ?? null;
+  return snapshot;
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @returns {Object<string, { from: *, to: * }>} only the fields that differ
+ */
+export function diffSnapshots(before, after) {
+  const changes = {};
+  for (const field of VERSIONED_FIELDS) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+const parseVersion = (version) => {
+  const n = parseInt(version, 10);
+  if (!Number.isInteger(n) || n < 1) throw new AppError('Version must be a positive integer', 400);
+  return n;
+};
+
+/**
+ * Stores the first version of a newly created character. Logged, not thrown,
+ * on failure: the character exists either way.
+ */
+export async function recordInitialVersion(character, userId, note = 'Initial version') {
+  const { error } = await supabaseAdmin
+    .from('character_versions')
+    .insert([{
+      character_id: character.id,
+      version: character.version || 1,
+      snapshot: snapshotOf(character),
+      note,
+      created_by: userId
+    }]);
+  if (error) console.warn('[versions] failed to record initial version:', error.message || error);
+}
+
+/**
+ * Applies updates to a character and, when a versioned field changes, stores
+ * the result as the next version. The version row is written first, so two
+ * concurrent edits of the same version cannot both succeed (409).
+ * @param {Object} current - the full characters row before the update
+ * @param {Object} updates - columns to set (already validated)
+ * @param {string} userId
+ * @param {{ note?: string, rolledBackFrom?: number }} [options]
+ * @returns {Promise<{ character: Object, version: number, changes: Object }>}
+ */
+export async function commitCharacterUpdate(current, updates, userId, { note, rolledBackFrom = null } = {}) {
+  const currentVersion = current.version || 1;
+  const changes = diffSnapshots(snapshotOf(current), snapshotOf({ ...current, ...updates }));
+  const versioned = Object.keys(changes).length > 0;
+  const nextVersion = versioned ? currentVersion + 1 : currentVersion;
+
+  let versionRow = null;
+  if (versioned) {
+    const { data, error } = await supabaseAdmin
+      .from('character_versions')
+      .insert([{
+        character_id: current.id,
+        version: nextVersion,
+        snapshot: snapshotOf({ ...current, ...updates }),
+        changes,
+        note: cleanNote(note),
+        rolled_back_from: rolledBackFrom,
+        created_by: userId
+      }])
+      .select('id')
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        throw new AppError('This character was changed by another update. Reload it and try again.', 409);
+      }
+      throw new Error('Failed to save character version');
+    }
+    versionRow = data;
+  }
+
+  const { data: character, error } = await supabaseAdmin
+    .from('characters')
+    .update({ ...updates, version: nextVersion })
+    .eq('id', current.id)
+    .eq('version', currentVersion)
+    .select()
+    .maybeSingle();
+
+  if (error || !character) {
+    if (versionRow) await supabaseAdmin.from('character_versions').delete().eq('id', versionRow.id);
+    if (error) throw error;
+    throw new AppError('This character was changed by another update. Reload it and try again.', 409);
+  }
+
+  return { character, version: nextVersion, changes };
+}
+
+/**
+ * Changelog, newest first (snapshots omitted)
+ * @param {string} characterId
+ * @param {{ before?: number, limit?: number }} [options] - before: version number
+ */
+export async function listVersions(characterId, { before, limit } = {}) {
+  let query = supabaseAdmin
+    .from('character_versions')
+    .select(VERSION_LIST_FIELDS)
+    .eq('character_id', characterId)
+    .order('version', { ascending: false })
+    .limit(Math.max(1, Math.min(100, parseInt(limit, 10) || 20)));
+  if (before) query = query.lt('version', parseVersion(before));
+  const { data, error } = await query;
+  if (error) throw new Error('Failed to fetch versions');
+  return data || [];
+}
+
+/**
+ * One version with its snapshot
+ * @throws {AppError} 404 when the character has no such version
+ */
+export async function getVersion(characterId, version) {
+  const { data, error } = await supabaseAdmin
+    .from('character_versions')
+    .select(`${VERSION_LIST_FIELDS}, snapshot`)
+    .eq('character_id', characterId)
+    .eq('version', parseVersion(version))
+    .maybeSingle();
+  if (error) throw new Error('Failed to fetch version');
+  if (!data) throw new AppError('Version not found', 404);
+  return data;
+}
+
+/**
+ * Diff between two versions; `from` defaults to the version before `to`
+ */
+export async function compareVersions(characterId, to, from) {
+  const target = await getVersion(characterId, to);
+  const base = from !== undefined && from !== null && from !== ''
+    ? await getVersion(characterId, from)
+    : (target.version > 1 ? await getVersion(characterId, target.version - 1) : null);
+  return {
+    from: base?.version ?? null,
+    to: target.version,
+    changes: diffSnapshots(base?.snapshot || {}, target.snapshot)
+  };
+}
+
+/**
+ * Restores an older version's snapshot as a new version (history is never rewritten)
+ * @param {Object} current - the full characters row
+ * @param {number|string} version - version to restore
+ * @param {string} userId
+ * @param {string} [note]
+ */
+export async function rollbackToVersion(current, version, userId, note) {
+  const target = await getVersion(current.id, version);
+  if (target.version === (current.version || 1)) {
+    throw new AppError(`Version ${target.version} is already the current version`, 400);
+  }
+  if (!Object.keys(diffSnapshots(snapshotOf(current), target.snapshot)).length) {
+    throw new AppError(`The character already matches version ${target.version}`, 400);
+  }
+  return commitCharacterUpdate(current, { ...target.snapshot, updated_at: new Date() }, userId, {
+    note: cleanNote(note) || `Rolled back to version ${target.version}`,
+    rolledBackFrom: target.version
+  });
+}
+
+/**
+ * The character as of `version`: the live row with that version's snapshot
+ * applied. Falls back to the live row when the version is not stored.
+ * @param {Object} character - live characters row
+ * @param {number|null} version - null/undefined means latest
+ */
+export async function resolveCharacterVersion(character, version) {
+  if (!character?.id || !version || Number(version) === Number(character.version || 1)) return character;
+  const { data } = await supabaseAdmin
+    .from('character_versions')
+    .select('snapshot')
+    .eq('character_id', character.id)
+    .eq('version', Number(version))
+    .maybeSingle();
+  if (!data?.snapshot) {
+    console.warn(`[versions] version ${version} of ${character.id} not found; using latest`);
+    return character;
+  }
+  return { ...character, ...data.snapshot, version: Number(version) };
+}
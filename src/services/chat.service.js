@@ -1,6 +1,28 @@
-import { chatCompletion } from '../config/together.js';
 import supabase, { supabaseAdmin } from '../config/supabaseClient.js';
-import { buildMessagesForSession } from './messageBuilder.js';
+import { buildMessagesForSession, getUserDisplayName, userCanAccessAdultContent } from './messageBuilder.js';
+import { fillPlaceholders } from '../utils/characterUtils.js';
+import AppError, { ContentBlockedError, AdultContentRequiredError } from '../utils/appError.js';
+import { isNSFWCharacter } from '../utils/adultContent.js';
+import {
+  validateGenerationSettings,
+  normalizeGenerationSettings,
+  resolveGenerationOptions
+} from '../utils/generationSettings.js';
+import { scheduleSummaryRefresh, invalidateSummaryFrom } from './summary.service.js';
+import { moderateInput, moderateOutput, createOutputStreamGate } from './moderation.service.js';
+import { getUserPlanId, assertDailyLimit, recordUsage } from './entitlements.service.js';
+import { meteredChatCompletion, meteredChatCompletionStream } from './metering.service.js';
+import { getPlan } from '../config/plans.js';
+import { getVersion as getCharacterVersion, resolveCharacterVersion } from './characterVersion.service.js';
+import {
+  getSessionCast,
+  getCastsForSessions,
+  insertCast,
+  addCastMember,
+  removeCastMember,
+  pickSpeakers,
+  ROUTING_MODES
+} from './groupChat.service.js';
 
 // Removed system prompt builder to send only raw user messages to the model
 
@@ -36,22 +58,6 @@ function detectFlirt(text) {
   }
 }
 
-// Try to get the user's plan; default to 'free' on failure
-async function getUserPlan(userId) {
-  try {
-    // Attempt to read from a plausible profile table; fall back to free if not present
-    const { data, error } = await supabase
-      .from('user_profiles')
-      .select('plan')
-      .eq('id', userId)
-      .single();
-    if (error || !data || !data.plan) return 'free';
-    return (data.plan || 'free').toLowerCase();
-  } catch {
-    return 'free';
-  }
-}
-
 function determineMessageType(userText) {
   const text = (userText || '').toLowerCase();
   const longKeywords = ['story', 'describe', 'detail', 'roleplay', 'scenario', 'imagine'];
@@ -68,7 +74,7 @@ function applyResponseLengthPolicy(text, { plan, messageType }) {
     if (!text || typeof text !== 'string') return text;
     const sentences = text.split(/(?<=[.!?])\s+/).filter(Boolean);
     if (sentences.length === 0) return text;
-    const isPaid = plan === 'pro' || plan === 'paid' || plan === 'premium' || plan === 'plus';
+    const isPaid = getPlan(plan).price_cents > 0;
 
     if (!isPaid) {
       // Free: cap to 3 sentences
@@ -139,6 +145,7 @@ async function getChatHistory(sessionId, limit = 10) {
     .from('chat_messages')
     .select('*')
     .eq('session_id', sessionId)
+    .is('branch_id', null)
     // Fetch newest first, then reverse to chronological for AI context
     .order('created_at', { ascending: false })
     .order('id', { ascending: false })
@@ -157,16 +164,62 @@ async function getChatHistory(sessionId, limit = 10) {
 }
 
 /**
- * Creates a new chat session
+ * Inserts the character's first_message as the opening assistant message of a
+ * new session, with {{user}}/{{char}} placeholders filled in. Best effort.
+ */
+async function insertGreeting(session, userId, characterId = session.character_id) {
+  try {
+    const { data: live } = await supabaseAdmin
+      .from('characters')
+      .select('id, name, first_message, nsfw_enabled, version')
+      .eq('id', characterId)
+      .single();
+    // Pinned sessions open with that version's greeting
+    const character = characterId === session.character_id
+      ? await resolveCharacterVersion(live, session.character_version)
+      : live;
+    const raw = (character?.first_message || '').trim();
+    if (!raw) return null;
+
+    const userName = await getUserDisplayName(userId);
+    const content = fillPlaceholders(raw, { user: userName || 'there', char: character.name });
+    const { data: row, error } = await supabase
+      .from('chat_messages')
+      .insert([{
+        session_id: session.id,
+        role: 'assistant',
+        content,
+        is_nsfw: !!character.nsfw_enabled,
+        order_index: 1,
+        character_id: character.id,
+        metadata: { greeting: true }
+      }])
+      .select('id, order_index')
+      .single();
+    if (error) {
+      console.warn('Failed to insert greeting:', { sessionId: session.id, error });
+      return null;
+    }
+    return row;
+  } catch (e) {
+    console.warn('Failed to insert greeting:', e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * Creates a new chat session, opened with the character's greeting.
+ * `characterVersion` pins the session to that character version (null follows the latest).
  */
-export async function createSession(userId, characterId, title = 'New Chat') {
+export async function createSession(userId, characterId, title = 'New Chat', { greeting = true, characterVersion = null } = {}) {
   const { data: session, error } = await supabase
     .from('chat_sessions')
     .insert([
       {
         user_id: userId,
         character_id: characterId,
-        title: title
+        title: title,
+        character_version: characterVersion
       }
     ])
     .select()
@@ -177,6 +230,48 @@ export async function createSession(userId, characterId, title = 'New Chat') {
     throw new Error('Failed to create chat session');
   }
 
+  if (greeting) {
+    await insertGreeting(session, userId);
+  }
+
+  return session;
+}
+
+/**
+ * Creates a group session with two or more characters. The first character is
+ * the session's primary character_id and opens the chat with its greeting.
+ */
+export async function createGroupSession(userId, characterIds, title = 'Group Chat', { routingMode = 'round_robin', greeting = true } = {}) {
+  const { data: session, error } = await supabase
+    .from('chat_sessions')
+    .insert([
+      {
+        user_id: userId,
+        character_id: characterIds[0],
+        title: title,
+        is_group: true,
+        routing_mode: routingMode
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating group session:', error);
+    throw new Error('Failed to create group session');
+  }
+
+  try {
+    await insertCast(session.id, characterIds);
+  } catch (e) {
+    await supabase.from('chat_sessions').delete().eq('id', session.id);
+    throw e;
+  }
+
+  if (greeting) {
+    await insertGreeting(session, userId, characterIds[0]);
+  }
+
   return session;
 }
 
@@ -207,102 +302,398 @@ export async function getSession(sessionId, userId) {
     .eq('id', session.character_id)
     .single();
 
-  return { ...session, characters: character || null, character: character || null };
+  const cast = session.is_group
+    ? await getSessionCast(session.id)
+    : (character ? [{ id: character.id, name: character.name, avatar_url: character.avatar_url, nsfw_enabled: character.nsfw_enabled, position: 0 }] : []);
+
+  return { ...session, characters: character || null, character: character || null, cast };
+}
+
+// Highest order_index of the active conversation (0 when empty)
+async function getLastOrderIndex(sessionId) {
+  const { data: ordRows } = await supabase
+    .from('chat_messages')
+    .select('order_index')
+    .eq('session_id', sessionId)
+    .is('branch_id', null)
+    .order('order_index', { ascending: false, nullsFirst: false })
+    .limit(1);
+  return Number(ordRows?.[0]?.order_index ?? 0);
+}
+
+// Same adult gate as prepareTurn, for paths that only know the character id
+async function assertCharacterAllowedForUser(characterId, userId) {
+  if (!characterId) return;
+  const { data: character } = await supabaseAdmin
+    .from('characters')
+    .select('nsfw_enabled')
+    .eq('id', characterId)
+    .maybeSingle();
+  if (isNSFWCharacter(character) && !(await userCanAccessAdultContent(userId))) {
+    throw new AdultContentRequiredError();
+  }
 }
 
 /**
-* Sends a message and gets a response from the AI
-*/
-export async function sendMessage(sessionId, userId, message) {
+ * Loads the session, builds the model payload and reserves order_index values
+ * for one user+assistant turn. Shared by the blocking and streaming send paths.
+ */
+async function prepareTurn(sessionId, userId, message, loadedSession = null) {
+  // 1) Load session and character
+  const session = loadedSession || await getSession(sessionId, userId);
+  if (!session) throw new Error('Session not found or access denied');
+  const character = session.characters;
+  const currentNSFW = isNSFWCharacter(character);
+  if (currentNSFW && !(await userCanAccessAdultContent(userId))) {
+    throw new AdultContentRequiredError();
+  }
+
+  // 2) Moderate the user's message before anything is saved or sent to the model
+  await moderateInput(message, { userId, sessionId, characterId: character?.id, nsfwEnabled: currentNSFW });
+
+  // 3) Build messages using Supabase character/session data. The builder also
+  // resolves provider/model/sampling options and reports the tokens it packed.
+  const { messages, usedNSFW, modelOptions, usage } = await buildMessagesForSession(sessionId, userId, message, {
+    plan: await getUserPlanId(userId)
+  });
+  // IMPORTANT: Persist the CURRENT user message, not an older one from history
+  const userText = String(message ?? '').slice(0, 2000);
+  const turnNSFW = usedNSFW ?? currentNSFW;
+
+  // 4) Determine sequential order_index for this turn (user then assistant)
+  let nextUserIndex = null;
+  let nextAssistantIndex = null;
   try {
-    // 1) Load session and character
-    const session = await getSession(sessionId, userId);
-    if (!session) throw new Error('Session not found or access denied');
-    const character = session.characters;
-
-    // 2) Build messages using Supabase character/session data
-    const { messages, character: builtCharacter, usedNSFW } = await buildMessagesForSession(sessionId, userId, message);
-    // IMPORTANT: Persist the CURRENT user message, not an older one from history
-    const userText = String(message ?? '').slice(0, 2000);
-    const currentNSFW = !!(character?.nsfw_enabled === true || character?.nsfw_enabled === 'true' || character?.nsfw_enabled === 1 || character?.nsfw_enabled === '1');
-    const turnNSFW = usedNSFW ?? currentNSFW;
-
-    // 3) Determine sequential order_index for this turn (user then assistant)
-    let nextUserIndex = null;
-    let nextAssistantIndex = null;
-    try {
-      const { data: ordRows } = await supabase
-        .from('chat_messages')
-        .select('order_index')
-        .eq('session_id', sessionId)
-        .order('order_index', { ascending: false, nullsFirst: false })
-        .limit(1);
-      const baseIndex = Number(ordRows?.[0]?.order_index ?? 0);
-      nextUserIndex = baseIndex + 1;
-      nextAssistantIndex = baseIndex + 2;
-    } catch (e) {
-      console.warn('order_index fetch failed, defaulting to timestamp ordering', e);
+    const baseIndex = await getLastOrderIndex(sessionId);
+    nextUserIndex = baseIndex + 1;
+    nextAssistantIndex = baseIndex + 2;
+  } catch (e) {
+    console.warn('order_index fetch failed, defaulting to timestamp ordering', e);
+  }
+
+  return { session, character, messages, modelOptions, usage, userText, turnNSFW, nextUserIndex, nextAssistantIndex };
+}
+
+/**
+ * Persists the user and assistant rows for a turn and touches the session.
+ * Returns the saved ids so callers can reference them (e.g. streaming clients).
+ */
+async function persistTurn(turn, aiResponse, { sessionId, userId }) {
+  const { character, userText, turnNSFW, nextUserIndex, nextAssistantIndex } = turn;
+
+  let savedUser = null;
+  let savedAssistant = null;
+  if (userText) {
+    const { data: userRow, error: userErr } = await supabase
+      .from('chat_messages')
+      .insert([{ session_id: sessionId, role: 'user', content: userText, is_nsfw: turnNSFW, order_index: nextUserIndex }])
+      .select('id, order_index')
+      .single();
+    if (userErr) {
+      console.error('Failed to save user message:', { sessionId, userId, error: userErr, contentLen: userText.length });
+    } else {
+      savedUser = userRow;
+      await recordUsage(userId, 'messages');
     }
+  }
+
+  if (aiResponse) {
+    const { data: aiRow, error: aiErr } = await supabase
+      .from('chat_messages')
+      .insert([{ session_id: sessionId, role: 'assistant', content: aiResponse, is_nsfw: turnNSFW, order_index: nextAssistantIndex, character_id: character?.id || null }])
+      .select('id, order_index')
+      .single();
+    if (aiErr) {
+      console.error('Failed to save assistant message:', { sessionId, userId, error: aiErr, contentLen: aiResponse.length });
+    } else {
+      savedAssistant = aiRow;
+    }
+  }
+
+  // Touch session updated_at
+  await supabase
+    .from('chat_sessions')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId);
+
+  // Long-term memory: fold older turns into the rolling summary in the background
+  scheduleSummaryRefresh(sessionId, userId);
+
+  return { user: savedUser, assistant: savedAssistant };
+}
+
+/**
+ * Runs the model reply through output moderation. Blocked replies throw before
+ * anything is saved; SFW replies with restricted terms come back masked.
+ */
+const turnModerationContext = (turn, userId) => ({
+  userId,
+  sessionId: turn.session.id,
+  characterId: turn.character?.id,
+  nsfwEnabled: turn.turnNSFW
+});
+
+async function moderateTurnReply(turn, aiResponse, userId) {
+  if (!aiResponse) return { text: aiResponse, decision: 'allowed' };
+  return moderateOutput(aiResponse, turnModerationContext(turn, userId));
+}
 
-    // 4) Log final payload and call Together AI
+// Reported when the saved reply differs from what the model produced. Streamed
+// deltas already carry the masked text; `response` remains the saved reply.
+const moderationInfo = ({ decision, category }) => (decision === 'masked' ? { decision, category } : null);
+
+// Shape the final payload returned by both send paths
+function buildSendResult(turn, aiResponse, saved, moderation = null) {
+  const { session, character, turnNSFW, usage } = turn;
+  return {
+    response: aiResponse,
+    moderation,
+    isNSFW: turnNSFW,
+    session: { id: session.id, title: session.title, updated_at: new Date().toISOString() },
+    character: { id: character.id, name: character.name, avatar_url: character.avatar_url },
+    persisted: { user: !!saved.user, assistant: !!saved.assistant },
+    messages: {
+      user: saved.user ? { id: saved.user.id, order_index: saved.user.order_index } : null,
+      assistant: saved.assistant ? { id: saved.assistant.id, order_index: saved.assistant.order_index } : null
+    },
+    // Token accounting of the packed prompt, for debugging context issues
+    context: usage
+  };
+}
+
+const speakerInfo = (c) => ({ id: c.id, name: c.name, avatar_url: c.avatar_url });
+
+/**
+ * Runs one user turn in a group session: saves the user message, routes it to
+ * one or more cast members and generates each reply in order, saving every
+ * reply before the next speaker's prompt is built so later speakers see it.
+ * With onDelta the replies are streamed (delta, speaker) one after another.
+ */
+async function sendGroupTurn(session, userId, message, { onDelta, isAborted } = {}) {
+  const sessionId = session.id;
+  const cast = session.cast?.length ? session.cast : await getSessionCast(sessionId);
+  if (!cast.length) throw new AppError('This group has no characters', 400);
+  const userText = String(message ?? '').slice(0, 2000);
+
+  // Same adult gate as prepareTurn: NSFW cast members only answer users who
+  // pass it, and a group left with no one to answer is refused
+  const adult = await userCanAccessAdultContent(userId);
+  const eligible = adult ? cast : cast.filter(c => !isNSFWCharacter(c));
+  if (!eligible.length) throw new AdultContentRequiredError();
+
+  // Moderated before routing, which may send the text to the model. The
+  // speakers are not known yet, so it is only NSFW when the whole cast is.
+  await moderateInput(message, { userId, sessionId, nsfwEnabled: adult && cast.every(isNSFWCharacter) });
+
+  // Recent active lines: order_index base, last speaker and context for model routing
+  const { data: recentRows } = await supabase
+    .from('chat_messages')
+    .select('role, content, character_id, order_index')
+    .eq('session_id', sessionId)
+    .is('branch_id', null)
+    .order('order_index', { ascending: false, nullsFirst: false })
+    .limit(6);
+  const recentDesc = recentRows || [];
+  const baseIndex = Number(recentDesc[0]?.order_index ?? 0);
+  const lastSpeakerId = recentDesc.find(r => r.role === 'assistant' && r.character_id)?.character_id || null;
+  const castNames = Object.fromEntries(cast.map(c => [c.id, c.name]));
+  const recent = recentDesc.slice().reverse()
+    .map(r => `${r.role === 'assistant' ? (castNames[r.character_id] || 'Character') : 'User'}: ${String(r.content || '').slice(0, 200)}`);
+
+  const speakers = await pickSpeakers(session.routing_mode, eligible, userText, { lastSpeakerId, recent, userId });
+  const plan = await getUserPlanId(userId);
+
+  // NSFW-flagged lines are dropped from SFW speakers' history, so only flag the
+  // user's line when every speaker allows NSFW (and the user may see it)
+  const userNSFW = speakers.every(isNSFWCharacter) && adult;
+  const { data: savedUser, error: userErr } = await supabase
+    .from('chat_messages')
+    .insert([{ session_id: sessionId, role: 'user', content: userText, is_nsfw: userNSFW, order_index: baseIndex + 1 }])
+    .select('id, order_index')
+    .single();
+  if (userErr) {
+    console.error('Failed to save user message:', { sessionId, userId, error: userErr, contentLen: userText.length });
+    throw new Error('Failed to save message');
+  }
+  await recordUsage(userId, 'messages');
+
+  const replies = [];
+  const blocked = [];
+  let nextIndex = baseIndex + 2;
+  for (const speaker of speakers) {
+    const { messages, usedNSFW, modelOptions, usage } = await buildMessagesForSession(sessionId, userId, null, {
+      speakerId: speaker.id,
+      plan
+    });
+
+    const moderationContext = { userId, sessionId, characterId: speaker.id, nsfwEnabled: !!usedNSFW };
+    const forward = (text) => {
+      if (text && !(isAborted && isAborted())) onDelta(text, speakerInfo(speaker));
+    };
+
+    // A blocked reply is skipped so the other speakers still answer. Streamed
+    // text is moderated as it arrives and stops at the first blocked term.
+    let aiResponse = '';
+    let moderated;
     try {
-      console.log('Together AI payload:', JSON.stringify({ sessionId, messages }, null, 2));
-    } catch {}
-    const resp = await chatCompletion(messages);
-    const aiResponse = resp?.choices?.[0]?.message?.content?.trim() || '';
-
-    // 4) Persist both user and assistant messages to Supabase
-    let savedUser = false;
-    let savedAssistant = false;
-    if (userText) {
-      const { error: userErr } = await supabase
-        .from('chat_messages')
-        .insert([{ session_id: sessionId, role: 'user', content: userText, is_nsfw: turnNSFW, order_index: nextUserIndex }]);
-      if (userErr) {
-        console.error('Failed to save user message:', { sessionId, userId, error: userErr, contentLen: userText.length });
+      if (onDelta) {
+        const gate = await createOutputStreamGate(moderationContext);
+        const stream = await meteredChatCompletionStream(userId, messages, modelOptions);
+        let full = '';
+        for await (const chunk of stream) {
+          const delta = chunk?.choices?.[0]?.delta?.content || '';
+          if (!delta) continue;
+          full += delta;
+          forward(gate.push(delta));
+        }
+        aiResponse = full.trim();
+        if (aiResponse) {
+          moderated = await moderateOutput(aiResponse, moderationContext);
+          forward(gate.finish(moderated.text));
+        }
       } else {
-        savedUser = true;
+        const resp = await meteredChatCompletion(userId, messages, modelOptions);
+        aiResponse = resp?.choices?.[0]?.message?.content?.trim() || '';
+        if (aiResponse) moderated = await moderateOutput(aiResponse, moderationContext);
       }
+    } catch (e) {
+      if (!(e instanceof ContentBlockedError)) throw e;
+      blocked.push({ character: speakerInfo(speaker), code: e.code, details: e.details });
+      continue;
     }
+    if (!aiResponse) continue;
+    aiResponse = moderated.text;
 
-    if (aiResponse) {
-      const { error: aiErr } = await supabase
-        .from('chat_messages')
-        .insert([{ session_id: sessionId, role: 'assistant', content: aiResponse, is_nsfw: turnNSFW, order_index: nextAssistantIndex }]);
-      if (aiErr) {
-        console.error('Failed to save assistant message:', { sessionId, userId, error: aiErr, contentLen: aiResponse.length });
-      } else {
-        savedAssistant = true;
-      }
+    const { data: row, error: aiErr } = await supabase
+      .from('chat_messages')
+      .insert([{ session_id: sessionId, role: 'assistant', content: aiResponse, is_nsfw: !!usedNSFW, order_index: nextIndex, character_id: speaker.id }])
+      .select('id, order_index')
+      .single();
+    nextIndex += 1;
+    if (aiErr) {
+      console.error('Failed to save assistant message:', { sessionId, userId, characterId: speaker.id, error: aiErr });
     }
+    replies.push({
+      character: speakerInfo(speaker),
+      response: aiResponse,
+      isNSFW: !!usedNSFW,
+      moderation: moderationInfo(moderated),
+      message: row ? { id: row.id, order_index: row.order_index } : null,
+      context: usage
+    });
+  }
 
-    // 6) Touch session updated_at
-    await supabase
-      .from('chat_sessions')
-      .update({ updated_at: new Date().toISOString() })
-      .eq('id', sessionId)
-      .eq('user_id', userId);
+  // Touch session updated_at
+  await supabase
+    .from('chat_sessions')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId);
 
+  scheduleSummaryRefresh(sessionId, userId);
+
+  // First reply fills the single-character fields so existing clients keep working
+  const first = replies[0] || null;
+  return {
+    response: first?.response || '',
+    isNSFW: !!first?.isNSFW,
+    session: { id: session.id, title: session.title, updated_at: new Date().toISOString() },
+    character: first?.character || (speakers[0] ? speakerInfo(speakers[0]) : null),
+    cast: cast.map(speakerInfo),
+    replies,
+    ...(blocked.length && { blocked }),
+    moderation: first?.moderation || null,
+    context: first?.context || null,
+    persisted: { user: !!savedUser, assistant: replies.some(r => r.message) },
+    messages: {
+      user: savedUser ? { id: savedUser.id, order_index: savedUser.order_index } : null,
+      assistant: first?.message || null
+    }
+  };
+}
 
-    // 8) Return the AI response and updated session info
-    return {
-      response: aiResponse,
-      isNSFW: turnNSFW,
-      session: { id: session.id, title: session.title, updated_at: new Date().toISOString() },
-      character: { id: character.id, name: character.name, avatar_url: character.avatar_url },
-      persisted: { user: savedUser, assistant: savedAssistant }
-    };
+/**
+* Sends a message and gets a response from the AI
+*/
+export async function sendMessage(sessionId, userId, message) {
+  try {
+    await assertDailyLimit(userId, 'messages');
+    const session = await getSession(sessionId, userId);
+    if (session.is_group) {
+      return await sendGroupTurn(session, userId, message);
+    }
+    const turn = await prepareTurn(sessionId, userId, message, session);
 
+    // Log final payload and call the configured LLM provider
+    try {
+      console.log('LLM payload:', JSON.stringify({ sessionId, ...turn.modelOptions, messages: turn.messages }, null, 2));
+    } catch {}
+    const resp = await meteredChatCompletion(userId, turn.messages, turn.modelOptions);
+    const moderated = await moderateTurnReply(turn, resp?.choices?.[0]?.message?.content?.trim() || '', userId);
+    const aiResponse = moderated.text;
+
+    // Persist both user and assistant messages to Supabase
+    const saved = await persistTurn(turn, aiResponse, { sessionId, userId });
+
+    return buildSendResult(turn, aiResponse, saved, moderationInfo(moderated));
   } catch (error) {
     console.error('Error in sendMessage (simple):', error);
     throw error;
   }
 }
 
+/**
+ * Streaming variant of sendMessage. Calls onDelta(text) for every token delta
+ * as it arrives, then persists the turn exactly like sendMessage and resolves
+ * with the same result shape.
+ * @param {string} sessionId
+ * @param {string} userId
+ * @param {string} message
+ * @param {Object} handlers
+ * @param {(delta: string, speaker?: {id, name, avatar_url}) => void} [handlers.onDelta] - speaker is set in group sessions
+ * @param {() => boolean} [handlers.isAborted] - stop forwarding deltas (the reply is still saved)
+ */
+export async function sendMessageStream(sessionId, userId, message, { onDelta, isAborted } = {}) {
+  try {
+    await assertDailyLimit(userId, 'messages');
+    const session = await getSession(sessionId, userId);
+    if (session.is_group) {
+      return await sendGroupTurn(session, userId, message, { onDelta: onDelta || (() => {}), isAborted });
+    }
+    const turn = await prepareTurn(sessionId, userId, message, session);
+    const forward = (text) => {
+      if (text && onDelta && !(isAborted && isAborted())) onDelta(text);
+    };
+
+    // Deltas are forwarded only once moderation has checked them; a blocked
+    // term ends the stream before it reaches the client
+    const gate = await createOutputStreamGate(turnModerationContext(turn, userId));
+    const stream = await meteredChatCompletionStream(userId, turn.messages, turn.modelOptions);
+    let full = '';
+    for await (const chunk of stream) {
+      const delta = chunk?.choices?.[0]?.delta?.content || '';
+      if (!delta) continue;
+      full += delta;
+      forward(gate.push(delta));
+    }
+    const moderated = await moderateTurnReply(turn, full.trim(), userId);
+    forward(gate.finish(moderated.text));
+    const aiResponse = moderated.text;
+
+    const saved = await persistTurn(turn, aiResponse, { sessionId, userId });
+
+    return buildSendResult(turn, aiResponse, saved, moderationInfo(moderated));
+  } catch (error) {
+    console.error('Error in sendMessageStream:', error);
+    throw error;
+  }
+}
+
 /**
  * Formats raw database messages to the expected frontend format
  */
-function formatMessages(messages) {
+export function formatMessages(messages) {
   if (!Array.isArray(messages)) return [];
   
   return messages.map(msg => {
@@ -321,6 +712,8 @@ function formatMessages(messages) {
       sender_type: msg.role === 'assistant' ? 'ai' : 'user',
       created_at: msg.created_at ? new Date(msg.created_at).toISOString() : null,
       order_index: typeof msg.order_index === 'number' ? msg.order_index : (msg.order_index != null ? Number(msg.order_index) : null),
+      // Which character spoke (group sessions); null for user and legacy messages
+      character_id: msg.character_id ?? null,
       is_ai_typing: false,
       metadata,
       audio_url,
@@ -344,7 +737,7 @@ export async function getSessionMessages(sessionId, userId, { limit = 50, offset
     // Verify session ownership
     const { data: session, error: sessErr } = await supabase
       .from('chat_sessions')
-      .select('id, user_id')
+      .select('id, user_id, character_id, is_group')
       .eq('id', sessionId)
       .eq('user_id', userId)
       .single();
@@ -355,8 +748,9 @@ export async function getSessionMessages(sessionId, userId, { limit = 50, offset
     // Fetch messages with deterministic ordering and pagination
     const { data, error, count } = await supabase
       .from('chat_messages')
-      .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata', { count: 'exact' })
+      .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata, character_id', { count: 'exact' })
       .eq('session_id', sessionId)
+      .is('branch_id', null)
       .order('order_index', { ascending: false, nullsFirst: false })
       .order('created_at', { ascending: false })
       .order('id', { ascending: false })
@@ -375,12 +769,26 @@ export async function getSessionMessages(sessionId, userId, { limit = 50, offset
       total,
       has_more: (Number(offset) || 0) + messages.length < total
     };
-    return { messages: formattedMessages, total, pagination };
+    const cast = await loadCast(session);
+    return { messages: formattedMessages, total, pagination, cast };
   } catch (err) {
     throw err;
   }
 }
 
+/**
+ * Cast of a session: the group members, or the single character as a one-member cast
+ */
+async function loadCast(session) {
+  if (session.is_group) return getSessionCast(session.id);
+  const { data: character } = await supabaseAdmin
+    .from('characters')
+    .select('id, name, avatar_url, nsfw_enabled')
+    .eq('id', session.character_id)
+    .single();
+  return character ? [{ ...character, position: 0 }] : [];
+}
+
 /**
  * Lists all chat sessions for a user
  */
@@ -411,13 +819,22 @@ export async function listUserSessions(userId, limit = 50) {
     (chars || []).forEach(c => { charsById[c.id] = c; });
   }
 
+  // Group casts in one batch; single-character sessions get a one-member cast
+  const groupCasts = await getCastsForSessions(list.filter(s => s.is_group).map(s => s.id));
+  const castFor = (s) => {
+    if (s.is_group) return (groupCasts[s.id] || []).map(c => ({ id: c.id, name: c.name, avatar_url: c.avatar_url }));
+    const char = charsById[s.character_id];
+    return char ? [char] : [];
+  };
+
   // Attach character and last_message for each session
   const withLast = await Promise.all(list.map(async (s) => {
     try {
       const { data: msgs } = await supabase
         .from('chat_messages')
-        .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata')
+        .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata, character_id')
         .eq('session_id', s.id)
+        .is('branch_id', null)
         .order('order_index', { ascending: false, nullsFirst: false })
         .order('created_at', { ascending: false })
         .order('id', { ascending: false })
@@ -437,6 +854,7 @@ export async function listUserSessions(userId, limit = 50) {
         sender_type: m.role === 'assistant' ? 'ai' : 'user',
         created_at: m.created_at ? new Date(m.created_at).toISOString() : null,
         order_index: typeof m.order_index === 'number' ? m.order_index : (m.order_index != null ? Number(m.order_index) : null),
+        character_id: m.character_id ?? null,
         is_nsfw: !!m.is_nsfw,
         is_ai_typing: false,
         metadata: meta,
@@ -445,11 +863,11 @@ export async function listUserSessions(userId, limit = 50) {
       } : null;
       const last_activity_at = last_message?.created_at || (s.updated_at ? new Date(s.updated_at).toISOString() : null);
       const char = charsById[s.character_id] || null;
-      return { ...s, characters: char, character: char, last_message, last_activity_at };
+      return { ...s, characters: char, character: char, cast: castFor(s), last_message, last_activity_at };
     } catch {
       const last_activity_at = s.updated_at ? new Date(s.updated_at).toISOString() : null;
       const char = charsById[s.character_id] || null;
-      return { ...s, characters: char, character: char, last_message: null, last_activity_at };
+      return { ...s, characters: char, character: char, cast: castFor(s), last_message: null, last_activity_at };
     }
   }));
 
@@ -534,6 +952,7 @@ export async function clearSessionMessages(sessionId, userId) {
   if (delErr) {
     throw new Error('Failed to clear session messages');
   }
+  await invalidateSummaryFrom(sessionId, 0);
   return { success: true };
 }
 
@@ -634,6 +1053,7 @@ export async function clearChatWithCharacter(userId, characterId) {
   if (delErr) {
     throw new Error('Failed to clear messages');
   }
+  await Promise.all(sessionIds.map(id => invalidateSummaryFrom(id, 0)));
   return { success: true };
 }
 
@@ -698,3 +1118,545 @@ export async function deleteCharacterWithSessions(userId, characterId) {
 
   return { success: true };
 }
+
+/**
+ * Verifies the session belongs to the user; returns the bare session row
+ */
+async function assertSessionOwner(sessionId, userId) {
+  const { data: session, error } = await supabase
+    .from('chat_sessions')
+    .select('id, user_id, character_id, is_group, routing_mode')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .single();
+  if (error || !session) {
+    throw new AppError('Session not found or access denied', 404);
+  }
+  return session;
+}
+
+/**
+ * Generation settings of a session: the character preset, the user's override
+ * and the effective merge used for replies
+ */
+export async function getSessionGenerationSettings(sessionId, userId) {
+  const session = await getSession(sessionId, userId);
+  const characterSettings = normalizeGenerationSettings(session.character?.generation_settings);
+  const sessionSettings = normalizeGenerationSettings(session.generation_settings);
+  return {
+    character: characterSettings,
+    session: sessionSettings,
+    effective: resolveGenerationOptions(characterSettings, sessionSettings)
+  };
+}
+
+/**
+ * Replaces the user's per-session override; pass {} to fall back to the character preset
+ */
+export async function updateSessionGenerationSettings(sessionId, userId, settings) {
+  await assertSessionOwner(sessionId, userId);
+  const errors = validateGenerationSettings(settings);
+  if (errors.length) {
+    throw new AppError(`Validation failed: ${errors.join(', ')}`, 400);
+  }
+  const { error } = await supabase
+    .from('chat_sessions')
+    .update({ generation_settings: normalizeGenerationSettings(settings) })
+    .eq('id', sessionId)
+    .eq('user_id', userId);
+  if (error) {
+    throw new Error('Failed to update generation settings');
+  }
+  return getSessionGenerationSettings(sessionId, userId);
+}
+
+// Group-only operations need a group session owned by the user
+async function assertGroupSession(sessionId, userId) {
+  const session = await assertSessionOwner(sessionId, userId);
+  if (!session.is_group) {
+    throw new AppError('This is not a group session', 400);
+  }
+  return session;
+}
+
+/**
+ * Adds a character to a group session's cast (caller checks character access)
+ */
+export async function addSessionCharacter(sessionId, userId, characterId) {
+  await assertGroupSession(sessionId, userId);
+  return addCastMember(sessionId, characterId);
+}
+
+/**
+ * Removes a character from a group session's cast
+ */
+export async function removeSessionCharacter(sessionId, userId, characterId) {
+  const session = await assertGroupSession(sessionId, userId);
+  return removeCastMember(session, characterId);
+}
+
+/**
+ * Sets how a group session picks who replies: round_robin, mention or model
+ */
+export async function setSessionRoutingMode(sessionId, userId, routingMode) {
+  await assertGroupSession(sessionId, userId);
+  if (!ROUTING_MODES.includes(routingMode)) {
+    throw new AppError(`Routing mode must be one of: ${ROUTING_MODES.join(', ')}`, 400);
+  }
+  const { data: session, error } = await supabase
+    .from('chat_sessions')
+    .update({ routing_mode: routingMode })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Failed to update routing mode');
+  }
+  return session;
+}
+
+/**
+ * Pins the session's character to a stored version, or follows the latest again (null)
+ * @returns {Promise<Object>} the updated session
+ */
+export async function setSessionCharacterVersion(sessionId, userId, version) {
+  const session = await assertSessionOwner(sessionId, userId);
+  let pinned = null;
+  if (version !== null && version !== undefined && version !== 'latest') {
+    pinned = (await getCharacterVersion(session.character_id, version)).version;
+  }
+  const { data: updated, error } = await supabase
+    .from('chat_sessions')
+    .update({ character_version: pinned })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Failed to update character version');
+  }
+  return updated;
+}
+
+/**
+ * Loads a message and verifies its session belongs to the user
+ */
+export async function getOwnedMessage(messageId, userId) {
+  const { data: msg, error } = await supabase
+    .from('chat_messages')
+    .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata, character_id, branch_id')
+    .eq('id', messageId)
+    .single();
+  if (error || !msg) {
+    throw new AppError('Message not found', 404);
+  }
+  await assertSessionOwner(msg.session_id, userId);
+  return msg;
+}
+
+async function listSwipeRows(messageId) {
+  const { data, error } = await supabase
+    .from('chat_message_swipes')
+    .select('id, message_id, order_index, swipe_index, content, is_nsfw, created_at')
+    .eq('message_id', messageId)
+    .order('swipe_index', { ascending: true });
+  if (error) {
+    throw new Error('Failed to fetch alternatives');
+  }
+  return data || [];
+}
+
+// Copy a swipe into the chat_messages row so history uses it
+async function applySwipe(msg, swipe, count) {
+  const metadata = { ...(msg.metadata || {}), swipe: { index: swipe.swipe_index, count } };
+  const { data: updated, error } = await supabase
+    .from('chat_messages')
+    .update({ content: swipe.content, is_nsfw: swipe.is_nsfw, metadata })
+    .eq('id', msg.id)
+    .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata, character_id')
+    .single();
+  if (error || !updated) {
+    throw new Error('Failed to apply alternative');
+  }
+  return updated;
+}
+
+/**
+ * Regenerates the last assistant reply of a session. The previous reply and
+ * every new one are kept as swipes on the same order_index; the newest swipe
+ * becomes the selected one. Each regenerated reply counts as a message
+ * against the plan's daily cap.
+ */
+export async function regenerateLastReply(sessionId, userId) {
+  await assertDailyLimit(userId, 'messages');
+  const session = await assertSessionOwner(sessionId, userId);
+
+  const { data: rows, error } = await supabase
+    .from('chat_messages')
+    .select('id, session_id, role, content, created_at, order_index, is_nsfw, metadata, character_id')
+    .eq('session_id', sessionId)
+    .is('branch_id', null)
+    .order('order_index', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(2);
+  if (error) {
+    throw new Error('Failed to fetch messages');
+  }
+  const [last, prev] = rows || [];
+  // In groups the reply may follow another character's reply instead of the user
+  if (!last || last.role !== 'assistant' || !prev || (prev.role !== 'user' && !session.is_group)) {
+    throw new AppError('Nothing to regenerate: the last turn must be a user message followed by a reply', 400);
+  }
+  await assertCharacterAllowedForUser(last.character_id || session.character_id, userId);
+
+  // Rebuild the prompt as it was for that turn: history without the turn itself,
+  // then the same user text. Group replies are rebuilt for the same speaker from
+  // the saved history.
+  const plan = await getUserPlanId(userId);
+  const { messages, usedNSFW, modelOptions, usage } = session.is_group
+    ? await buildMessagesForSession(sessionId, userId, null, {
+      excludeMessageIds: [last.id],
+      speakerId: last.character_id || null,
+      plan
+    })
+    : await buildMessagesForSession(sessionId, userId, prev.content, {
+      excludeMessageIds: [last.id, prev.id],
+      plan
+    });
+  const resp = await meteredChatCompletion(userId, messages, modelOptions);
+  const rawResponse = resp?.choices?.[0]?.message?.content?.trim() || '';
+  if (!rawResponse) {
+    throw new AppError('The model returned an empty reply, please try again', 502);
+  }
+  const { text: aiResponse } = await moderateOutput(rawResponse, {
+    userId,
+    sessionId,
+    characterId: last.character_id || session.character_id,
+    nsfwEnabled: !!usedNSFW
+  });
+
+  let swipes = await listSwipeRows(last.id);
+  const inserts = [];
+  if (swipes.length === 0) {
+    // First regenerate: keep the original reply as swipe 0
+    inserts.push({ message_id: last.id, session_id: sessionId, order_index: last.order_index, swipe_index: 0, content: last.content, is_nsfw: !!last.is_nsfw });
+  }
+  const nextIndex = swipes.length ? swipes[swipes.length - 1].swipe_index + 1 : 1;
+  inserts.push({ message_id: last.id, session_id: sessionId, order_index: last.order_index, swipe_index: nextIndex, content: aiResponse, is_nsfw: !!usedNSFW });
+
+  const { error: insErr } = await supabase.from('chat_message_swipes').insert(inserts);
+  if (insErr) {
+    console.error('Failed to save alternative reply:', { sessionId, userId, error: insErr });
+    throw new Error('Failed to save alternative reply');
+  }
+  await recordUsage(userId, 'messages');
+
+  swipes = await listSwipeRows(last.id);
+  const chosen = swipes.find(s => s.swipe_index === nextIndex);
+  const updated = await applySwipe(last, chosen, swipes.length);
+
+  await supabase
+    .from('chat_sessions')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId);
+
+  return { message: formatMessages([updated])[0], swipes, active_swipe: nextIndex, context: usage };
+}
+
+/**
+ * Lists the stored alternatives for an assistant message
+ */
+export async function listMessageSwipes(messageId, userId) {
+  const msg = await getOwnedMessage(messageId, userId);
+  const swipes = await listSwipeRows(messageId);
+  const active = msg.metadata?.swipe?.index ?? (swipes.length ? swipes[swipes.length - 1].swipe_index : null);
+  return { message: formatMessages([msg])[0], swipes, active_swipe: active };
+}
+
+/**
+ * Selects which alternative an assistant message shows (and feeds into history)
+ */
+export async function selectMessageSwipe(messageId, userId, swipeIndex) {
+  const msg = await getOwnedMessage(messageId, userId);
+  const swipes = await listSwipeRows(messageId);
+  const chosen = swipes.find(s => s.swipe_index === swipeIndex);
+  if (!chosen) {
+    throw new AppError('Alternative not found', 404);
+  }
+  const updated = await applySwipe(msg, chosen, swipes.length);
+  return { message: formatMessages([updated])[0], swipes, active_swipe: swipeIndex };
+}
+
+const BRANCH_FIELDS = 'id, session_id, name, fork_order_index, base_message_id, created_at';
+
+/**
+ * Moves the active messages with order_index >= forkOrderIndex into a new
+ * named branch. Returns the branch row, or null when there was nothing to archive.
+ */
+async function archiveActiveTail(sessionId, forkOrderIndex, name) {
+  const { count } = await supabase
+    .from('chat_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('session_id', sessionId)
+    .is('branch_id', null)
+    .gte('order_index', forkOrderIndex);
+  if (!count) return null;
+
+  // The active message the archived tail followed (none at the start of the chat)
+  const { data: baseRows } = await supabase
+    .from('chat_messages')
+    .select('id')
+    .eq('session_id', sessionId)
+    .is('branch_id', null)
+    .lt('order_index', forkOrderIndex)
+    .order('order_index', { ascending: false, nullsFirst: false })
+    .limit(1);
+
+  const { data: branch, error } = await supabase
+    .from('chat_branches')
+    .insert([{ session_id: sessionId, name, fork_order_index: forkOrderIndex, base_message_id: baseRows?.[0]?.id || null }])
+    .select(BRANCH_FIELDS)
+    .single();
+  if (error || !branch) {
+    console.error('Failed to create branch:', { sessionId, error });
+    throw new Error('Failed to create branch');
+  }
+
+  const { error: moveErr } = await supabase
+    .from('chat_messages')
+    .update({ branch_id: branch.id })
+    .eq('session_id', sessionId)
+    .is('branch_id', null)
+    .gte('order_index', forkOrderIndex);
+  if (moveErr) {
+    console.error('Failed to archive messages into branch:', { sessionId, branchId: branch.id, error: moveErr });
+    throw new Error('Failed to archive messages into branch');
+  }
+  await invalidateSummaryFrom(sessionId, forkOrderIndex);
+  return branch;
+}
+
+const defaultBranchName = (prefix) => `${prefix} ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
+
+/**
+ * Undoes archiveActiveTail after a failed edit: drops whatever the failed turn
+ * saved at or after fromOrderIndex and makes the archived tail active again.
+ */
+async function restoreArchivedTail(sessionId, branch, fromOrderIndex) {
+  const { error: dropErr } = await supabase
+    .from('chat_messages')
+    .delete()
+    .eq('session_id', sessionId)
+    .is('branch_id', null)
+    .gte('order_index', fromOrderIndex);
+  if (dropErr) throw new Error('Failed to remove the partial turn');
+
+  const { error: restoreErr } = await supabase
+    .from('chat_messages')
+    .update({ branch_id: null })
+    .eq('branch_id', branch.id);
+  if (restoreErr) throw new Error('Failed to restore branch messages');
+
+  await supabase.from('chat_branches').delete().eq('id', branch.id);
+  await invalidateSummaryFrom(sessionId, fromOrderIndex);
+}
+
+/**
+ * Edits a past user message. That turn and everything after it is archived
+ * into a named branch, the edited text is sent as a new turn at the same
+ * order_index and the conversation continues from there.
+ */
+export async function editUserMessage(messageId, userId, content, { branchName } = {}) {
+  const msg = await getOwnedMessage(messageId, userId);
+  if (msg.role !== 'user') {
+    throw new AppError('Only user messages can be edited', 400);
+  }
+  if (msg.branch_id) {
+    throw new AppError('Switch to this branch before editing its messages', 400);
+  }
+  if (msg.order_index == null) {
+    throw new AppError('This message cannot be edited', 400);
+  }
+  // The new turn is a message like any other (sendMessage records it); check
+  // the cap before the tail is archived
+  await assertDailyLimit(userId, 'messages');
+
+  const branch = await archiveActiveTail(
+    msg.session_id,
+    msg.order_index,
+    (branchName || '').trim().slice(0, 100) || defaultBranchName('Before edit')
+  );
+
+  // The active line now ends right before the edited turn, so the regular send
+  // path reuses its order_index and builds history from the kept prefix only.
+  // If the new turn fails (quota, moderation, provider) the old tail comes back.
+  let result;
+  try {
+    result = await sendMessage(msg.session_id, userId, content);
+  } catch (error) {
+    if (branch) {
+      await restoreArchivedTail(msg.session_id, branch, msg.order_index).catch((e) => {
+        console.error('Failed to restore conversation after a failed edit:', { sessionId: msg.session_id, branchId: branch.id, error: e });
+      });
+    }
+    throw error;
+  }
+  return { ...result, branch };
+}
+
+/**
+ * Lists archived branches for a session
+ */
+export async function listBranches(sessionId, userId) {
+  await assertSessionOwner(sessionId, userId);
+
+  const { data: branches, error } = await supabase
+    .from('chat_branches')
+    .select(BRANCH_FIELDS)
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: false });
+  if (error) {
+    throw new Error('Failed to fetch branches');
+  }
+
+  return Promise.all((branches || []).map(async (b) => {
+    const { data: first, count } = await supabase
+      .from('chat_messages')
+      .select('content', { count: 'exact' })
+      .eq('branch_id', b.id)
+      .order('order_index', { ascending: true, nullsFirst: false })
+      .limit(1);
+    return { ...b, message_count: count || 0, preview: first?.[0]?.content?.slice(0, 120) || null };
+  }));
+}
+
+const MAX_BRANCH_DEPTH = 100;
+
+/**
+ * Walks base_message_id links from a branch back to the active conversation.
+ * The earlier part of a branch's history may itself have been archived (an
+ * edit further up after the branch was made), so the path can cross other
+ * branches. Returns the order_index after the common ancestor and the
+ * archived ancestors, each with the last order_index the target runs through.
+ * Branches without a base (the start of the chat, or archived before bases
+ * were recorded) fork at their own fork_order_index.
+ */
+async function branchLineage(sessionId, target) {
+  const ancestors = [];
+  let branch = target;
+  for (let depth = 0; branch.base_message_id && depth < MAX_BRANCH_DEPTH; depth += 1) {
+    const { data: base } = await supabase
+      .from('chat_messages')
+      .select('id, order_index, branch_id')
+      .eq('id', branch.base_message_id)
+      .eq('session_id', sessionId)
+      .maybeSingle();
+    if (!base) break;
+    if (!base.branch_id) return { forkOrderIndex: base.order_index + 1, ancestors };
+
+    const { data: parent } = await supabase
+      .from('chat_branches')
+      .select(BRANCH_FIELDS)
+      .eq('id', base.branch_id)
+      .single();
+    if (!parent) break;
+    ancestors.push({ branch: parent, upTo: base.order_index, baseMessageId: base.id });
+    branch = parent;
+  }
+  return { forkOrderIndex: branch.fork_order_index, ancestors };
+}
+
+/**
+ * Makes an archived branch the active conversation. The active messages after
+ * the point the branch shares with them are archived into a new branch first
+ * so nothing is lost, and archived turns the branch followed come back with it.
+ */
+export async function switchBranch(sessionId, branchId, userId) {
+  await assertSessionOwner(sessionId, userId);
+
+  const { data: target, error } = await supabase
+    .from('chat_branches')
+    .select(BRANCH_FIELDS)
+    .eq('id', branchId)
+    .eq('session_id', sessionId)
+    .single();
+  if (error || !target) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  const { forkOrderIndex, ancestors } = await branchLineage(sessionId, target);
+  const archived = await archiveActiveTail(sessionId, forkOrderIndex, defaultBranchName('Auto-saved'));
+
+  // Ancestors give back the turns the target followed; what is left of each
+  // now hangs off the last restored turn
+  for (const { branch, upTo, baseMessageId } of ancestors) {
+    const { error: partErr } = await supabase
+      .from('chat_messages')
+      .update({ branch_id: null })
+      .eq('branch_id', branch.id)
+      .lte('order_index', upTo);
+    if (partErr) {
+      throw new Error('Failed to restore branch messages');
+    }
+    const { count: remaining } = await supabase
+      .from('chat_messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('branch_id', branch.id);
+    if (remaining) {
+      await supabase
+        .from('chat_branches')
+        .update({ fork_order_index: upTo + 1, base_message_id: baseMessageId })
+        .eq('id', branch.id);
+    } else {
+      await supabase.from('chat_branches').delete().eq('id', branch.id);
+    }
+  }
+
+  const { error: restoreErr } = await supabase
+    .from('chat_messages')
+    .update({ branch_id: null })
+    .eq('branch_id', target.id);
+  if (restoreErr) {
+    throw new Error('Failed to restore branch messages');
+  }
+
+  await supabase.from('chat_branches').delete().eq('id', target.id);
+  await invalidateSummaryFrom(sessionId, forkOrderIndex);
+
+  await supabase
+    .from('chat_sessions')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId);
+
+  return { restored: target, archived };
+}
+
+/**
+ * Deletes an archived branch and its messages
+ */
+export async function deleteBranch(sessionId, branchId, userId) {
+  await assertSessionOwner(sessionId, userId);
+
+  const { error: msgErr } = await supabase
+    .from('chat_messages')
+    .delete()
+    .eq('session_id', sessionId)
+    .eq('branch_id', branchId);
+  if (msgErr) {
+    throw new Error('Failed to delete branch messages');
+  }
+
+  const { error } = await supabase
+    .from('chat_branches')
+    .delete()
+    .eq('id', branchId)
+    .eq('session_id', sessionId);
+  if (error) {
+    throw new Error('Failed to delete branch');
+  }
+  return { success: true };
+}
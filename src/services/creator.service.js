@@ -0,0 +1,300 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import env from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { ADULT_PROFILE_FIELDS, canAccessAdultContent, isNSFWCharacter } from '../utils/adultContent.js';
+import { sendToUser } from './push.service.js';
+import { sendEmail, buildCreatorAnnouncementEmail } from './email.service.js';
+
+// Public creator profiles (/api/v1/users/:username), follows, the following
+// feed and announcements to followers when a creator publishes a character.
+
+// Profile columns anyone may see
+const PUBLIC_PROFILE_FIELDS = 'id, username, first_name, avatar_url, created_at';
+
+const clampLimit = (limit, fallback = 20) => Math.max(1, Math.min(50, parseInt(limit, 10) || fallback));
+const ANNOUNCE_BATCH = 500;
+
+// Opaque feed cursor: the last item's (published_at, id), so items published
+// at the same instant are not skipped between pages
+function encodeFeedCursor(publishedAt, id) {
+  return Buffer.from(JSON.stringify({ p: publishedAt, id })).toString('base64url');
+}
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Both values end up in a PostgREST filter, so they are checked strictly
+function decodeFeedCursor(cursor) {
+  try {
+    const { p, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (ISO_TIMESTAMP.test(p) && UUID.test(id)) return { publishedAt: p, id };
+  } catch {
+    // Falls through to the error below
+  }
+  throw new AppError('Invalid cursor', 400);
+}
+
+const pageOf = (page, limit) => {
+  const p = Math.max(1, parseInt(page, 10) || 1);
+  return { page: p, offset: (p - 1) * limit };
+};
+
+/**
+ * Active account by username (closed and suspended accounts have no profile)
+ * @throws {AppError} 404
+ */
+export async function getCreatorByUsername(username) {
+  const { data, error } = await supabaseAdmin
+    .from('user_profiles')
+    .select(`${PUBLIC_PROFILE_FIELDS}, is_active, suspended_at`)
+    .eq('username', String(username || '').trim())
+    .maybeSingle();
+  if (error) throw new Error('Failed to fetch profile');
+  if (!data || data.is_active === false || data.suspended_at) throw new AppError('User not found', 404);
+  const { is_active: _active, suspended_at: _suspended, ...profile } = data;
+  return profile;
+}
+
+// Public characters of a creator that this viewer may list
+function publicCharactersQuery(creatorId, viewer, columns, options) {
+  let query = supabaseAdmin
+    .from('characters')
+    .select(columns, options)
+    .eq('creator_id', creatorId)
+    .eq('visibility', 'public')
+    .is('hidden_at', null);
+  if (!canAccessAdultContent(viewer)) query = query.eq('nsfw_enabled', false);
+  return query;
+}
+
+async function countFollows(column, userId) {
+  const { count, error } = await supabaseAdmin
+    .from('creator_follows')
+    .select('creator_id', { count: 'exact', head: true })
+    .eq(column, userId);
+  if (error) throw new Error('Failed to count follows');
+  return count || 0;
+}
+
+/**
+ * Creator profile with totals over their public characters and one page of
+ * those characters (newest first, or by popularity)
+ * @param {string} username
+ * @param {Object|null} viewer - req.user when signed in
+ * @param {{ sort?: 'new'|'popular', page?: number, limit?: number }} [options]
+ */
+export async function getCreatorProfile(username, viewer, { sort = 'new', page, limit } = {}) {
+  const creator = await getCreatorByUsername(username);
+  const size = clampLimit(limit, 12);
+  const { page: p, offset } = pageOf(page, size);
+
+  const [{ data: totals, error: totalsErr }, listed, followers, following, followRow] = await Promise.all([
+    publicCharactersQuery(creator.id, viewer, 'likes_count, uses_count'),
+    publicCharactersQuery(creator.id, viewer, '*', { count: 'exact' })
+      .order(sort === 'popular' ? 'popularity_score' : 'published_at', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + size - 1),
+    countFollows('creator_id', creator.id),
+    countFollows('follower_id', creator.id),
+    viewer && viewer.id !== creator.id
+      ? supabaseAdmin.from('creator_follows').select('notify')
+        .eq('follower_id', viewer.id).eq('creator_id', creator.id).maybeSingle()
+      : Promise.resolve({ data: null })
+  ]);
+  if (totalsErr || listed.error) throw new Error('Failed to fetch characters');
+
+  const count = listed.count || 0;
+  return {
+    profile: {
+      ...creator,
+      is_self: viewer?.id === creator.id,
+      is_following: !!followRow?.data,
+      notify: followRow?.data ? followRow.data.notify : null,
+      stats: {
+        characters: (totals || []).length,
+        likes: (totals || []).reduce((sum, c) => sum + (Number(c.likes_count) || 0), 0),
+        uses: (totals || []).reduce((sum, c) => sum + (Number(c.uses_count) || 0), 0),
+        followers,
+        following
+      }
+    },
+    characters: listed.data || [],
+    pagination: {
+      total: count,
+      page: p,
+      limit: size,
+      total_pages: Math.ceil(count / size),
+      hasMore: offset + (listed.data?.length || 0) < count
+    }
+  };
+}
+
+/**
+ * Follows a creator, or updates `notify` when already following
+ * @param {Object} user - req.user
+ * @param {string} username
+ * @param {{ notify?: boolean }} [options]
+ */
+export async function followCreator(user, username, { notify } = {}) {
+  const creator = await getCreatorByUsername(username);
+  if (creator.id === user.id) throw new AppError('You cannot follow yourself', 400);
+  const row = { follower_id: user.id, creator_id: creator.id };
+  if (notify !== undefined) row.notify = notify === true || notify === 'true';
+  const { data, error } = await supabaseAdmin
+    .from('creator_follows')
+    .upsert(row, { onConflict: 'follower_id,creator_id' })
+    .select('creator_id, notify, created_at')
+    .single();
+  if (error) throw new Error('Failed to follow creator');
+  return { ...data, creator };
+}
+
+/**
+ * Unfollows a creator (idempotent)
+ */
+export async function unfollowCreator(user, username) {
+  const creator = await getCreatorByUsername(username);
+  const { error } = await supabaseAdmin
+    .from('creator_follows')
+    .delete()
+    .eq('follower_id', user.id)
+    .eq('creator_id', creator.id);
+  if (error) throw new Error('Failed to unfollow creator');
+}
+
+/**
+ * Creators the user follows, most recently followed first
+ * @param {string} userId
+ * @param {{ before?: string, limit?: number }} [options] - before: followed-at ISO timestamp
+ */
+export async function listFollowing(userId, { before, limit } = {}) {
+  let query = supabaseAdmin
+    .from('creator_follows')
+    .select(`notify, created_at, creator:user_profiles!creator_follows_creator_id_fkey(${PUBLIC_PROFILE_FIELDS})`)
+    .eq('follower_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(clampLimit(limit));
+  if (before) query = query.lt('created_at', before);
+  const { data, error } = await query;
+  if (error) throw new Error('Failed to fetch followed creators');
+  return (data || []).filter(f => f.creator).map(f => ({ ...f.creator, notify: f.notify, followed_at: f.created_at }));
+}
+
+/**
+ * Newest public characters from followed creators
+ * @param {Object} user - req.user
+ * @param {{ cursor?: string, limit?: number }} [options] - cursor: next_cursor of the previous page
+ * @returns {Promise<{ items: Object[], next_cursor: string|null }>}
+ */
+export async function getFollowingFeed(user, { cursor, limit } = {}) {
+  const size = clampLimit(limit);
+  const after = cursor ? decodeFeedCursor(cursor) : null;
+  const { data: follows, error: followErr } = await supabaseAdmin
+    .from('creator_follows')
+    .select('creator_id')
+    .eq('follower_id', user.id)
+    .limit(1000);
+  if (followErr) throw new Error('Failed to fetch followed creators');
+  const creatorIds = (follows || []).map(f => f.creator_id);
+  if (!creatorIds.length) return { items: [], next_cursor: null };
+
+  let query = supabaseAdmin
+    .from('characters')
+    .select('*, creator:user_profiles!characters_creator_id_fkey(username, first_name, avatar_url)')
+    .in('creator_id', creatorIds)
+    .eq('visibility', 'public')
+    .is('hidden_at', null)
+    .not('published_at', 'is', null)
+    .order('published_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(size);
+  if (!canAccessAdultContent(user)) query = query.eq('nsfw_enabled', false);
+  if (after) {
+    query = query.or(`published_at.lt."${after.publishedAt}",and(published_at.eq."${after.publishedAt}",id.lt.${after.id})`);
+  }
+  const { data, error } = await query;
+  if (error) throw new Error('Failed to fetch feed');
+
+  const items = data || [];
+  const last = items[items.length - 1];
+  return {
+    items,
+    next_cursor: items.length === size ? encodeFeedCursor(last.published_at, last.id) : null
+  };
+}
+
+// Followers to announce to: notify on, account active, and allowed to see
+// the character (NSFW characters only go to verified, opted-in adults)
+async function followersToNotify(creatorId, character, from) {
+  const { data, error } = await supabaseAdmin
+    .from('creator_follows')
+    .select(`follower:user_profiles!creator_follows_follower_id_fkey(id, email, username, first_name, is_email_verified, is_active, suspended_at, ${ADULT_PROFILE_FIELDS})`)
+    .eq('creator_id', creatorId)
+    .eq('notify', true)
+    .order('created_at', { ascending: true })
+    .range(from, from + ANNOUNCE_BATCH - 1);
+  if (error) throw new Error('Failed to fetch followers');
+  const rows = data || [];
+  const followers = rows
+    .map(r => r.follower)
+    .filter(f => f && f.is_active !== false && !f.suspended_at)
+    .filter(f => !isNSFWCharacter(character) || canAccessAdultContent(f));
+  return { followers, done: rows.length < ANNOUNCE_BATCH };
+}
+
+/**
+ * Tells followers that a creator published a character: push always (when
+ * push is configured), email when CREATOR_ANNOUNCEMENT_EMAIL_ENABLED is on.
+ * Best effort; never throws. Callers do not await it.
+ * @param {Object} character - the published characters row
+ */
+export async function announceCharacterPublished(character) {
+  if (!env.CREATOR_ANNOUNCEMENTS_ENABLED || !character?.creator_id) return { notified: 0 };
+  try {
+    const { data: creator } = await supabaseAdmin
+      .from('user_profiles')
+      .select('username, first_name')
+      .eq('id', character.creator_id)
+      .single();
+    const creatorName = creator?.username || creator?.first_name || 'A creator you follow';
+    const appName = env.APP_NAME || 'Clyra AI';
+    const ctaUrl = env.APP_URL ? `${env.APP_URL.replace(/\/$/, '')}/characters/${character.id}` : '';
+
+    let notified = 0;
+    for (let from = 0; ; from += ANNOUNCE_BATCH) {
+      const { followers, done } = await followersToNotify(character.creator_id, character, from);
+      for (const follower of followers) {
+        await sendToUser(follower.id, {
+          notification: {
+            title: `New from ${creatorName}`,
+            body: `${character.name} is now available to chat with.`
+          },
+          data: {
+            type: 'creator_published',
+            character_id: String(character.id),
+            creator_id: String(character.creator_id)
+          }
+        });
+        if (env.CREATOR_ANNOUNCEMENT_EMAIL_ENABLED && follower.email && follower.is_email_verified) {
+          const { subject, text, html } = buildCreatorAnnouncementEmail({
+            name: follower.first_name || follower.username || 'there',
+            creatorName,
+            characterName: character.name,
+            description: character.description || '',
+            appName,
+            ctaUrl
+          });
+          await sendEmail({ to: follower.email, subject, text, html }).catch((e) => {
+            console.warn('[creators] announcement email failed:', e?.message || e);
+          });
+        }
+        notified += 1;
+      }
+      if (done) break;
+    }
+    return { notified };
+  } catch (e) {
+    console.warn('[creators] announcement failed:', e?.message || e);
+    return { notified: 0 };
+  }
+}
@@ -0,0 +1,173 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HeadBucketCommand } from '@aws-sdk/client-s3';
+import env from '../config/env.js';
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import { redisClient } from '../config/redis.js';
+import { s3, S3_BUCKET, S3_REGION } from '../config/s3.js';
+import { getFirebaseApp } from '../config/firebase.js';
+import { PROVIDER_NAMES, getDefaultProvider, getProvider, pingProvider } from '../config/llm.js';
+import { verifySmtp } from './email.service.js';
+import AppError from '../utils/appError.js';
+
+// Fixed set of named health checks for /api/v1/diagnostics. Nothing here
+// takes input beyond the check name, and results never include secrets.
+// A check resolves to details (optionally with status 'warn' or 'skipped')
+// or throws, which reports it as 'fail'.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, '../../sql/migrations');
+const CHECK_TIMEOUT_MS = 10000;
+
+const skipped = (reason) => ({ status: 'skipped', reason });
+
+async function checkDatabase() {
+  const { count, error } = await supabaseAdmin
+    .from('user_profiles')
+    .select('id', { count: 'exact', head: true });
+  if (error) throw new Error(error.message || 'Query failed');
+  return { users: count || 0 };
+}
+
+// Migration file names without extension; .down.sql and backups are ignored
+async function migrationVersions() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  return files
+    .filter(f => f.endsWith('.sql') && !f.endsWith('.down.sql'))
+    .map(f => f.replace(/(\.up)?\.sql$/, ''))
+    .sort();
+}
+
+async function checkSchemaVersion() {
+  const { data, error } = await supabaseAdmin
+    .from('schema_migrations')
+    .select('version, applied_at')
+    .order('version', { ascending: false })
+    .limit(1);
+  if (error) throw new Error(`schema_migrations unreadable (is 031_add_schema_migrations applied?): ${error.message}`);
+  const current = data?.[0] || null;
+
+  let latest = null;
+  let pending = [];
+  try {
+    const versions = await migrationVersions();
+    latest = versions[versions.length - 1] || null;
+    pending = current ? versions.filter(v => v > current.version) : versions;
+  } catch {
+    // Migration files are not shipped with every deploy
+  }
+  return {
+    ...(pending.length && { status: 'warn' }),
+    current: current?.version || null,
+    applied_at: current?.applied_at || null,
+    latest,
+    pending
+  };
+}
+
+async function checkRedis() {
+  if (!process.env.REDIS_HOST) return skipped('REDIS_HOST is not set');
+  if (!redisClient.isConnected) throw new Error('Redis client is not connected');
+  const pong = await redisClient.client.ping();
+  return { response: pong };
+}
+
+async function checkS3() {
+  if (!S3_BUCKET) return skipped('S3_BUCKET is not set');
+  await s3.send(new HeadBucketCommand({ Bucket: S3_BUCKET }));
+  return { bucket: S3_BUCKET, region: S3_REGION };
+}
+
+async function checkSmtp() {
+  if (!env.SMTP_HOST) return skipped('SMTP_HOST is not set');
+  return verifySmtp();
+}
+
+async function checkFirebase() {
+  if (!(env.FIREBASE_PROJECT_ID && env.FIREBASE_CLIENT_EMAIL && env.FIREBASE_PRIVATE_KEY)) {
+    return skipped('Firebase admin credentials are not set');
+  }
+  const admin = getFirebaseApp();
+  if (!admin) throw new Error('Firebase admin failed to initialize');
+  // Exchanges the service account for an OAuth token: proves the key is valid
+  const token = await admin.app().options.credential.getAccessToken();
+  return {
+    project_id: env.FIREBASE_PROJECT_ID,
+    push_enabled: env.PUSH_ENABLED,
+    token_expires_in: token?.expires_in ?? null
+  };
+}
+
+// The default provider must answer; other configured ones only warn
+async function checkLLM() {
+  const defaultProvider = getDefaultProvider();
+  const names = PROVIDER_NAMES.filter(n => n === defaultProvider || (n !== 'mock' && getProvider(n).isConfigured()));
+  const providers = {};
+  let status;
+  for (const name of names) {
+    try {
+      providers[name] = { status: 'ok', ...(await pingProvider(name)) };
+    } catch (e) {
+      if (name === defaultProvider) throw new Error(`${name}: ${e?.message || e}`);
+      providers[name] = { status: 'fail', error: e?.message || String(e) };
+      status = 'warn';
+    }
+  }
+  return { ...(status && { status }), default: defaultProvider, providers };
+}
+
+export const CHECKS = {
+  database: checkDatabase,
+  schema_version: checkSchemaVersion,
+  redis: checkRedis,
+  s3: checkS3,
+  smtp: checkSmtp,
+  firebase: checkFirebase,
+  llm: checkLLM
+};
+
+export const CHECK_NAMES = Object.keys(CHECKS);
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs one named check
+ * @returns {Promise<{ name: string, status: 'ok'|'warn'|'skipped'|'fail', duration_ms: number, details?: Object, error?: string }>}
+ */
+export async function runCheck(name) {
+  const check = CHECKS[name];
+  if (!check) throw new AppError(`Unknown check. Available: ${CHECK_NAMES.join(', ')}`, 404);
+  const started = Date.now();
+  try {
+    const { status = 'ok', ...details } = (await withTimeout(check(), CHECK_TIMEOUT_MS)) || {};
+    return { name, status, duration_ms: Date.now() - started, details };
+  } catch (e) {
+    return { name, status: 'fail', duration_ms: Date.now() - started, error: e?.message || String(e) };
+  }
+}
+
+/**
+ * Runs checks in parallel (all of them by default). Overall status is the
+ * worst of: fail > warn > ok; skipped checks do not count.
+ * @param {string[]} [names]
+ */
+export async function runChecks(names = CHECK_NAMES) {
+  const unknown = names.filter(n => !CHECKS[n]);
+  if (unknown.length) {
+    throw new AppError(`Unknown check(s): ${unknown.join(', ')}. Available: ${CHECK_NAMES.join(', ')}`, 400);
+  }
+  const checks = await Promise.all(names.map(runCheck));
+  const status = checks.some(c => c.status === 'fail') ? 'fail'
+    : checks.some(c => c.status === 'warn') ? 'warn'
+      : 'ok';
+  return { status, environment: env.NODE_ENV, checked_at: new Date().toISOString(), checks };
+}
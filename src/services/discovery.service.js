@@ -0,0 +1,191 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import AppError, { AdultContentRequiredError } from '../utils/appError.js';
+import { canAccessAdultContent, isNSFWCharacter } from '../utils/adultContent.js';
+import { loadSignals } from '../jobs/recommendations.service.js';
+
+// Public character discovery: full-text search, tag facets, the new /
+// trending / top feeds and per-user recommendations. Filtering and ranking live in SQL
+// (sql/migrations/033_add_character_discovery.sql); this module validates
+// input, applies the adult content gate and encodes cursors.
+
+export const DISCOVERY_SORTS = ['relevance', 'new', 'trending', 'top'];
+export const NSFW_FILTERS = ['exclude', 'include', 'only'];
+
+const TRENDING_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+const MAX_TAGS = 10;
+
+// Opaque cursor: the sort it belongs to plus the last row's (score, id)
+function encodeCursor(sort, score, id) {
+  return Buffer.from(JSON.stringify({ o: sort, s: String(score), id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { o, s, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (o === sort && typeof id === 'string' && s !== undefined && !Number.isNaN(Number(s))) {
+      return { score: String(s), id };
+    }
+  } catch {
+    // Falls through to the error below
+  }
+  throw new AppError('Invalid cursor', 400);
+}
+
+// ?tags=a,b or ?tags=a&tags=b
+function parseTags(tags) {
+  if (!tags) return null;
+  const list = (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(t => String(t).trim())
+    .filter(Boolean);
+  if (list.length > MAX_TAGS) throw new AppError(`At most ${MAX_TAGS} tags can be combined`, 400);
+  return list.length ? [...new Set(list)] : null;
+}
+
+/**
+ * Validates the filters shared by feeds and facets and resolves the NSFW
+ * filter for this user: without adult content access it is always 'exclude'.
+ * @param {Object} user - req.user
+ * @param {{ q?: string, tags?: string|string[], type?: string, gender?: string, nsfw?: string }} filters
+ */
+function resolveFilters(user, { q, tags, type, gender, nsfw } = {}) {
+  const query = q ? String(q).trim().slice(0, MAX_QUERY_LENGTH) : '';
+  const allowed = canAccessAdultContent(user);
+  let nsfwFilter = nsfw ? String(nsfw).toLowerCase() : (allowed ? 'include' : 'exclude');
+  if (!NSFW_FILTERS.includes(nsfwFilter)) {
+    throw new AppError(`nsfw must be one of: ${NSFW_FILTERS.join(', ')}`, 400);
+  }
+  if (!allowed && nsfwFilter !== 'exclude') {
+    if (nsfwFilter === 'only') {
+      throw new AdultContentRequiredError('Verify your age and enable adult content to browse NSFW characters.');
+    }
+    nsfwFilter = 'exclude';
+  }
+  return {
+    p_query: query || null,
+    p_tags: parseTags(tags),
+    p_character_type: type ? String(type).trim() : null,
+    p_gender: gender ? String(gender).trim() : null,
+    p_nsfw: nsfwFilter
+  };
+}
+
+/**
+ * One page of public characters
+ * @param {Object} user - req.user
+ * @param {Object} options - filters (see resolveFilters) plus sort, cursor, limit.
+ *   sort defaults to 'relevance' with a query and 'trending' without one.
+ * @returns {Promise<{ items: Object[], sort: string, limit: number, next_cursor: string|null, hasMore: boolean }>}
+ */
+export async function discoverCharacters(user, { sort, cursor, limit, ...filters } = {}) {
+  const params = resolveFilters(user, filters);
+  const order = sort ? String(sort).toLowerCase() : (params.p_query ? 'relevance' : 'trending');
+  if (!DISCOVERY_SORTS.includes(order)) {
+    throw new AppError(`sort must be one of: ${DISCOVERY_SORTS.join(', ')}`, 400);
+  }
+  if (order === 'relevance' && !params.p_query) {
+    throw new AppError('sort=relevance needs a search query (q)', 400);
+  }
+  const size = Math.max(1, Math.min(MAX_LIMIT, parseInt(limit, 10) || DEFAULT_LIMIT));
+  const after = cursor ? decodeCursor(cursor, order) : null;
+
+  const { data, error } = await supabaseAdmin.rpc('discover_characters', {
+    ...params,
+    p_sort: order,
+    p_since: new Date(Date.now() - TRENDING_WINDOW_MS).toISOString(),
+    p_cursor_score: after?.score ?? null,
+    p_cursor_id: after?.id ?? null,
+    // One extra row tells us whether another page exists
+    p_limit: size + 1
+  });
+  if (error) throw new Error('Failed to fetch characters');
+
+  const rows = data || [];
+  const page = rows.slice(0, size);
+  const last = page[page.length - 1];
+  const hasMore = rows.length > size;
+  return {
+    items: page.map(r => ({ ...r.item, sort_score: Number(r.sort_score) })),
+    sort: order,
+    limit: size,
+    next_cursor: hasMore && last ? encodeCursor(order, last.sort_score, last.item.id) : null,
+    hasMore
+  };
+}
+
+/**
+ * Tag counts over the public characters matching the filters
+ * @param {Object} user - req.user
+ * @param {Object} options - filters (see resolveFilters) plus limit
+ * @returns {Promise<Array<{ tag: string, count: number }>>}
+ */
+export async function getTagFacets(user, { limit, ...filters } = {}) {
+  const params = resolveFilters(user, filters);
+  const { data, error } = await supabaseAdmin.rpc('discover_tag_facets', {
+    ...params,
+    p_limit: Math.max(1, Math.min(200, parseInt(limit, 10) || 50))
+  });
+  if (error) throw new Error('Failed to fetch tags');
+  return (data || []).map(r => ({ tag: r.tag, count: Number(r.count) }));
+}
+
+const RECOMMENDATION_LIMIT = 50;
+const MAX_POPULAR_OVERFETCH = 500;
+
+/**
+ * "For you" characters from the precomputed recommendations, re-checked
+ * against the current state (hidden, unpublished, NSFW gate, chatted with or
+ * liked since). Users without recommendations yet get popular characters
+ * instead, filtered the same way.
+ * @param {Object} user - req.user
+ * @param {{ limit?: number|string }} [options]
+ * @returns {Promise<{ items: Object[], source: 'personalized'|'popular' }>}
+ */
+export async function getRecommendations(user, { limit } = {}) {
+  const size = Math.max(1, Math.min(RECOMMENDATION_LIMIT, parseInt(limit, 10) || DEFAULT_LIMIT));
+  const adult = canAccessAdultContent(user);
+
+  const { data: recs, error } = await supabaseAdmin
+    .from('character_recommendations')
+    .select('score, reasons, computed_at, character:characters(*)')
+    .eq('user_id', user.id)
+    .order('score', { ascending: false })
+    .limit(RECOMMENDATION_LIMIT);
+  if (error) throw new Error('Failed to fetch recommendations');
+
+  // Same exclusions as the recommendations job: own, chatted with or liked
+  const { liked, chatted } = await loadSignals(user.id);
+  const unseen = (c) => c.creator_id !== user.id && !chatted.has(c.id) && !liked.has(c.id);
+
+  const candidates = (recs || []).filter(({ character: c }) => c
+    && c.visibility === 'public'
+    && !c.hidden_at
+    && unseen(c)
+    && (adult || !isNSFWCharacter(c)));
+
+  if (candidates.length) {
+    return {
+      source: 'personalized',
+      items: candidates.slice(0, size).map(({ character, score, reasons, computed_at }) => ({
+        ...character,
+        recommendation: { score, reasons, computed_at }
+      }))
+    };
+  }
+
+  let query = supabaseAdmin
+    .from('characters')
+    .select('*')
+    .eq('visibility', 'public')
+    .is('hidden_at', null)
+    .neq('creator_id', user.id)
+    .order('popularity_score', { ascending: false })
+    // Over-fetch by the number of excluded characters so a full page survives the filter
+    .limit(size + Math.min(MAX_POPULAR_OVERFETCH, chatted.size + liked.size));
+  if (!adult) query = query.eq('nsfw_enabled', false);
+  const { data: popular, error: popErr } = await query;
+  if (popErr) throw new Error('Failed to fetch characters');
+  return { source: 'popular', items: (popular || []).filter(unseen).slice(0, size) };
+}
@@ -32,6 +32,17 @@ function getTransporter() {
   return transporter;
 }
 
+/**
+ * Connects and authenticates against the SMTP server (diagnostics)
+ */
+export async function verifySmtp() {
+  if (!env.SMTP_HOST || !env.SMTP_USER) {
+    throw new Error('SMTP_HOST / SMTP_USER are not configured');
+  }
+  await getTransporter().verify();
+  return { host: env.SMTP_HOST, port: Number(env.SMTP_PORT || 587) };
+}
+
 export function buildNudgeEmail({
   name = 'there',
   characterName = 'Your character',
@@ -471,3 +482,148 @@ export function buildWelcomeEmail({ name = 'there', appName = 'Clyra AI', ctaUrl
   </html>`;
   return { subject, text, html };
 }
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Sent to a creator when reports hide one of their public characters
+export function buildCharacterHiddenEmail({
+  name = 'there',
+  characterName = 'Your character',
+  appName = 'Clyra AI',
+  reportCount = 0,
+  supportEmail = 'contact@orincore.com'
+}) {
+  const subject = `${appName}: ${characterName} is under review`;
+  const text = `Hi ${name},\n\n${characterName} received ${reportCount} reports from other users and has been hidden from public listings while our moderators review it. You can still chat with it yourself.\n\nIf the review finds no problem it will be visible again automatically. Questions? Contact ${supportEmail}.\n\n— The ${appName} Team`;
+  const safeName = escapeHtml(name);
+  const safeCharacter = escapeHtml(characterName);
+  const html = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <style>
+      body,table,td,a{ -ms-text-size-adjust:100%; -webkit-text-size-adjust:100%; }
+      table{ border-collapse:collapse !important; }
+      body{ margin:0 !important; padding:0 !important; width:100% !important; background-color:#0E0B1F; }
+      a { color: #6C5CE7; text-decoration: none; }
+      @media screen and (max-width:600px){ .container{ width:100% !important; } .px{ padding-left:20px !important; padding-right:20px !important; } }
+    </style>
+    <title>${appName} • Character under review</title>
+  </head>
+  <body style="background-color:#0E0B1F;">
+    <table border="0" cellpadding="0" cellspacing="0" role="presentation" width="100%">
+      <tr>
+        <td align="center" style="padding:32px 12px;">
+          <table class="container" border="0" cellpadding="0" cellspacing="0" role="presentation" width="640" style="width:640px; max-width:640px;">
+            <tr>
+              <td style="background:#15122A; border-radius:16px;">
+                <table width="100%" role="presentation" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td style="background:linear-gradient(135deg,#6C5CE7,#4B43BD); padding:28px; border-top-left-radius:16px;border-top-right-radius:16px; font-family:Segoe UI,Roboto,Arial,sans-serif; font-size:22px; font-weight:800; color:#FFFFFF;">
+                      ${appName}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td class="px" style="padding:28px; font-family:Segoe UI,Roboto,Arial,sans-serif;">
+                      <p style="margin:0 0 10px; color:#B8B5D8; font-size:16px;">Hi ${safeName},</p>
+                      <h2 style="margin:0 0 12px; color:#FFFFFF; font-size:22px; font-weight:800;">${safeCharacter} is under review</h2>
+                      <p style="margin:0 0 12px; color:#D7D4F3; font-size:15px; line-height:1.6;">It received ${reportCount} reports from other users and has been hidden from public listings while our moderators take a look. You can still chat with it yourself.</p>
+                      <p style="margin:0; color:#D7D4F3; font-size:15px; line-height:1.6;">If the review finds no problem it will be visible again automatically. Questions? Contact <a href="mailto:${supportEmail}">${supportEmail}</a>.</p>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="padding:18px 28px 26px; border-top:1px solid rgba(255,255,255,.06); font-family:Segoe UI,Roboto,Arial,sans-serif; color:#A8A5C9; font-size:12px;">
+                      &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>`;
+  return { subject, text, html };
+}
+
+// Sent to followers (who opted in) when a creator publishes a character
+export function buildCreatorAnnouncementEmail({
+  name = 'there',
+  creatorName = 'A creator you follow',
+  characterName = 'A new character',
+  description = '',
+  appName = 'Clyra AI',
+  ctaUrl = ''
+}) {
+  const subject = `${creatorName} published ${characterName} on ${appName}`;
+  const blurb = String(description || '').slice(0, 280);
+  const text = `Hi ${name},\n\n${creatorName} just published a new character: ${characterName}.${blurb ? `\n\n${blurb}` : ''}\n\n${ctaUrl ? `Meet them: ${ctaUrl}\n\n` : ''}You get this because you follow ${creatorName}. Turn announcements off from their profile.\n\n— The ${appName} Team`;
+  const safeName = escapeHtml(name);
+  const safeCreator = escapeHtml(creatorName);
+  const safeCharacter = escapeHtml(characterName);
+  const ctaHtml = ctaUrl ? `
+    <table align="center" role="presentation" cellpadding="0" cellspacing="0" style="margin:0 auto 8px;">
+      <tr>
+        <td align="center" bgcolor="#6C5CE7" style="border-radius:12px;">
+          <a href="${ctaUrl}" style="display:inline-block; padding:12px 18px; color:#FFFFFF; font-weight:700; font-family:Segoe UI,Roboto,Arial,sans-serif; text-decoration:none;">Meet ${safeCharacter}</a>
+        </td>
+      </tr>
+    </table>
+  ` : '';
+  const html = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <style>
+      body,table,td,a{ -ms-text-size-adjust:100%; -webkit-text-size-adjust:100%; }
+      table{ border-collapse:collapse !important; }
+      body{ margin:0 !important; padding:0 !important; width:100% !important; background-color:#0E0B1F; }
+      a { color: #6C5CE7; text-decoration: none; }
+      @media screen and (max-width:600px){ .container{ width:100% !important; } .px{ padding-left:20px !important; padding-right:20px !important; } }
+    </style>
+    <title>${appName} • New character</title>
+  </head>
+  <body style="background-color:#0E0B1F;">
+    <table border="0" cellpadding="0" cellspacing="0" role="presentation" width="100%">
+      <tr>
+        <td align="center" style="padding:32px 12px;">
+          <table class="container" border="0" cellpadding="0" cellspacing="0" role="presentation" width="640" style="width:640px; max-width:640px;">
+            <tr>
+              <td style="background:#15122A; border-radius:16px;">
+                <table width="100%" role="presentation" cellpadding="0" cellspacing="0">
+                  <tr>
+                    <td style="background:linear-gradient(135deg,#6C5CE7,#4B43BD); padding:28px; border-top-left-radius:16px;border-top-right-radius:16px; font-family:Segoe UI,Roboto,Arial,sans-serif; font-size:22px; font-weight:800; color:#FFFFFF;">
+                      ${appName}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td class="px" style="padding:28px; font-family:Segoe UI,Roboto,Arial,sans-serif;">
+                      <p style="margin:0 0 10px; color:#B8B5D8; font-size:16px;">Hi ${safeName},</p>
+                      <h2 style="margin:0 0 12px; color:#FFFFFF; font-size:22px; font-weight:800;">${safeCreator} published ${safeCharacter}</h2>
+                      ${blurb ? `<p style="margin:0 0 18px; color:#D7D4F3; font-size:15px; line-height:1.6;">${escapeHtml(blurb)}</p>` : ''}
+                      ${ctaHtml}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="padding:18px 28px 26px; border-top:1px solid rgba(255,255,255,.06); font-family:Segoe UI,Roboto,Arial,sans-serif; color:#A8A5C9; font-size:12px;">
+                      <div style="margin:0 0 4px;">You get this because you follow ${safeCreator}. Turn announcements off from their profile.</div>
+                      <div>&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</div>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>`;
+  return { subject, text, html };
+}
@@ -0,0 +1,245 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import { DEFAULT_PLAN, PLAN_IDS, getPlan, effectivePlanId } from '../config/plans.js';
+import AppError, { PlanLimitError } from '../utils/appError.js';
+import { QuotaExceededError } from '../middleware/errorHandler.js';
+
+// Usage ledger metrics (usage_daily.metric, one row per user, UTC day and metric)
+export const USAGE_METRICS = [
+  'messages',
+  'llm_calls',
+  'llm_tokens_in',
+  'llm_tokens_out',
+  'tts_chars',
+  'avatar_generations'
+];
+
+// Daily quotas: the plan limit each one checks and the ledger metrics it sums
+export const DAILY_QUOTAS = {
+  messages: { limit: 'daily_messages', metrics: ['messages'] },
+  llm_tokens: { limit: 'llm_tokens_daily', metrics: ['llm_tokens_in', 'llm_tokens_out'] },
+  tts_chars: { limit: 'tts_chars_daily', metrics: ['tts_chars'] },
+  avatar_generations: { limit: 'avatar_generations_daily', metrics: ['avatar_generations'] }
+};
+
+const LIMIT_LABELS = {
+  daily_messages: 'messages per day',
+  llm_tokens_daily: 'AI tokens per day',
+  tts_chars_daily: 'characters of speech per day',
+  avatar_generations_daily: 'avatar generations per day',
+  characters: 'characters'
+};
+
+const todayUTC = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * When daily counters roll over (next UTC midnight)
+ */
+export function nextResetAt(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+async function loadPlanProfile(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('user_profiles')
+    .select('id, plan, plan_expires_at')
+    .eq('id', userId)
+    .single();
+  if (error) return null;
+  return data;
+}
+
+/**
+ * Plan id in effect for a user; 'free' on any lookup problem
+ */
+export async function getUserPlanId(userId) {
+  try {
+    return effectivePlanId(await loadPlanProfile(userId));
+  } catch {
+    return DEFAULT_PLAN;
+  }
+}
+
+/**
+ * The user's plan and its limits
+ * @returns {Promise<{ plan: string, name: string, model_access: string, limits: Object, expires_at: string|null }>}
+ */
+export async function getEntitlements(userId) {
+  const profile = await loadPlanProfile(userId);
+  const plan = getPlan(effectivePlanId(profile));
+  return {
+    plan: plan.id,
+    name: plan.name,
+    model_access: plan.model_access,
+    limits: { ...plan.limits },
+    expires_at: profile?.plan === plan.id ? profile?.plan_expires_at || null : null
+  };
+}
+
+/**
+ * Today's ledger counters: { messages, llm_calls, llm_tokens_in, ... } (0 when unused)
+ */
+export async function getDailyUsage(userId, day = todayUTC()) {
+  const { data, error } = await supabaseAdmin
+    .from('usage_daily')
+    .select('metric, amount')
+    .eq('user_id', userId)
+    .eq('day', day);
+  if (error) throw new Error('Failed to fetch usage');
+  const usage = Object.fromEntries(USAGE_METRICS.map(m => [m, 0]));
+  (data || []).forEach((r) => { usage[r.metric] = Number(r.amount) || 0; });
+  return usage;
+}
+
+const quotaUsed = (quota, usage) => DAILY_QUOTAS[quota].metrics.reduce((sum, m) => sum + (usage[m] || 0), 0);
+
+/**
+ * Adds to today's counter for a metric. Never throws: a failed write should
+ * not fail the request that already did the work.
+ */
+export async function recordUsage(userId, metric, amount = 1) {
+  if (!userId || !(amount > 0)) return;
+  const { error } = await supabaseAdmin.rpc('increment_usage_daily', {
+    p_user_id: userId,
+    p_day: todayUTC(),
+    p_metric: metric,
+    p_amount: Math.round(amount)
+  });
+  if (error) console.warn('[usage] failed to record', metric, error.message || error);
+}
+
+/**
+ * Throws QuotaExceededError (429, Retry-After until the daily reset) when
+ * `amount` more would exceed the plan's daily quota. Call before the paid work.
+ * @param {string} userId
+ * @param {'messages'|'llm_tokens'|'tts_chars'|'avatar_generations'} quota
+ * @param {number} [amount=1]
+ */
+export async function assertDailyLimit(userId, quota, amount = 1) {
+  const def = DAILY_QUOTAS[quota];
+  if (!def) throw new Error(`Unknown usage quota: ${quota}`);
+  const entitlements = await getEntitlements(userId);
+  const allowed = entitlements.limits[def.limit];
+  if (allowed == null) return;
+  const used = quotaUsed(quota, await getDailyUsage(userId));
+  if (used + amount > allowed) {
+    const resetsAt = nextResetAt();
+    throw new QuotaExceededError(
+      `You've used today's ${allowed} ${LIMIT_LABELS[def.limit]} on the ${entitlements.name} plan. It resets at ${resetsAt}.`,
+      {
+        retryAfter: Math.max(1, Math.ceil((new Date(resetsAt).getTime() - Date.now()) / 1000)),
+        details: { plan: entitlements.plan, quota, limit: allowed, used, resets_at: resetsAt }
+      }
+    );
+  }
+}
+
+async function countOwnedCharacters(userId) {
+  const { count, error } = await supabaseAdmin
+    .from('characters')
+    .select('id', { count: 'exact', head: true })
+    .eq('creator_id', userId);
+  if (error) throw new Error('Failed to count characters');
+  return count || 0;
+}
+
+/**
+ * Throws PlanLimitError when the user already owns as many characters as the plan allows
+ */
+export async function assertCanCreateCharacter(userId) {
+  const entitlements = await getEntitlements(userId);
+  const allowed = entitlements.limits.characters;
+  if (allowed == null) return;
+  const used = await countOwnedCharacters(userId);
+  if (used >= allowed) {
+    throw new PlanLimitError(
+      `Your ${entitlements.name} plan allows ${allowed} ${LIMIT_LABELS.characters}. Upgrade your plan to create more.`,
+      { plan: entitlements.plan, limit: 'characters', allowed, used }
+    );
+  }
+}
+
+/**
+ * Plan, quotas with their reset times and today's raw ledger for /auth/me/usage
+ */
+export async function getUsageSummary(userId) {
+  const [entitlements, daily, characters] = await Promise.all([
+    getEntitlements(userId),
+    getDailyUsage(userId),
+    countOwnedCharacters(userId)
+  ]);
+  const resetsAt = nextResetAt();
+  const quotas = {};
+  Object.entries(DAILY_QUOTAS).forEach(([quota, def]) => {
+    const limit = entitlements.limits[def.limit];
+    const used = quotaUsed(quota, daily);
+    quotas[quota] = {
+      used,
+      limit,
+      remaining: limit == null ? null : Math.max(0, limit - used),
+      resets_at: resetsAt
+    };
+  });
+  return {
+    plan: entitlements.plan,
+    name: entitlements.name,
+    expires_at: entitlements.expires_at,
+    model_access: entitlements.model_access,
+    context_tokens: entitlements.limits.context_tokens,
+    quotas,
+    // Lifetime limit, no reset
+    characters: { used: characters, limit: entitlements.limits.characters },
+    today: { day: todayUTC(), ...daily },
+    resets_at: resetsAt
+  };
+}
+
+/**
+ * Sets a user's plan and records the grant.
+ * @param {string} userId
+ * @param {string} planId
+ * @param {Object} grant
+ * @param {'admin'|'payment'} grant.source
+ * @param {string|null} [grant.expiresAt] - ISO timestamp; null = no expiry
+ * @param {string|null} [grant.grantedBy] - admin user id
+ * @param {string|null} [grant.reference] - payment event id or admin note
+ */
+export async function grantPlan(userId, planId, { source, expiresAt = null, grantedBy = null, reference = null }) {
+  const plan = String(planId || '').toLowerCase();
+  if (!PLAN_IDS.includes(plan)) {
+    throw new AppError(`Plan must be one of: ${PLAN_IDS.join(', ')}`, 400);
+  }
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+    throw new AppError('expires_at must be a valid date', 400);
+  }
+
+  const { data: profile, error } = await supabaseAdmin
+    .from('user_profiles')
+    .update({
+      plan,
+      plan_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+      plan_updated_at: new Date().toISOString()
+    })
+    .eq('id', userId)
+    .select('id, plan, plan_expires_at, plan_updated_at')
+    .maybeSingle();
+  if (error) throw new Error('Failed to update plan');
+  if (!profile) throw new AppError('User not found', 404);
+
+  const { error: grantErr } = await supabaseAdmin
+    .from('plan_grants')
+    .insert([{ user_id: userId, plan, source, granted_by: grantedBy, expires_at: profile.plan_expires_at, reference }]);
+  if (grantErr) console.warn('[plans] failed to record grant:', grantErr.message || grantErr);
+
+  return profile;
+}
+
+export async function listPlanGrants(userId, limit = 50) {
+  const { data, error } = await supabaseAdmin
+    .from('plan_grants')
+    .select('id, plan, source, granted_by, expires_at, reference, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw new Error('Failed to fetch plan grants');
+  return data || [];
+}
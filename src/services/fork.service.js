@@ -0,0 +1,151 @@
+import { v4 as uuidv4 } from 'uuid';
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import AppError, { AdultContentRequiredError } from '../utils/appError.js';
+import { canAccessAdultContent, isNSFWCharacter } from '../utils/adultContent.js';
+import { getOwnObjectKey, copyWithinS3 } from '../utils/s3.js';
+import { getImageOutputConfig } from '../utils/imageProcessor.js';
+import { validateCharacterData } from '../utils/characterUtils.js';
+import { assertCanCreateCharacter } from './entitlements.service.js';
+import { snapshotOf, recordInitialVersion } from './characterVersion.service.js';
+
+// Forks / remixes (sql/migrations/037_add_character_forks.sql): a private
+// copy of a public character that links back to its source and credits the
+// original creator. Creators opt out per character with allow_remixes.
+
+const CREDIT_PROFILE_FIELDS = 'id, username, first_name, avatar_url';
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024; // the avatar upload limit
+
+// The avatar is copied rather than shared: the source's creator may replace
+// (and delete) theirs at any time. Only avatars stored in our bucket are
+// copied, inside S3; the server never fetches a URL taken from a character
+// row. Best effort; the fork has no avatar on failure.
+async function copyAvatar(avatarUrl, forkId) {
+  if (!avatarUrl) return '';
+  const sourceKey = getOwnObjectKey(avatarUrl);
+  if (!sourceKey || !sourceKey.startsWith('avatars/')) {
+    console.warn('[forks] not copying an avatar from outside the bucket');
+    return '';
+  }
+  try {
+    const sourceExtension = sourceKey.split('.').pop();
+    const fileExtension = /^[a-z0-9]{2,5}$/i.test(sourceExtension) ? sourceExtension : getImageOutputConfig().fileExtension;
+    const { url } = await copyWithinS3(sourceKey, `avatars/${forkId}/${uuidv4()}.${fileExtension}`, {
+      maxBytes: MAX_AVATAR_BYTES
+    });
+    return url;
+  } catch (e) {
+    console.warn('[forks] failed to copy avatar:', e?.message || e);
+    return '';
+  }
+}
+
+/**
+ * Copies a character into the user's private characters. Anyone may fork a
+ * public character whose creator allows remixes; owners may always copy their own.
+ * @param {Object} user - req.user
+ * @param {string} sourceId
+ * @param {{ name?: string }} [options] - name: optional name for the copy
+ * @returns {Promise<{ character: Object, source: Object }>}
+ */
+export async function forkCharacter(user, sourceId, { name } = {}) {
+  const { data: source, error: sourceErr } = await supabaseAdmin
+    .from('characters')
+    .select('*')
+    .eq('id', sourceId)
+    .maybeSingle();
+  if (sourceErr) throw new Error('Failed to fetch character');
+
+  const isOwner = source?.creator_id === user.id;
+  if (!source || (source.hidden_at && !isOwner)) throw new AppError('Character not found', 404);
+  if (!isOwner) {
+    if (source.visibility !== 'public') throw new AppError('Only public characters can be remixed', 403);
+    if (source.allow_remixes === false) throw new AppError('The creator does not allow remixes of this character', 403);
+  }
+  if (isNSFWCharacter(source) && !canAccessAdultContent(user)) {
+    throw new AdultContentRequiredError();
+  }
+  await assertCanCreateCharacter(user.id);
+
+  // Unset fields fall back to the column defaults
+  const fields = Object.fromEntries(Object.entries(snapshotOf(source)).filter(([, value]) => value !== null));
+  if (name !== undefined && name !== null && String(name).trim()) fields.name = String(name).trim();
+  const { isValid, errors } = validateCharacterData(fields);
+  if (!isValid) throw new AppError(`Validation failed: ${errors.join(', ')}`, 400);
+
+  const id = uuidv4();
+  const { data: character, error } = await supabaseAdmin
+    .from('characters')
+    .insert({
+      ...fields,
+      id,
+      creator_id: user.id,
+      avatar_url: await copyAvatar(source.avatar_url, id),
+      visibility: 'private',
+      nsfw_enabled: isNSFWCharacter(source),
+      forked_from: source.id,
+      forked_from_version: source.version || 1,
+      // A copy of a fork credits whoever made the original
+      forked_from_creator_id: isOwner && source.forked_from_creator_id ? source.forked_from_creator_id : source.creator_id,
+      updated_at: new Date()
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  await recordInitialVersion(character, user.id, `Forked from "${source.name}" (version ${source.version || 1})`);
+
+  return { character, source };
+}
+
+/**
+ * Recounts forks of a character made by other users (copies the creator makes
+ * of their own character do not count)
+ * @returns {Promise<number>} the new forks_count
+ */
+export async function refreshForkCount(characterId) {
+  const { data: source } = await supabaseAdmin
+    .from('characters')
+    .select('creator_id')
+    .eq('id', characterId)
+    .maybeSingle();
+  if (!source) return 0;
+
+  const { count, error } = await supabaseAdmin
+    .from('characters')
+    .select('id', { count: 'exact', head: true })
+    .eq('forked_from', characterId)
+    .neq('creator_id', source.creator_id);
+  if (error) throw new Error('Failed to count forks');
+
+  await supabaseAdmin
+    .from('characters')
+    .update({ forks_count: count || 0, updated_at: new Date().toISOString() })
+    .eq('id', characterId);
+  return count || 0;
+}
+
+/**
+ * Attribution for a forked character: the original creator, and the source
+ * character while it is still public (its id, name and version are not
+ * shown once it is private, hidden or deleted)
+ * @param {Object} character - characters row
+ * @returns {Promise<Object|null>} null when the character is not a fork
+ */
+export async function getForkCredit(character) {
+  if (!character?.forked_from && !character?.forked_from_creator_id) return null;
+  const [{ data: creator }, { data: source }] = await Promise.all([
+    character.forked_from_creator_id
+      ? supabaseAdmin.from('user_profiles').select(CREDIT_PROFILE_FIELDS).eq('id', character.forked_from_creator_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+    character.forked_from
+      ? supabaseAdmin.from('characters').select('id, name, visibility, hidden_at').eq('id', character.forked_from).maybeSingle()
+      : Promise.resolve({ data: null })
+  ]);
+  const sourceListed = source && source.visibility === 'public' && !source.hidden_at;
+  return {
+    character_id: sourceListed ? source.id : null,
+    character_name: sourceListed ? source.name : null,
+    version: sourceListed ? character.forked_from_version ?? null : null,
+    creator: creator || null
+  };
+}
@@ -0,0 +1,190 @@
+import supabase, { supabaseAdmin } from '../config/supabaseClient.js';
+import { meteredChatCompletion } from './metering.service.js';
+import AppError from '../utils/appError.js';
+
+export const ROUTING_MODES = ['round_robin', 'mention', 'model'];
+export const MIN_GROUP_SIZE = 2;
+export const MAX_GROUP_SIZE = 6;
+// Upper bound on replies to a single user message (mention mode can pick several)
+const MAX_REPLIES_PER_TURN = 3;
+
+const CAST_FIELDS = 'id, name, avatar_url, nsfw_enabled';
+
+/**
+ * Returns the ordered cast of a group session: [{ id, name, avatar_url, nsfw_enabled, position }]
+ */
+export async function getSessionCast(sessionId) {
+  const casts = await getCastsForSessions([sessionId]);
+  return casts[sessionId] || [];
+}
+
+/**
+ * Batch variant for session lists: { [sessionId]: cast[] }
+ */
+export async function getCastsForSessions(sessionIds) {
+  const ids = Array.from(new Set((sessionIds || []).filter(Boolean)));
+  if (!ids.length) return {};
+
+  const { data: rows, error } = await supabase
+    .from('chat_session_characters')
+    .select('session_id, character_id, position')
+    .in('session_id', ids)
+    .order('position', { ascending: true });
+  if (error) {
+    console.error('Error fetching group cast:', error);
+    throw new Error('Failed to fetch group cast');
+  }
+
+  const charIds = Array.from(new Set((rows || []).map(r => r.character_id)));
+  const charsById = {};
+  if (charIds.length) {
+    // Admin client: cast members may be other creators' public characters
+    const { data: chars } = await supabaseAdmin
+      .from('characters')
+      .select(CAST_FIELDS)
+      .in('id', charIds);
+    (chars || []).forEach(c => { charsById[c.id] = c; });
+  }
+
+  const result = {};
+  (rows || []).forEach((r) => {
+    const c = charsById[r.character_id];
+    if (!c) return;
+    (result[r.session_id] = result[r.session_id] || []).push({ ...c, position: r.position });
+  });
+  return result;
+}
+
+/**
+ * Inserts cast rows for a new group session, in the given speaking order
+ */
+export async function insertCast(sessionId, characterIds) {
+  const rows = characterIds.map((characterId, position) => ({ session_id: sessionId, character_id: characterId, position }));
+  const { error } = await supabase.from('chat_session_characters').insert(rows);
+  if (error) {
+    console.error('Error saving group cast:', error);
+    throw new Error('Failed to save group cast');
+  }
+}
+
+export async function addCastMember(sessionId, characterId) {
+  const cast = await getSessionCast(sessionId);
+  if (cast.some(c => c.id === characterId)) {
+    throw new AppError('Character is already in this group', 400);
+  }
+  if (cast.length >= MAX_GROUP_SIZE) {
+    throw new AppError(`A group can have at most ${MAX_GROUP_SIZE} characters`, 400);
+  }
+  const position = cast.length ? Math.max(...cast.map(c => c.position)) + 1 : 0;
+  const { error } = await supabase
+    .from('chat_session_characters')
+    .insert([{ session_id: sessionId, character_id: characterId, position }]);
+  if (error) throw new Error('Failed to add character to group');
+  return getSessionCast(sessionId);
+}
+
+/**
+ * Removes a cast member. The session's primary character_id moves to the next
+ * member when the primary one leaves.
+ */
+export async function removeCastMember(session, characterId) {
+  const cast = await getSessionCast(session.id);
+  if (!cast.some(c => c.id === characterId)) {
+    throw new AppError('Character is not in this group', 404);
+  }
+  if (cast.length <= MIN_GROUP_SIZE) {
+    throw new AppError(`A group needs at least ${MIN_GROUP_SIZE} characters`, 400);
+  }
+
+  const { error } = await supabase
+    .from('chat_session_characters')
+    .delete()
+    .eq('session_id', session.id)
+    .eq('character_id', characterId);
+  if (error) throw new Error('Failed to remove character from group');
+
+  const remaining = cast.filter(c => c.id !== characterId);
+  if (session.character_id === characterId) {
+    await supabase
+      .from('chat_sessions')
+      .update({ character_id: remaining[0].id })
+      .eq('id', session.id);
+  }
+  return remaining;
+}
+
+// Next member after the last speaker, in cast order
+function nextInRotation(cast, lastSpeakerId) {
+  const idx = cast.findIndex(c => c.id === lastSpeakerId);
+  return cast[(idx + 1) % cast.length];
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cast members addressed by full or first name, in order of first mention
+function mentionedMembers(cast, text) {
+  const hits = [];
+  cast.forEach((c) => {
+    const full = String(c.name || '').trim();
+    if (!full) return;
+    const names = [full, full.split(/\s+/)[0]];
+    let at = -1;
+    for (const n of names) {
+      const m = new RegExp(`(^|[^\\p{L}\\p{N}])@?${escapeRegExp(n)}(?=$|[^\\p{L}\\p{N}])`, 'iu').exec(text);
+      if (m && (at < 0 || m.index < at)) at = m.index;
+    }
+    if (at >= 0) hits.push({ c, at });
+  });
+  return hits.sort((a, b) => a.at - b.at).map(h => h.c);
+}
+
+// Ask the model who should answer; falls back to null on any problem
+async function modelChosenMember(cast, text, recent, userId) {
+  try {
+    const names = cast.map(c => c.name);
+    const transcript = (recent || []).map(l => `- ${l}`).join('\n');
+    const resp = await meteredChatCompletion(userId, [
+      {
+        role: 'system',
+        content: `You direct a group chat. Characters: ${names.join(', ')}. Reply with exactly one name from that list: the character who should answer the user's latest message. No other text.`
+      },
+      { role: 'user', content: `${transcript ? `Recent messages:\n${transcript}\n\n` : ''}Latest user message: ${text}` }
+    ], { temperature: 0, max_tokens: 10 });
+    const answer = String(resp?.choices?.[0]?.message?.content || '').trim().toLowerCase();
+    return cast.find(c => answer.includes(String(c.name).toLowerCase()))
+      || cast.find(c => answer.includes(String(c.name).split(/\s+/)[0].toLowerCase()))
+      || null;
+  } catch (e) {
+    console.warn('[group] model routing failed:', e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * Decides which cast member(s) answer the user's message.
+ *   round_robin: the member after the last speaker
+ *   mention:     every member named in the message (round robin if nobody is)
+ *   model:       the member the model picks (round robin on failure)
+ * @param {string} mode
+ * @param {Array} cast - ordered cast from getSessionCast
+ * @param {string} userText
+ * @param {Object} context
+ * @param {string|null} context.lastSpeakerId - character_id of the last assistant message
+ * @param {string[]} [context.recent] - recent "Name: text" lines for model routing
+ * @param {string|null} [context.userId] - user the routing call is metered to
+ * @returns {Promise<Array>} cast members, in speaking order
+ */
+export async function pickSpeakers(mode, cast, userText, { lastSpeakerId = null, recent = [], userId = null } = {}) {
+  if (!cast.length) return [];
+  const fallback = [nextInRotation(cast, lastSpeakerId)];
+
+  if (mode === 'mention') {
+    const named = mentionedMembers(cast, userText);
+    return named.length ? named.slice(0, MAX_REPLIES_PER_TURN) : fallback;
+  }
+  if (mode === 'model') {
+    const chosen = await modelChosenMember(cast, userText, recent, userId);
+    return chosen ? [chosen] : fallback;
+  }
+  return fallback;
+}
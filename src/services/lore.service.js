@@ -0,0 +1,233 @@
+import supabase, { supabaseAdmin } from '../config/supabaseClient.js';
+import AppError from '../utils/appError.js';
+
+export const MAX_ENTRY_LENGTH = 2000;
+export const MAX_KEYWORDS = 20;
+
+const ENTRY_FIELDS = 'id, lorebook_id, keywords, content, priority, enabled, created_at, updated_at';
+const LOREBOOK_FIELDS = 'id, owner_id, name, description, created_at, updated_at';
+
+function normalizeKeywords(keywords) {
+  const list = Array.isArray(keywords)
+    ? keywords
+    : String(keywords || '').split(',');
+  const cleaned = Array.from(new Set(list.map(k => String(k || '').trim().toLowerCase()).filter(Boolean)));
+  if (!cleaned.length) throw new AppError('At least one keyword is required', 400);
+  if (cleaned.length > MAX_KEYWORDS) throw new AppError(`At most ${MAX_KEYWORDS} keywords per entry`, 400);
+  return cleaned;
+}
+
+function normalizeContent(content) {
+  const text = String(content || '').trim();
+  if (!text) throw new AppError('Entry content is required', 400);
+  if (text.length > MAX_ENTRY_LENGTH) throw new AppError(`Entry content must be at most ${MAX_ENTRY_LENGTH} characters`, 400);
+  return text;
+}
+
+async function getOwnedLorebook(lorebookId, ownerId) {
+  const { data, error } = await supabase
+    .from('lorebooks')
+    .select(LOREBOOK_FIELDS)
+    .eq('id', lorebookId)
+    .eq('owner_id', ownerId)
+    .single();
+  if (error || !data) throw new AppError('Lorebook not found', 404);
+  return data;
+}
+
+async function attachedLorebookIds(characterId, client = supabase) {
+  const { data, error } = await client
+    .from('character_lorebooks')
+    .select('lorebook_id')
+    .eq('character_id', characterId);
+  if (error) throw new Error('Failed to fetch lorebooks');
+  return (data || []).map(r => r.lorebook_id);
+}
+
+export async function listOwnLorebooks(ownerId) {
+  const { data, error } = await supabase
+    .from('lorebooks')
+    .select(LOREBOOK_FIELDS)
+    .eq('owner_id', ownerId)
+    .order('created_at', { ascending: false });
+  if (error) throw new Error('Failed to fetch lorebooks');
+  return data || [];
+}
+
+export async function createLorebook(ownerId, { name, description = '' }) {
+  const title = String(name || '').trim().slice(0, 100);
+  if (!title) throw new AppError('Lorebook name is required', 400);
+  const { data, error } = await supabase
+    .from('lorebooks')
+    .insert([{ owner_id: ownerId, name: title, description: String(description || '').slice(0, 500) }])
+    .select(LOREBOOK_FIELDS)
+    .single();
+  if (error) throw new Error('Failed to create lorebook');
+  return data;
+}
+
+/**
+ * Lorebooks attached to a character, each with its entries
+ */
+export async function getCharacterLore(characterId) {
+  const ids = await attachedLorebookIds(characterId);
+  if (!ids.length) return [];
+
+  const [{ data: books }, { data: entries }] = await Promise.all([
+    supabase.from('lorebooks').select(LOREBOOK_FIELDS).in('id', ids),
+    supabase.from('lore_entries').select(ENTRY_FIELDS).in('lorebook_id', ids)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true })
+  ]);
+  return (books || []).map(b => ({ ...b, entries: (entries || []).filter(e => e.lorebook_id === b.id) }));
+}
+
+export async function attachLorebook(characterId, lorebookId, ownerId) {
+  await getOwnedLorebook(lorebookId, ownerId);
+  const { error } = await supabase
+    .from('character_lorebooks')
+    .upsert({ character_id: characterId, lorebook_id: lorebookId }, { onConflict: 'character_id,lorebook_id' });
+  if (error) throw new Error('Failed to attach lorebook');
+  return { success: true };
+}
+
+export async function detachLorebook(characterId, lorebookId) {
+  const { error } = await supabase
+    .from('character_lorebooks')
+    .delete()
+    .eq('character_id', characterId)
+    .eq('lorebook_id', lorebookId);
+  if (error) throw new Error('Failed to detach lorebook');
+  return { success: true };
+}
+
+// The character's default lorebook: first attached one owned by the creator, created on demand
+async function ensureDefaultLorebook(character, ownerId) {
+  const ids = await attachedLorebookIds(character.id);
+  if (ids.length) {
+    const { data: owned } = await supabase
+      .from('lorebooks')
+      .select(LOREBOOK_FIELDS)
+      .in('id', ids)
+      .eq('owner_id', ownerId)
+      .order('created_at', { ascending: true })
+      .limit(1);
+    if (owned?.[0]) return owned[0];
+  }
+  const book = await createLorebook(ownerId, { name: `${character.name || 'Character'} lore` });
+  await attachLorebook(character.id, book.id, ownerId);
+  return book;
+}
+
+/**
+ * Adds an entry to the given lorebook (must be attached to the character and
+ * owned by the caller) or to the character's default lorebook.
+ */
+export async function createEntry(character, ownerId, { lorebookId, keywords, content, priority = 0, enabled = true }) {
+  let book;
+  if (lorebookId) {
+    book = await getOwnedLorebook(lorebookId, ownerId);
+    const ids = await attachedLorebookIds(character.id);
+    if (!ids.includes(book.id)) throw new AppError('Lorebook is not attached to this character', 400);
+  } else {
+    book = await ensureDefaultLorebook(character, ownerId);
+  }
+
+  const { data, error } = await supabase
+    .from('lore_entries')
+    .insert([{
+      lorebook_id: book.id,
+      keywords: normalizeKeywords(keywords),
+      content: normalizeContent(content),
+      priority: parseInt(priority, 10) || 0,
+      enabled: enabled !== false
+    }])
+    .select(ENTRY_FIELDS)
+    .single();
+  if (error) throw new Error('Failed to create lore entry');
+  return data;
+}
+
+// Entry must live in a lorebook attached to the character and owned by the caller
+async function getEditableEntry(characterId, entryId, ownerId) {
+  const { data: entry, error } = await supabase
+    .from('lore_entries')
+    .select(ENTRY_FIELDS)
+    .eq('id', entryId)
+    .single();
+  if (error || !entry) throw new AppError('Lore entry not found', 404);
+  const ids = await attachedLorebookIds(characterId);
+  if (!ids.includes(entry.lorebook_id)) throw new AppError('Lore entry not found', 404);
+  await getOwnedLorebook(entry.lorebook_id, ownerId);
+  return entry;
+}
+
+export async function updateEntry(characterId, entryId, ownerId, updates = {}) {
+  await getEditableEntry(characterId, entryId, ownerId);
+  const patch = { updated_at: new Date().toISOString() };
+  if (updates.keywords !== undefined) patch.keywords = normalizeKeywords(updates.keywords);
+  if (updates.content !== undefined) patch.content = normalizeContent(updates.content);
+  if (updates.priority !== undefined) patch.priority = parseInt(updates.priority, 10) || 0;
+  if (updates.enabled !== undefined) patch.enabled = !!updates.enabled;
+
+  const { data, error } = await supabase
+    .from('lore_entries')
+    .update(patch)
+    .eq('id', entryId)
+    .select(ENTRY_FIELDS)
+    .single();
+  if (error) throw new Error('Failed to update lore entry');
+  return data;
+}
+
+export async function deleteEntry(characterId, entryId, ownerId) {
+  await getEditableEntry(characterId, entryId, ownerId);
+  const { error } = await supabase.from('lore_entries').delete().eq('id', entryId);
+  if (error) throw new Error('Failed to delete lore entry');
+  return { success: true };
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-keyword match; lookarounds instead of \b so keywords that start or
+// end with punctuation ("C++", "#tag", "Dr.") still match
+const keywordPattern = (k) => new RegExp(`(?<!\\w)${escapeRegExp(k)}(?!\\w)`, 'i');
+
+/**
+ * Picks the enabled entries whose keywords appear in the scanned text, highest
+ * priority first, until the character budget is spent. Uses the admin client
+ * because chatters of public characters don't own the lorebooks.
+ * @param {string} characterId
+ * @param {string} scanText - recent messages to match keywords against
+ * @param {number} [charBudget=1000]
+ * @returns {Promise<string[]>} entry contents in injection order
+ */
+export async function selectLoreForPrompt(characterId, scanText, charBudget = 1000) {
+  if (!characterId || !scanText || charBudget <= 0) return [];
+  try {
+    const ids = await attachedLorebookIds(characterId, supabaseAdmin);
+    if (!ids.length) return [];
+    const { data: entries } = await supabaseAdmin
+      .from('lore_entries')
+      .select('id, keywords, content, priority, created_at')
+      .in('lorebook_id', ids)
+      .eq('enabled', true)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    const haystack = String(scanText).toLowerCase();
+    const picked = [];
+    let used = 0;
+    for (const e of entries || []) {
+      const hit = (e.keywords || []).some(k => k && keywordPattern(k).test(haystack));
+      if (!hit) continue;
+      if (used + e.content.length > charBudget) continue;
+      used += e.content.length;
+      picked.push(e.content);
+    }
+    return picked;
+  } catch (e) {
+    console.warn('[lore] selection failed:', e?.message || e);
+    return [];
+  }
+}
@@ -0,0 +1,206 @@
+import supabase from '../config/supabaseClient.js';
+import { meteredChatCompletion } from './metering.service.js';
+import AppError from '../utils/appError.js';
+import { countTokens } from '../utils/tokenizer.js';
+
+export const MAX_MEMORIES_PER_CHARACTER = 50;
+export const MAX_MEMORY_LENGTH = 300;
+
+// Same rule as the character endpoints: the creator, or anyone when the
+// character is public or shared with them. Hidden characters are 404 to others.
+async function assertCharacterAccess(characterId, userId) {
+  const { data: character, error } = await supabase
+    .from('characters')
+    .select('id, name, creator_id, visibility, hidden_at')
+    .eq('id', characterId)
+    .single();
+  const isOwner = character?.creator_id === userId;
+  if (error || !character || (character.hidden_at && !isOwner)) {
+    throw new AppError('Character not found', 404);
+  }
+  if (isOwner || character.visibility === 'public') return character;
+
+  const { count } = await supabase
+    .from('character_shares')
+    .select('*', { count: 'exact', head: true })
+    .eq('character_id', characterId)
+    .eq('user_id', userId);
+  if (!count) throw new AppError('Access denied', 403);
+  return character;
+}
+
+function cleanContent(content) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  if (!text) throw new AppError('Memory content is required', 400);
+  if (text.length > MAX_MEMORY_LENGTH) {
+    throw new AppError(`Memory must be at most ${MAX_MEMORY_LENGTH} characters`, 400);
+  }
+  return text;
+}
+
+async function selectMemories(userId, characterId, { status } = {}) {
+  let query = supabase
+    .from('character_memories')
+    .select('id, character_id, content, status, source, pinned, created_at, updated_at')
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .order('pinned', { ascending: false })
+    .order('created_at', { ascending: true });
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw new Error('Failed to fetch memories');
+  return data || [];
+}
+
+export async function listMemories(userId, characterId, { status } = {}) {
+  await assertCharacterAccess(characterId, userId);
+  return selectMemories(userId, characterId, { status });
+}
+
+export async function createMemory(userId, characterId, { content, pinned = false }) {
+  await assertCharacterAccess(characterId, userId);
+  const text = cleanContent(content);
+
+  const { count } = await supabase
+    .from('character_memories')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('character_id', characterId);
+  if ((count || 0) >= MAX_MEMORIES_PER_CHARACTER) {
+    throw new AppError(`You can keep up to ${MAX_MEMORIES_PER_CHARACTER} memories per character`, 400);
+  }
+
+  const { data, error } = await supabase
+    .from('character_memories')
+    .insert([{ user_id: userId, character_id: characterId, content: text, pinned: !!pinned, status: 'active', source: 'user' }])
+    .select('id, character_id, content, status, source, pinned, created_at, updated_at')
+    .single();
+  if (error) throw new Error('Failed to save memory');
+  return data;
+}
+
+export async function updateMemory(userId, characterId, memoryId, updates = {}) {
+  await assertCharacterAccess(characterId, userId);
+  const patch = { updated_at: new Date().toISOString() };
+  if (updates.content !== undefined) patch.content = cleanContent(updates.content);
+  if (updates.pinned !== undefined) patch.pinned = !!updates.pinned;
+  if (updates.status !== undefined) {
+    if (!['active', 'suggested'].includes(updates.status)) {
+      throw new AppError("status must be 'active' or 'suggested'", 400);
+    }
+    patch.status = updates.status;
+  }
+
+  const { data, error } = await supabase
+    .from('character_memories')
+    .update(patch)
+    .eq('id', memoryId)
+    .eq('user_id', userId)
+    .eq('character_id', characterId)
+    .select('id, character_id, content, status, source, pinned, created_at, updated_at')
+    .single();
+  if (error || !data) throw new AppError('Memory not found', 404);
+  return data;
+}
+
+// No access check: users can always clear what was kept about them, even
+// after the character has been made private
+export async function deleteMemory(userId, characterId, memoryId) {
+  const { error } = await supabase
+    .from('character_memories')
+    .delete()
+    .eq('id', memoryId)
+    .eq('user_id', userId)
+    .eq('character_id', characterId);
+  if (error) throw new Error('Failed to delete memory');
+  return { success: true };
+}
+
+/**
+ * Asks the model to propose durable facts from the user's latest session with
+ * the character. Proposals are stored with status 'suggested' until accepted.
+ */
+export async function suggestMemories(userId, characterId, { sessionId } = {}) {
+  const character = await assertCharacterAccess(characterId, userId);
+
+  let sessQuery = supabase
+    .from('chat_sessions')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('character_id', characterId);
+  sessQuery = sessionId
+    ? sessQuery.eq('id', sessionId)
+    : sessQuery.order('updated_at', { ascending: false }).limit(1);
+  const { data: sessions } = await sessQuery;
+  const session = Array.isArray(sessions) ? sessions[0] : sessions;
+  if (!session?.id) throw new AppError('No conversation with this character yet', 400);
+
+  const { data: rows } = await supabase
+    .from('chat_messages')
+    .select('role, content, order_index')
+    .eq('session_id', session.id)
+    .is('branch_id', null)
+    .order('order_index', { ascending: false, nullsFirst: false })
+    .limit(30);
+  const transcript = (rows || []).reverse()
+    .map(m => `${m.role === 'assistant' ? character.name : 'User'}: ${String(m.content || '').slice(0, 400)}`)
+    .join('\n');
+  if (!transcript) return [];
+
+  const existing = await selectMemories(userId, characterId);
+  const messages = [
+    {
+      role: 'system',
+      content: [
+        'Extract up to 3 lasting facts about the user or the relationship worth remembering long-term',
+        '(names, pets, preferences, shared history). Skip small talk and anything already known.',
+        'Answer with one fact per line, each under 120 characters, no numbering. Answer NONE if there is nothing new.'
+      ].join(' ')
+    },
+    {
+      role: 'user',
+      content: `Already known:\n${existing.map(m => `- ${m.content}`).join('\n') || '(nothing)'}\n\nConversation:\n${transcript}`
+    }
+  ];
+  const resp = await meteredChatCompletion(userId, messages, { temperature: 0.2, max_tokens: 200 });
+  const known = new Set(existing.map(m => m.content.toLowerCase()));
+  const facts = String(resp?.choices?.[0]?.message?.content || '')
+    .split('\n')
+    .map(l => l.replace(/^[-*\d.)\s]+/, '').trim())
+    .filter(l => l && !/^none\b/i.test(l) && l.length <= MAX_MEMORY_LENGTH && !known.has(l.toLowerCase()))
+    .slice(0, 3);
+  if (!facts.length || existing.length + facts.length > MAX_MEMORIES_PER_CHARACTER) return [];
+
+  const { data, error } = await supabase
+    .from('character_memories')
+    .insert(facts.map(content => ({ user_id: userId, character_id: characterId, content, status: 'suggested', source: 'model' })))
+    .select('id, character_id, content, status, source, pinned, created_at, updated_at');
+  if (error) throw new Error('Failed to save suggested memories');
+  return data || [];
+}
+
+/**
+ * Loads the active memories for the prompt, pinned first, within a token budget.
+ * @returns {Promise<{ lines: string[], tokens: number, chars: number }>}
+ */
+export async function loadMemoriesForPrompt(userId, characterId, tokenBudget = 200) {
+  if (!userId || !characterId || tokenBudget <= 0) return { lines: [], tokens: 0, chars: 0 };
+  try {
+    const memories = await selectMemories(userId, characterId, { status: 'active' });
+    const lines = [];
+    let tokens = 0;
+    let chars = 0;
+    for (const m of memories) {
+      const t = countTokens(m.content) + 2; // bullet + newline
+      if (tokens + t > tokenBudget) continue; // try smaller ones that still fit
+      tokens += t;
+      chars += m.content.length + 3;
+      lines.push(m.content);
+    }
+    return { lines, tokens, chars };
+  } catch (e) {
+    console.warn('[memories] load failed:', e?.message || e);
+    return { lines: [], tokens: 0, chars: 0 };
+  }
+}
@@ -1,4 +1,54 @@
-import supabase from '../config/supabaseClient.js';
+import supabase, { supabaseAdmin } from '../config/supabaseClient.js';
+import { loadMemoriesForPrompt } from './memory.service.js';
+import { getSessionCast } from './groupChat.service.js';
+import { selectLoreForPrompt } from './lore.service.js';
+import { resolveCharacterVersion } from './characterVersion.service.js';
+import { summaryMaxChars } from './summary.service.js';
+import { parseExampleConversations } from '../utils/characterUtils.js';
+import { resolveModelTarget, getContextWindow } from '../config/llm.js';
+import { resolveGenerationOptions } from '../utils/generationSettings.js';
+import { getPlan } from '../config/plans.js';
+import { countTokens, countMessageTokens, truncateToTokens, REPLY_PRIMER_TOKENS } from '../utils/tokenizer.js';
+import { ADULT_PROFILE_FIELDS, canAccessAdultContent, isNSFWCharacter } from '../utils/adultContent.js';
+
+// Context kept free beyond the reply reserve, for tokenizer estimate drift
+const SAFETY_MARGIN_RATIO = 0.05;
+
+// Name and adult-content gate fields of the user being replied to
+async function loadUserProfile(userId) {
+  try {
+    const { data: prof } = await supabase
+      .from('user_profiles')
+      .select(`username, first_name, last_name, ${ADULT_PROFILE_FIELDS}`)
+      .eq('id', userId)
+      .single();
+    return prof || null;
+  } catch {
+    return null;
+  }
+}
+
+function displayNameOf(prof) {
+  const first = (prof?.first_name || '').trim();
+  const last = (prof?.last_name || '').trim();
+  const uname = (prof?.username || '').trim();
+  const full = `${first} ${last}`.trim();
+  return full || uname;
+}
+
+/**
+ * Resolves the name characters should call the user by (full name, else username)
+ */
+export async function getUserDisplayName(userId) {
+  return displayNameOf(await loadUserProfile(userId));
+}
+
+/**
+ * Whether NSFW prompts may be used for this user (verified 18+ and opted in)
+ */
+export async function userCanAccessAdultContent(userId) {
+  return canAccessAdultContent(await loadUserProfile(userId));
+}
 
 /**
  * Fetches session and character details from Supabase and builds a minimal
@@ -6,19 +56,47 @@ import supabase from '../config/supabaseClient.js';
  *
  * Returns a messages array suitable for Together AI:
  *   [ { role: 'system', content }, { role: 'user', content: userText } ]
+ *
+ * In group sessions pass `speakerId` to build the prompt for that cast member;
+ * other members' lines are shown as "Name: text". Pass userText = null when
+ * the user's message is already persisted (follow-up speakers in a group turn).
+ *
+ * The prompt is packed into the model's context window by token count, in
+ * priority order: system prompt (persona, memories, summary, lore), the user's
+ * message, then whole history messages newest first, then example dialogues.
+ * Also returns the provider/model/sampling options for the reply (`modelOptions`)
+ * and the token counts used (`usage`).
  */
 export async function buildMessagesForSession(sessionId, userId, userText, options = {}) {
   const {
     polish = true,
     includeHistory = true,
-    historyLimit = 10,
-    historyCharBudget = 3500
+    // Most recent messages considered for history; the token budget decides how many fit
+    historyLimit = 30,
+    // Optional hard cap on history tokens (e.g. cheap background calls); null = whatever fits
+    historyTokenBudget = null,
+    // User's plan id: model access, context cap and per-plan models (LLM_PLAN_MODELS)
+    plan = null,
+    // Message ids to leave out of history (e.g. the reply being regenerated)
+    excludeMessageIds = [],
+    // Inject the rolling conversation summary (long-term memory)
+    includeSummary = true,
+    // Token budget for user-pinned memories (part of the system prompt)
+    memoryTokenBudget = 200,
+    // Lorebook: how many recent messages to scan for keywords, and the char budget for entries
+    loreScanDepth = 4,
+    loreCharBudget = 1000,
+    // Creator example dialogues sent as few-shot turns, whole dialogues only
+    includeExamples = true,
+    exampleTokenBudget = 300,
+    // Group sessions: the cast member who speaks next (defaults to the session character)
+    speakerId = null
   } = options;
   // 1) Load session with character details (auth by user_id)
   const { data: session, error } = await supabase
     .from('chat_sessions')
     .select(`
-      id, title, user_id,
+      id, title, user_id, summary, is_group, generation_settings, character_version,
       characters (*)
     `)
     .eq('id', sessionId)
@@ -29,25 +107,30 @@ export async function buildMessagesForSession(sessionId, userId, userText, optio
     throw new Error('Session not found or access denied');
   }
 
-  const character = session.characters || {};
+  // A pinned session talks to that version of its character; other group
+  // cast members always use their latest version
+  let character = await resolveCharacterVersion(session.characters || {}, session.character_version);
+  const cast = session.is_group ? await getSessionCast(sessionId) : [];
+  if (speakerId && speakerId !== character?.id) {
+    if (session.is_group && !cast.some(c => c.id === speakerId)) {
+      throw new Error('Speaker is not part of this group');
+    }
+    const { data: speaker } = await supabaseAdmin
+      .from('characters')
+      .select('*')
+      .eq('id', speakerId)
+      .single();
+    if (!speaker) throw new Error('Character not found');
+    character = speaker;
+  }
 
   // Try to fetch the user's display name
-  let userDisplayName = '';
-  try {
-    const { data: prof } = await supabase
-      .from('user_profiles')
-      .select('username, first_name, last_name')
-      .eq('id', userId)
-      .single();
-    const first = (prof?.first_name || '').trim();
-    const last = (prof?.last_name || '').trim();
-    const uname = (prof?.username || '').trim();
-    const full = `${first} ${last}`.trim();
-    userDisplayName = full || uname;
-  } catch {}
+  const profile = await loadUserProfile(userId);
+  const userDisplayName = displayNameOf(profile);
 
-  // 2) Build a concise system message purely from character DB fields
-  const nsfw = character?.nsfw_enabled === true || character?.nsfw_enabled === 'true' || character?.nsfw_enabled === 1 || character?.nsfw_enabled === '1';
+  // 2) Build a concise system message purely from character DB fields. NSFW
+  // needs both the character's flag and the user's adult content access.
+  const nsfw = isNSFWCharacter(character) && canAccessAdultContent(profile);
 
   const name = character?.name || 'Unnamed';
   const description = (character?.description || '').trim();
@@ -86,6 +169,7 @@ export async function buildMessagesForSession(sessionId, userId, userText, optio
     shortDesc && `Description: ${shortDesc}`,
     shortPersona && `Persona: ${shortPersona}`,
     traitsStr,
+    cast.length > 1 && `This is a group chat between ${userDisplayName || 'the user'} and ${cast.map(c => c.name).join(', ')}. Write only ${name}'s next message; never speak for the others.`,
     `Character type: ${characterType}`,
     `Gender: ${gender}`,
     nsfw
@@ -165,26 +249,54 @@ export async function buildMessagesForSession(sessionId, userId, userText, optio
     'first, then continue with one short line of dialogue.'
   ].join(' ');
 
+  // User-curated memories for this user+character pair (always included)
+  const memories = await loadMemoriesForPrompt(userId, character?.id, memoryTokenBudget);
+  const MEMORIES_PROMPT = memories.lines.length
+    ? `Things you remember about ${userDisplayName || 'the user'}:\n${memories.lines.map(l => `- ${l}`).join('\n')}`
+    : '';
+
+  // Long-term memory: earlier conversation condensed by summary.service
+  const summary = includeSummary ? clamp((session.summary || '').trim(), summaryMaxChars()) : '';
+  const MEMORY_PROMPT = summary
+    ? `Story so far (earlier conversation, stay consistent with it): ${summary}`
+    : '';
+
   // Build minimal system content
-  const system = `${baseLines.join('\n')}\n${promptTemplate}\n${UNIVERSAL_GUARD}${NSFW_ON_GUARD ? `\n${NSFW_ON_GUARD}` : ''}${SFW_GUARD ? `\n${SFW_GUARD}` : ''}${polish ? `\n${POLISH_PROMPT}` : ''}`;
+  const system = `${baseLines.join('\n')}${MEMORIES_PROMPT ? `\n${MEMORIES_PROMPT}` : ''}${MEMORY_PROMPT ? `\n${MEMORY_PROMPT}` : ''}\n${promptTemplate}\n${UNIVERSAL_GUARD}${NSFW_ON_GUARD ? `\n${NSFW_ON_GUARD}` : ''}${SFW_GUARD ? `\n${SFW_GUARD}` : ''}${polish ? `\n${POLISH_PROMPT}` : ''}`;
 
   // 3) Optionally load and attach recent chat history
   let historyMsgs = [];
   if (includeHistory) {
-    const { data: rows, error: histErr } = await supabase
+    let histQuery = supabase
       .from('chat_messages')
-      .select('role, content, created_at, id, is_nsfw, order_index')
+      .select('role, content, created_at, id, is_nsfw, order_index, character_id')
       .eq('session_id', sessionId)
+      .is('branch_id', null);
+    if (excludeMessageIds.length) {
+      histQuery = histQuery.not('id', 'in', `(${excludeMessageIds.join(',')})`);
+    }
+    const { data: rows, error: histErr } = await histQuery
       // Get most recent N by order_index (or timestamp/id), then we'll reverse to chronological
       .order('order_index', { ascending: false, nullsFirst: false })
       .order('created_at', { ascending: false })
       .order('id', { ascending: false })
       .limit(historyLimit);
     if (!histErr && Array.isArray(rows)) {
-      // rows are most-recent-first; map and reverse to chronological later
+      // rows are most-recent-first; map and reverse to chronological later.
+      // In groups only the speaker's own lines are 'assistant'; everyone else is
+      // shown to it as a named 'user' line.
+      const castNames = Object.fromEntries(cast.map(c => [c.id, c.name]));
+      const toTurn = (r) => {
+        const text = String(r.content || '');
+        if (!session.is_group) return { role: r.role === 'assistant' ? 'assistant' : 'user', content: text };
+        if (r.role === 'assistant' && (!r.character_id || r.character_id === character.id)) {
+          return { role: 'assistant', content: text };
+        }
+        const who = r.role === 'assistant' ? (castNames[r.character_id] || 'Someone') : (userDisplayName || 'User');
+        return { role: 'user', content: `${who}: ${text}` };
+      };
       const mapped = rows.map(r => ({
-        role: r.role === 'assistant' ? 'assistant' : 'user',
-        content: String(r.content || '').slice(0, 800),
+        ...toTurn(r),
         isNSFW: !!r.is_nsfw,
         orderIndex: typeof r.order_index === 'number' ? r.order_index : (r.order_index != null ? Number(r.order_index) : null)
       }));
@@ -237,27 +349,114 @@ export async function buildMessagesForSession(sessionId, userId, userText, optio
         ? filtered.map(m => ({ ...m, content: m.content ? sanitize(m.content) : m.content }))
         : filtered;
 
-      let total = 0;
-      const selectedReversed = [];
-      for (let i = filteredSanitized.length - 1; i >= 0; i--) {
-        const c = filteredSanitized[i].content.length;
-        if (total + c > historyCharBudget) break;
-        total += c;
-        selectedReversed.push(filteredSanitized[i]);
-      }
-      historyMsgs = selectedReversed.reverse();
+      // Candidates only; packed into the token budget below
+      historyMsgs = filteredSanitized;
     }
   }
 
-  // 4) Return Together-formatted messages (with optional history)
+  // 4) Pack everything into the model's context window
   const userContent = String(userText ?? '').slice(0, 2000);
-  // Ensure Together gets only { role, content }
-  const cleanHistory = historyMsgs.map(m => ({ role: m.role, content: m.content }));
+  const appendUser = userText !== null;
+  // Ensure the provider gets only { role, content }
+  const candidates = historyMsgs.map(m => ({ role: m.role, content: m.content }));
+
+  // Lorebook: inject entries whose keywords appear in the recent conversation
+  const scanText = [...candidates.slice(-loreScanDepth).map(m => m.content), userContent].join('\n');
+  const lore = await selectLoreForPrompt(character?.id, scanText, loreCharBudget);
+  const systemContent = lore.length
+    ? `${system}\nWorld info (use when relevant):\n${lore.map(l => `- ${l}`).join('\n')}`
+    : system;
+
+  // Provider/model: character setting (plans with model_access 'all'), else the
+  // plan mapping, else defaults. Sampling: character preset with the user's
+  // per-session override on top. The plan may also cap the context window.
+  const planDef = plan ? getPlan(plan) : null;
+  const modelOptions = {
+    ...resolveModelTarget({ character: !planDef || planDef.model_access === 'all' ? character : null, plan }),
+    ...resolveGenerationOptions(character?.generation_settings, session.generation_settings)
+  };
+  const { model, contextLength: modelContextLength } = getContextWindow(modelOptions);
+  const contextLength = planDef?.limits.context_tokens
+    ? Math.min(modelContextLength, planDef.limits.context_tokens)
+    : modelContextLength;
+  const replyReserve = modelOptions.max_tokens || 1000;
+  const promptBudget = Math.floor(contextLength * (1 - SAFETY_MARGIN_RATIO)) - replyReserve - REPLY_PRIMER_TOKENS;
+
+  const systemMessage = { role: 'system', content: systemContent };
+  const userMessage = appendUser ? { role: 'user', content: userContent } : null;
+  const systemTokens = countMessageTokens(systemMessage);
+  const userTokens = userMessage ? countMessageTokens(userMessage) : 0;
+  let remaining = promptBudget - systemTokens - userTokens;
+
+  // History: whole messages, newest first. A single message larger than a
+  // quarter of the budget is shortened at a sentence boundary instead.
+  let historyRoom = historyTokenBudget != null ? Math.min(remaining, historyTokenBudget) : remaining;
+  const maxMessageTokens = Math.max(64, Math.floor(promptBudget / 4));
+  const packedReversed = [];
+  let historyTokens = 0;
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    let msg = candidates[i];
+    if (countTokens(msg.content) > maxMessageTokens) {
+      msg = { ...msg, content: truncateToTokens(msg.content, maxMessageTokens) };
+    }
+    const t = countMessageTokens(msg);
+    if (t > historyRoom) break;
+    historyRoom -= t;
+    historyTokens += t;
+    packedReversed.push(msg);
+  }
+  const cleanHistory = packedReversed.reverse();
+  remaining -= historyTokens;
+
+  // Few-shot example dialogues from the creator: whole dialogues, lowest priority
+  const exampleTurns = [];
+  let exampleTokens = 0;
+  if (includeExamples) {
+    const dialogues = parseExampleConversations(character?.example_conversations, {
+      user: userDisplayName || 'you',
+      char: name
+    });
+    const wrapperTokens = 2 * countMessageTokens({ content: `Example dialogue showing how ${name} talks (style reference only, not part of this conversation):` });
+    let room = Math.min(remaining, exampleTokenBudget) - wrapperTokens;
+    for (const dialogue of dialogues) {
+      const size = dialogue.reduce((n, t) => n + countMessageTokens(t), 0);
+      if (size > room) continue;
+      room -= size;
+      exampleTokens += size;
+      exampleTurns.push(...dialogue);
+    }
+    if (exampleTurns.length) exampleTokens += wrapperTokens;
+  }
+  const examplesIntro = exampleTurns.length
+    ? [{ role: 'system', content: `Example dialogue showing how ${name} talks (style reference only, not part of this conversation):` }]
+    : [];
+  const examplesOutro = exampleTurns.length
+    ? [{ role: 'system', content: 'End of examples. The real conversation starts below.' }]
+    : [];
+
   const messages = [
-    { role: 'system', content: system },
+    systemMessage,
+    ...examplesIntro,
+    ...exampleTurns,
+    ...examplesOutro,
     ...cleanHistory,
-    { role: 'user', content: userContent }
+    ...(userMessage ? [userMessage] : [])
   ];
 
-  return { messages, session, character, usedNSFW: !!nsfw };
+  const usage = {
+    model,
+    context_length: contextLength,
+    reply_reserve: replyReserve,
+    prompt_budget: promptBudget,
+    system: systemTokens,
+    memories: memories.tokens,
+    examples: exampleTokens,
+    history: historyTokens,
+    history_messages: cleanHistory.length,
+    history_dropped: candidates.length - cleanHistory.length,
+    user: userTokens,
+    total: systemTokens + exampleTokens + historyTokens + userTokens + REPLY_PRIMER_TOKENS
+  };
+
+  return { messages, session, character, usedNSFW: !!nsfw, modelOptions, usage };
 }
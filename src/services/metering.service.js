@@ -0,0 +1,74 @@
+import { chatCompletion, chatCompletionStream } from '../config/llm.js';
+import { countTokens, countMessageTokens, REPLY_PRIMER_TOKENS } from '../utils/tokenizer.js';
+import { assertDailyLimit, recordUsage } from './entitlements.service.js';
+
+// Per-user LLM metering. Every model call made on behalf of a user goes
+// through here: the llm_tokens quota is checked against the estimated prompt
+// before the provider is called, and the call, prompt tokens and completion
+// tokens are added to usage_daily afterwards. Provider-reported usage is
+// preferred; the local tokenizer estimate is used when a provider omits it.
+
+const estimatePromptTokens = (messages) =>
+  (messages || []).reduce((sum, m) => sum + countMessageTokens(m), REPLY_PRIMER_TOKENS);
+
+function recordLLMUsage(userId, tokensIn, tokensOut) {
+  return Promise.all([
+    recordUsage(userId, 'llm_calls', 1),
+    recordUsage(userId, 'llm_tokens_in', tokensIn),
+    recordUsage(userId, 'llm_tokens_out', tokensOut)
+  ]);
+}
+
+/**
+ * chatCompletion with the user's llm_tokens quota checked first and usage
+ * recorded after. Without a userId (system work) it only calls the model.
+ * @param {string|null} userId
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options] - passed through to chatCompletion
+ */
+export async function meteredChatCompletion(userId, messages, options = {}) {
+  const estimate = estimatePromptTokens(messages);
+  if (userId) await assertDailyLimit(userId, 'llm_tokens', estimate);
+
+  const resp = await chatCompletion(messages, options);
+
+  if (userId) {
+    const usage = resp?.usage || {};
+    await recordLLMUsage(
+      userId,
+      usage.prompt_tokens ?? estimate,
+      usage.completion_tokens ?? countTokens(resp?.choices?.[0]?.message?.content)
+    );
+  }
+  return resp;
+}
+
+/**
+ * Streaming variant: same quota check, then wraps the provider stream so usage
+ * is recorded once it has been consumed (or abandoned).
+ */
+export async function meteredChatCompletionStream(userId, messages, options = {}) {
+  const estimate = estimatePromptTokens(messages);
+  if (userId) await assertDailyLimit(userId, 'llm_tokens', estimate);
+
+  const stream = await chatCompletionStream(messages, options);
+  if (!userId) return stream;
+
+  return (async function* () {
+    let text = '';
+    let usage = null;
+    try {
+      for await (const chunk of stream) {
+        text += chunk?.choices?.[0]?.delta?.content || '';
+        if (chunk?.usage) usage = chunk.usage;
+        yield chunk;
+      }
+    } finally {
+      await recordLLMUsage(
+        userId,
+        usage?.prompt_tokens ?? estimate,
+        usage?.completion_tokens ?? countTokens(text)
+      );
+    }
+  })();
+}
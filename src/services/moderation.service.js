@@ -0,0 +1,285 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import AppError, { ContentBlockedError } from '../utils/appError.js';
+import {
+  compileRules,
+  evaluateContent,
+  DEFAULT_RULES,
+  RULE_ACTIONS
+} from '../utils/moderation.js';
+
+// Rules are re-read at most this often; edits made through this service
+// invalidate the cache immediately on this instance
+const RULES_TTL_MS = 60 * 1000;
+const MAX_TERM_LENGTH = 100;
+const EXCERPT_LENGTH = 200;
+
+const RULE_FIELDS = 'id, category, term, action, enabled, created_by, created_at, updated_at';
+
+let rulesCache = { rules: null, expiresAt: 0 };
+
+export function invalidateRulesCache() {
+  rulesCache = { rules: null, expiresAt: 0 };
+}
+
+/**
+ * Compiled rules from moderation_rules, falling back to the built-in lists
+ * when the table is empty or cannot be read
+ */
+export async function getActiveRules() {
+  if (rulesCache.rules && rulesCache.expiresAt > Date.now()) return rulesCache.rules;
+
+  let rows = null;
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('moderation_rules')
+      .select('category, term, action, enabled');
+    if (error) throw error;
+    rows = data;
+  } catch (e) {
+    console.warn('[moderation] failed to load rules, using built-in lists:', e?.message || e);
+  }
+
+  const rules = compileRules(rows?.length ? rows : DEFAULT_RULES);
+  rulesCache = { rules, expiresAt: Date.now() + RULES_TTL_MS };
+  return rules;
+}
+
+// Fire-and-forget: a logging failure never blocks a chat turn
+function logDecision(result, stage, { userId, sessionId, characterId } = {}) {
+  if (result.decision === 'allowed') return;
+  if (result.decision === 'blocked') {
+    console.warn('[moderation] blocked', { stage, category: result.category, term: result.term, userId, sessionId });
+  }
+  supabaseAdmin
+    .from('moderation_logs')
+    .insert([{
+      user_id: userId || null,
+      session_id: sessionId || null,
+      character_id: characterId || null,
+      stage,
+      decision: result.decision,
+      category: result.category,
+      term: result.term || null,
+      excerpt: String(result.text || '').slice(0, EXCERPT_LENGTH)
+    }])
+    .then(({ error }) => {
+      if (error) console.warn('[moderation] failed to log decision:', error.message || error);
+    });
+}
+
+async function check(text, stage, context) {
+  const rules = await getActiveRules();
+  const result = evaluateContent(text, { rules, nsfwEnabled: !!context.nsfwEnabled, stage });
+  logDecision(result, stage, context);
+  if (!result.allowed) throw new ContentBlockedError(stage, result.category);
+  return result;
+}
+
+/**
+ * Checks a user message before it is saved or sent to the model
+ * @param {string} text
+ * @param {Object} context
+ * @param {boolean} context.nsfwEnabled - whether the answering character(s) allow NSFW
+ * @param {string} [context.userId]
+ * @param {string} [context.sessionId]
+ * @param {string} [context.characterId]
+ * @throws {ContentBlockedError} MODERATION_INPUT_BLOCKED
+ */
+export async function moderateInput(text, context = {}) {
+  await check(text, 'input', context);
+}
+
+/**
+ * Checks a model reply before it is saved. Restricted terms in SFW chats are
+ * masked rather than blocked.
+ * @param {string} text
+ * @param {Object} context - same as moderateInput
+ * @returns {Promise<{ text: string, decision: string, category?: string }>} the text to save
+ * @throws {ContentBlockedError} MODERATION_OUTPUT_BLOCKED
+ */
+export async function moderateOutput(text, context = {}) {
+  const { text: safeText, decision, category } = await check(text, 'output', context);
+  return { text: safeText, decision, ...(category && { category }) };
+}
+
+// End of `text` without its last `words` whitespace-separated words
+function withoutLastWords(text, words) {
+  let end = text.length;
+  for (let i = 0; i < words; i += 1) {
+    const cut = text.slice(0, end).search(/\s+\S*$/);
+    if (cut <= 0) return 0;
+    end = cut;
+  }
+  return end;
+}
+
+/**
+ * Moderates streamed model output as it accumulates, so no token reaches the
+ * client before it has been checked. push(delta) checks the complete words
+ * so far and returns the text that is safe to forward (masked where
+ * moderateOutput would mask it). The word being streamed and, with phrase
+ * rules, the words a phrase could still start in are held back until more
+ * text arrives. A blocking rule throws
+ * ContentBlockedError (logged once) and the caller stops the stream.
+ * finish(text) takes the moderateOutput result for the whole reply and
+ * returns what has not been forwarded yet.
+ * @param {Object} context - same as moderateOutput
+ */
+export async function createOutputStreamGate(context = {}) {
+  const rules = await getActiveRules();
+  const holdWords = Math.max(1, ...rules.map(r => r.term.split(' ').length));
+  let full = '';
+  let checked = 0; // raw characters checked so far
+  let sent = ''; // moderated text forwarded so far
+
+  const release = (text) => {
+    if (!text.startsWith(sent)) return '';
+    const fresh = text.slice(sent.length);
+    sent = text;
+    return fresh;
+  };
+
+  return {
+    push(delta) {
+      full += delta;
+      const head = full.trimStart();
+      const end = withoutLastWords(head, 1);
+      if (end <= checked) return '';
+      checked = end;
+      const result = evaluateContent(head.slice(0, end), { rules, nsfwEnabled: !!context.nsfwEnabled, stage: 'output' });
+      if (!result.allowed) {
+        logDecision(result, 'output', context);
+        throw new ContentBlockedError('output', result.category);
+      }
+      return release(result.text.slice(0, withoutLastWords(result.text, holdWords - 1)));
+    },
+    finish(text) {
+      return release(String(text || ''));
+    }
+  };
+}
+
+// ---- Rule administration ----
+
+function validateRule({ category, term, action }, { partial = false } = {}) {
+  const errors = [];
+  if (!partial || category !== undefined) {
+    if (typeof category !== 'string' || !/^[a-z][a-z0-9_]{1,29}$/.test(category)) {
+      errors.push('category must be 2-30 lowercase letters, digits or underscores');
+    }
+  }
+  if (!partial || term !== undefined) {
+    if (typeof term !== 'string' || !term.trim() || term.trim().length > MAX_TERM_LENGTH) {
+      errors.push(`term must be a non-empty string of at most ${MAX_TERM_LENGTH} characters`);
+    }
+  }
+  if (action !== undefined && !RULE_ACTIONS.includes(action)) {
+    errors.push(`action must be one of: ${RULE_ACTIONS.join(', ')}`);
+  }
+  if (errors.length) throw new AppError(`Validation failed: ${errors.join(', ')}`, 400);
+}
+
+export async function listRules({ category } = {}) {
+  let query = supabaseAdmin
+    .from('moderation_rules')
+    .select(RULE_FIELDS)
+    .order('category', { ascending: true })
+    .order('term', { ascending: true });
+  if (category) query = query.eq('category', category);
+  const { data, error } = await query;
+  if (error) throw new Error('Failed to fetch moderation rules');
+  return data || [];
+}
+
+export async function createRule({ category, term, action = 'flag', enabled = true }, userId) {
+  validateRule({ category, term, action });
+  const { data, error } = await supabaseAdmin
+    .from('moderation_rules')
+    .insert([{ category, term: term.trim().toLowerCase(), action, enabled: enabled !== false, created_by: userId }])
+    .select(RULE_FIELDS)
+    .single();
+  if (error) {
+    if (error.code === '23505') throw new AppError('This term already exists in that category', 409);
+    throw new Error('Failed to create moderation rule');
+  }
+  invalidateRulesCache();
+  return data;
+}
+
+export async function updateRule(ruleId, updates) {
+  const patch = {};
+  ['category', 'term', 'action', 'enabled'].forEach((key) => {
+    if (updates[key] !== undefined) patch[key] = updates[key];
+  });
+  if (!Object.keys(patch).length) throw new AppError('No rule fields to update', 400);
+  validateRule(patch, { partial: true });
+  if (patch.term) patch.term = patch.term.trim().toLowerCase();
+  if (patch.enabled !== undefined) patch.enabled = !!patch.enabled;
+
+  const { data, error } = await supabaseAdmin
+    .from('moderation_rules')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', ruleId)
+    .select(RULE_FIELDS)
+    .maybeSingle();
+  if (error) {
+    if (error.code === '23505') throw new AppError('This term already exists in that category', 409);
+    throw new Error('Failed to update moderation rule');
+  }
+  if (!data) throw new AppError('Rule not found', 404);
+  invalidateRulesCache();
+  return data;
+}
+
+export async function deleteRule(ruleId) {
+  const { data, error } = await supabaseAdmin
+    .from('moderation_rules')
+    .delete()
+    .eq('id', ruleId)
+    .select('id');
+  if (error) throw new Error('Failed to delete moderation rule');
+  if (!data?.length) throw new AppError('Rule not found', 404);
+  invalidateRulesCache();
+}
+
+const LOG_FIELDS = 'id, user_id, session_id, character_id, stage, decision, category, term, excerpt, created_at, reviewed_at, reviewed_by, review_note';
+
+/**
+ * Recent moderation decisions, newest first
+ * @param {Object} filters - category, stage, decision, reviewed (true/false), before (ISO timestamp), limit
+ */
+export async function listLogs({ category, stage, decision, reviewed, before, limit = 50 } = {}) {
+  let query = supabaseAdmin
+    .from('moderation_logs')
+    .select(LOG_FIELDS)
+    .order('created_at', { ascending: false })
+    .limit(Math.max(1, Math.min(200, Number(limit) || 50)));
+  if (category) query = query.eq('category', category);
+  if (stage) query = query.eq('stage', stage);
+  if (decision) query = query.eq('decision', decision);
+  if (reviewed === true || reviewed === 'true') query = query.not('reviewed_at', 'is', null);
+  if (reviewed === false || reviewed === 'false') query = query.is('reviewed_at', null);
+  if (before) query = query.lt('created_at', before);
+  const { data, error } = await query;
+  if (error) throw new Error('Failed to fetch moderation logs');
+  return data || [];
+}
+
+/**
+ * Marks a logged decision as reviewed by staff
+ */
+export async function reviewLog(logId, reviewerId, note = null) {
+  const { data, error } = await supabaseAdmin
+    .from('moderation_logs')
+    .update({
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: reviewerId,
+      review_note: note ? String(note).slice(0, 1000) : null
+    })
+    .eq('id', logId)
+    .select(LOG_FIELDS)
+    .maybeSingle();
+  if (error) throw new Error('Failed to update moderation log');
+  if (!data) throw new AppError('Moderation log not found', 404);
+  return data;
+}
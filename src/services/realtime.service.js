@@ -0,0 +1,140 @@
+import { Server } from 'socket.io';
+import { verifyAuthToken, assertAccountActive } from '../middleware/auth.middleware.js';
+import * as chatService from './chat.service.js';
+
+// Single socket.io server for the process; null until initRealtime() runs
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Pull the JWT from the handshake: auth payload, Bearer header, then jwt cookie
+function extractHandshakeToken(handshake) {
+  if (handshake?.auth?.token) return handshake.auth.token;
+  const header = handshake?.headers?.authorization || '';
+  if (header.startsWith('Bearer')) return header.split(' ')[1];
+  const cookies = String(handshake?.headers?.cookie || '');
+  const match = cookies.split(';').map(c => c.trim()).find(c => c.startsWith('jwt='));
+  return match ? decodeURIComponent(match.slice(4)) : null;
+}
+
+// Reply through the ack callback if the client passed one
+const ack = (cb, payload) => {
+  if (typeof cb === 'function') cb(payload);
+};
+
+/**
+ * Attaches socket.io to the HTTP server. Clients authenticate with the same
+ * JWT accepted by `protect` and are joined to a per-user room automatically.
+ *
+ * Client -> server:
+ *   session:join  { sessionId }                 ack { ok, error? }
+ *   session:leave { sessionId }
+ *   message:send  { sessionId, message }        ack { ok, data?, error?, code?, details? }
+ *   typing        { sessionId, typing }
+ *
+ * Server -> client:
+ *   message:delta    { sessionId, content, character? }  token deltas (character set in group sessions)
+ *   message:new      { sessionId, message }     persisted message (incl. nudges)
+ *   message:done     { sessionId, result }      same payload as POST /chat/send
+ *   character:typing { sessionId, typing }
+ *   user:typing      { sessionId, typing }      relayed to the user's other devices
+ *   nudge            { id, session_id, character_id, title, body, created_at }
+ */
+export function initRealtime(httpServer, { cors } = {}) {
+  if (io) return io;
+
+  io = new Server(httpServer, {
+    path: '/socket.io',
+    cors: cors || { origin: true, credentials: true }
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const user = await verifyAuthToken(extractHandshakeToken(socket.handshake));
+      assertAccountActive(user);
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      next(new Error(error?.message || 'Invalid token or session expired'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const userId = socket.data.user.id;
+    socket.join(userRoom(userId));
+
+    // Payloads are destructured inside the handlers: a client may emit null
+    socket.on('session:join', async (payload, cb) => {
+      try {
+        const { sessionId } = payload || {};
+        if (!sessionId) throw new Error('Session ID is required');
+        // Ownership check: getSession only returns the caller's sessions
+        await chatService.getSession(sessionId, userId);
+        socket.join(sessionRoom(sessionId));
+        ack(cb, { ok: true });
+      } catch (error) {
+        ack(cb, { ok: false, error: error?.message || 'Failed to join session' });
+      }
+    });
+
+    socket.on('session:leave', (payload) => {
+      const { sessionId } = payload || {};
+      if (sessionId) socket.leave(sessionRoom(sessionId));
+    });
+
+    socket.on('typing', (payload) => {
+      const { sessionId, typing } = payload || {};
+      if (!sessionId || !socket.rooms.has(sessionRoom(sessionId))) return;
+      socket.to(sessionRoom(sessionId)).emit('user:typing', { sessionId, typing: !!typing });
+    });
+
+    socket.on('message:send', async (payload, cb) => {
+      const { sessionId, message } = payload || {};
+      if (!sessionId || !message) {
+        return ack(cb, { ok: false, error: 'Session ID and message are required' });
+      }
+      const room = sessionRoom(sessionId);
+      try {
+        await chatService.getSession(sessionId, userId);
+        socket.join(room);
+        io.to(room).emit('character:typing', { sessionId, typing: true });
+
+        const result = await chatService.sendMessageStream(sessionId, userId, message, {
+          onDelta: (content, speaker) => io.to(room).emit('message:delta', speaker ? { sessionId, content, character: speaker } : { sessionId, content })
+        });
+
+        io.to(room).emit('message:done', { sessionId, result });
+        ack(cb, { ok: true, data: result });
+      } catch (error) {
+        ack(cb, {
+          ok: false,
+          error: error?.message || 'Failed to send message',
+          ...(typeof error?.code === 'string' && { code: error.code }),
+          ...(error?.details && { details: error.details })
+        });
+      } finally {
+        io.to(room).emit('character:typing', { sessionId, typing: false });
+      }
+    });
+  });
+
+  console.log('[realtime] socket.io attached');
+  return io;
+}
+
+// Emit to every socket of a user (no-op when sockets are not attached)
+export function emitToUser(userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+}
+
+// Emit to everyone who joined a session room
+export function emitToSession(sessionId, event, payload) {
+  if (!io || !sessionId) return;
+  io.to(sessionRoom(sessionId)).emit(event, payload);
+}
+
+export function getIO() {
+  return io;
+}
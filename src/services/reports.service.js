@@ -0,0 +1,271 @@
+import { supabaseAdmin } from '../config/supabaseClient.js';
+import env from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { getOwnedMessage } from './chat.service.js';
+import { recordAdminAction, hideCharacter, unhideCharacter } from './admin.service.js';
+import { sendEmail, buildCharacterHiddenEmail } from './email.service.js';
+import { sendToUser } from './push.service.js';
+
+// User reports on public characters and chat messages, and the queue staff
+// work through at /api/v1/admin/reports (open -> actioned | dismissed).
+
+export const REPORT_REASONS = [
+  'sexual_content',
+  'minor_safety',
+  'violence',
+  'hate',
+  'harassment',
+  'self_harm',
+  'spam',
+  'impersonation',
+  'copyright',
+  'other'
+];
+
+export const REPORT_STATUSES = ['open', 'actioned', 'dismissed'];
+
+const MAX_DETAILS_LENGTH = 1000;
+const EXCERPT_LENGTH = 500;
+
+const REPORT_FIELDS = 'id, reporter_id, target_type, character_id, message_id, session_id, reason, details, excerpt, status, resolved_by, resolved_at, resolution_note, created_at';
+
+const autoHideThreshold = () => Math.max(1, parseInt(env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 5);
+
+function validateReport({ reason, details } = {}) {
+  const r = String(reason || '').trim().toLowerCase();
+  if (!REPORT_REASONS.includes(r)) {
+    throw new AppError(`reason must be one of: ${REPORT_REASONS.join(', ')}`, 400);
+  }
+  const d = details ? String(details).trim().slice(0, MAX_DETAILS_LENGTH) : null;
+  if (r === 'other' && !d) throw new AppError('Please describe the problem when the reason is "other"', 400);
+  return { reason: r, details: d || null };
+}
+
+async function insertReport(row, duplicateMessage) {
+  const { data, error } = await supabaseAdmin
+    .from('content_reports')
+    .insert([row])
+    .select(REPORT_FIELDS)
+    .single();
+  if (error) {
+    if (error.code === '23505') throw new AppError(duplicateMessage, 409);
+    throw new Error('Failed to save report');
+  }
+  return data;
+}
+
+async function loadCharacter(characterId) {
+  const { data, error } = await supabaseAdmin
+    .from('characters')
+    .select('id, creator_id, name, visibility, hidden_at, hidden_by')
+    .eq('id', characterId)
+    .maybeSingle();
+  if (error) throw new Error('Failed to fetch character');
+  return data;
+}
+
+// Open character reports from distinct users
+async function countOpenCharacterReports(characterId) {
+  const { data, error } = await supabaseAdmin
+    .from('content_reports')
+    .select('reporter_id')
+    .eq('character_id', characterId)
+    .eq('target_type', 'character')
+    .eq('status', 'open');
+  if (error) throw new Error('Failed to count reports');
+  return new Set((data || []).map(r => r.reporter_id).filter(Boolean)).size;
+}
+
+// Best effort: a failed email or push never fails the report
+async function notifyCreatorHidden(character, reportCount) {
+  try {
+    const { data: creator } = await supabaseAdmin
+      .from('user_profiles')
+      .select('id, email, username, first_name')
+      .eq('id', character.creator_id)
+      .single();
+    if (!creator) return;
+
+    if (creator.email) {
+      const { subject, text, html } = buildCharacterHiddenEmail({
+        name: creator.first_name || creator.username || 'there',
+        characterName: character.name,
+        appName: env.APP_NAME || 'Clyra AI',
+        reportCount
+      });
+      await sendEmail({ to: creator.email, subject, text, html }).catch((e) => {
+        console.warn('[reports] creator email failed:', e?.message || e);
+      });
+    }
+    await sendToUser(creator.id, {
+      notification: {
+        title: `${character.name} is under review`,
+        body: 'It was reported by other users and is hidden from public listings for now.'
+      },
+      data: { type: 'character_hidden', character_id: String(character.id) }
+    });
+  } catch (e) {
+    console.warn('[reports] failed to notify creator:', e?.message || e);
+  }
+}
+
+/**
+ * Hides a public character once its open reports reach the threshold, and
+ * tells the creator. Characters already hidden or not public are left alone.
+ */
+async function maybeAutoHide(character) {
+  if (character.hidden_at || character.visibility !== 'public') return false;
+  const count = await countOpenCharacterReports(character.id);
+  if (count < autoHideThreshold()) return false;
+
+  // Conditional update so concurrent reports hide (and notify) only once
+  const { data: hidden, error } = await supabaseAdmin
+    .from('characters')
+    .update({
+      hidden_at: new Date().toISOString(),
+      hidden_by: null,
+      hidden_reason: `Automatically hidden after ${count} reports`
+    })
+    .eq('id', character.id)
+    .is('hidden_at', null)
+    .select('id');
+  if (error) throw new Error('Failed to hide character');
+  if (!hidden?.length) return false;
+
+  await recordAdminAction(null, 'character.auto_hide', 'character', character.id, { details: { reports: count } });
+  notifyCreatorHidden(character, count);
+  return true;
+}
+
+/**
+ * Reports a public character
+ * @param {Object} user - req.user
+ * @param {string} characterId
+ * @param {{ reason: string, details?: string }} body
+ */
+export async function reportCharacter(user, characterId, body) {
+  const { reason, details } = validateReport(body);
+  const character = await loadCharacter(characterId);
+  if (!character || (character.hidden_at && character.creator_id !== user.id)) {
+    throw new AppError('Character not found', 404);
+  }
+  if (character.creator_id === user.id) throw new AppError('You cannot report your own character', 400);
+  if (character.visibility !== 'public') throw new AppError('Only public characters can be reported', 400);
+
+  const report = await insertReport(
+    { reporter_id: user.id, target_type: 'character', character_id: character.id, reason, details },
+    'You have already reported this character'
+  );
+  await maybeAutoHide(character);
+  return report;
+}
+
+/**
+ * Reports a character reply in one of the user's own sessions
+ */
+export async function reportMessage(user, messageId, body) {
+  const { reason, details } = validateReport(body);
+  const msg = await getOwnedMessage(messageId, user.id);
+  if (msg.role !== 'assistant') throw new AppError('Only character replies can be reported', 400);
+
+  let characterId = msg.character_id;
+  if (!characterId) {
+    const { data: session } = await supabaseAdmin
+      .from('chat_sessions')
+      .select('character_id')
+      .eq('id', msg.session_id)
+      .single();
+    characterId = session?.character_id || null;
+  }
+
+  return insertReport({
+    reporter_id: user.id,
+    target_type: 'message',
+    character_id: characterId,
+    message_id: msg.id,
+    session_id: msg.session_id,
+    reason,
+    details,
+    excerpt: String(msg.content || '').slice(0, EXCERPT_LENGTH)
+  }, 'You have already reported this message');
+}
+
+/**
+ * Moderation queue, oldest open reports first by default
+ * @param {Object} filters - status, target_type, character_id, reason, limit, offset
+ */
+export async function listReports({ status = 'open', targetType, characterId, reason, limit = 50, offset = 0 } = {}) {
+  if (status && !REPORT_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${REPORT_STATUSES.join(', ')}`, 400);
+  }
+  const size = Math.max(1, Math.min(200, parseInt(limit, 10) || 50));
+  const from = Math.max(0, parseInt(offset, 10) || 0);
+  let query = supabaseAdmin
+    .from('content_reports')
+    .select(`${REPORT_FIELDS}, character:characters(id, name, creator_id, visibility, hidden_at, hidden_reason)`, { count: 'exact' })
+    .order('created_at', { ascending: status === 'open' })
+    .range(from, from + size - 1);
+  if (status) query = query.eq('status', status);
+  if (targetType) query = query.eq('target_type', targetType);
+  if (characterId) query = query.eq('character_id', characterId);
+  if (reason) query = query.eq('reason', reason);
+  const { data, error, count } = await query;
+  if (error) throw new Error('Failed to fetch reports');
+  return { reports: data || [], total: count || 0 };
+}
+
+/**
+ * Closes a report, and every other open report on the same target, as
+ * actioned or dismissed. Actioning a character report can hide the character;
+ * dismissing the reports on an automatically hidden character restores it.
+ * @param {Object} actor - req.user
+ * @param {string} reportId
+ * @param {{ status: 'actioned'|'dismissed', note?: string, hide_character?: boolean }} resolution
+ */
+export async function resolveReport(actor, reportId, { status, note, hide_character: hide = false } = {}) {
+  if (!['actioned', 'dismissed'].includes(status)) {
+    throw new AppError('status must be actioned or dismissed', 400);
+  }
+  const { data: report, error } = await supabaseAdmin
+    .from('content_reports')
+    .select(REPORT_FIELDS)
+    .eq('id', reportId)
+    .maybeSingle();
+  if (error) throw new Error('Failed to fetch report');
+  if (!report) throw new AppError('Report not found', 404);
+  if (report.status !== 'open') throw new AppError(`Report is already ${report.status}`, 400);
+
+  const resolutionNote = note ? String(note).trim().slice(0, MAX_DETAILS_LENGTH) : null;
+  let query = supabaseAdmin
+    .from('content_reports')
+    .update({
+      status,
+      resolved_by: actor.id,
+      resolved_at: new Date().toISOString(),
+      resolution_note: resolutionNote
+    })
+    .eq('status', 'open')
+    .eq('target_type', report.target_type);
+  query = report.target_type === 'message'
+    ? query.eq('message_id', report.message_id)
+    : query.eq('character_id', report.character_id);
+  const { data: resolved, error: updErr } = await query.select('id');
+  if (updErr) throw new Error('Failed to resolve reports');
+
+  await recordAdminAction(actor.id, `report.${status === 'actioned' ? 'action' : 'dismiss'}`, 'content_report', report.id, {
+    reason: resolutionNote,
+    details: { target_type: report.target_type, character_id: report.character_id, resolved: resolved?.length || 0 }
+  });
+
+  let character = null;
+  if (report.character_id) {
+    const current = await loadCharacter(report.character_id);
+    if (status === 'actioned' && (hide === true || hide === 'true') && current && !current.hidden_at) {
+      character = await hideCharacter(actor, report.character_id, resolutionNote || `Reported: ${report.reason}`);
+    } else if (status === 'dismissed' && report.target_type === 'character' && current?.hidden_at && !current.hidden_by) {
+      character = await unhideCharacter(actor, report.character_id, 'Reports dismissed');
+    }
+  }
+
+  return { resolved: resolved?.length || 0, status, character };
+}
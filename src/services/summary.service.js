@@ -0,0 +1,164 @@
+import supabase from '../config/supabaseClient.js';
+import env from '../config/env.js';
+import { meteredChatCompletion } from './metering.service.js';
+import AppError from '../utils/appError.js';
+
+// Sessions with a refresh in flight (per process) to avoid duplicate model calls
+const inFlight = new Set();
+
+// Longest stored summary (SUMMARY_MAX_CHARS); the prompt builder clamps to it too
+export const summaryMaxChars = () => Math.max(200, parseInt(env.SUMMARY_MAX_CHARS || '1200', 10));
+
+async function loadSummaryRow(sessionId, userId) {
+  const { data: session, error } = await supabase
+    .from('chat_sessions')
+    .select('id, user_id, summary, summary_order_index, summary_updated_at, summary_is_manual')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .single();
+  if (error || !session) {
+    throw new AppError('Session not found or access denied', 404);
+  }
+  return session;
+}
+
+const toSummaryResponse = (s) => ({
+  session_id: s.id,
+  summary: s.summary || '',
+  covered_order_index: s.summary_order_index || 0,
+  updated_at: s.summary_updated_at || null,
+  is_manual: !!s.summary_is_manual
+});
+
+/**
+ * Folds active messages newer than the stored summary into an updated summary
+ * (metered to the session owner).
+ * @param {string} sessionId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - refresh even if fewer than SUMMARY_EVERY_TURNS turns are pending
+ * @returns {Promise<Object|null>} the summary response, or null when nothing was refreshed
+ */
+export async function refreshSessionSummary(sessionId, userId, { force = false } = {}) {
+  if (inFlight.has(sessionId)) return null;
+  inFlight.add(sessionId);
+  try {
+    const session = await loadSummaryRow(sessionId, userId);
+    const since = Number(session.summary_order_index || 0);
+
+    const { data: rows, error } = await supabase
+      .from('chat_messages')
+      .select('role, content, order_index')
+      .eq('session_id', sessionId)
+      .is('branch_id', null)
+      .gt('order_index', since)
+      .order('order_index', { ascending: true })
+      .limit(200);
+    if (error) throw new Error('Failed to load messages for summary');
+
+    const pending = rows || [];
+    const everyTurns = Math.max(1, parseInt(env.SUMMARY_EVERY_TURNS || '6', 10));
+    if (!pending.length || (!force && pending.length < everyTurns * 2)) return null;
+
+    const transcript = pending
+      .map(m => `${m.role === 'assistant' ? 'Character' : 'User'}: ${String(m.content || '').slice(0, 600)}`)
+      .join('\n');
+    const limit = summaryMaxChars();
+    const messages = [
+      {
+        role: 'system',
+        content: [
+          'You maintain the long-term memory of an ongoing roleplay chat.',
+          `Rewrite the running summary so it includes the new messages. Stay under ${limit} characters.`,
+          'Keep names, facts about the user, relationship developments, promises and unresolved threads.',
+          'Write in third person, plain prose, no lists, no commentary.'
+        ].join(' ')
+      },
+      {
+        role: 'user',
+        content: `Current summary:\n${session.summary || '(none yet)'}\n\nNew messages:\n${transcript}\n\nUpdated summary:`
+      }
+    ];
+
+    const resp = await meteredChatCompletion(userId, messages, { temperature: 0.3, max_tokens: 500 });
+    const summary = (resp?.choices?.[0]?.message?.content || '').trim().slice(0, limit);
+    if (!summary) return null;
+
+    const coveredIndex = Number(pending[pending.length - 1].order_index || since);
+    const { data: updated, error: updErr } = await supabase
+      .from('chat_sessions')
+      .update({
+        summary,
+        summary_order_index: coveredIndex,
+        summary_updated_at: new Date().toISOString(),
+        summary_is_manual: false
+      })
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .select('id, summary, summary_order_index, summary_updated_at, summary_is_manual')
+      .single();
+    if (updErr) throw new Error('Failed to save summary');
+    return toSummaryResponse(updated);
+  } finally {
+    inFlight.delete(sessionId);
+  }
+}
+
+/**
+ * Fire-and-forget refresh after a turn; never throws into the chat path.
+ */
+export function scheduleSummaryRefresh(sessionId, userId) {
+  if (!env.SUMMARY_ENABLED) return;
+  refreshSessionSummary(sessionId, userId).catch((e) => {
+    console.warn('[summary] refresh failed:', e?.message || e);
+  });
+}
+
+export async function getSessionSummary(sessionId, userId) {
+  return toSummaryResponse(await loadSummaryRow(sessionId, userId));
+}
+
+/**
+ * Replaces the summary with user-provided text. Coverage is kept so the next
+ * automatic refresh only folds in newer messages on top of the edit.
+ */
+export async function updateSessionSummary(sessionId, userId, summary) {
+  await loadSummaryRow(sessionId, userId);
+  const { data: updated, error } = await supabase
+    .from('chat_sessions')
+    .update({
+      summary: String(summary).slice(0, summaryMaxChars()),
+      summary_updated_at: new Date().toISOString(),
+      summary_is_manual: true
+    })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .select('id, summary, summary_order_index, summary_updated_at, summary_is_manual')
+    .single();
+  if (error) throw new Error('Failed to update summary');
+  return toSummaryResponse(updated);
+}
+
+export async function resetSessionSummary(sessionId, userId) {
+  await loadSummaryRow(sessionId, userId);
+  const { error } = await supabase
+    .from('chat_sessions')
+    .update({ summary: null, summary_order_index: 0, summary_updated_at: null, summary_is_manual: false })
+    .eq('id', sessionId)
+    .eq('user_id', userId);
+  if (error) throw new Error('Failed to reset summary');
+  return { success: true };
+}
+
+/**
+ * Drops the summary when messages it covers leave the active conversation
+ * (branch edits/switches), so archived turns don't leak into the prompt.
+ */
+export async function invalidateSummaryFrom(sessionId, orderIndex) {
+  const { error } = await supabase
+    .from('chat_sessions')
+    .update({ summary: null, summary_order_index: 0, summary_updated_at: null, summary_is_manual: false })
+    .eq('id', sessionId)
+    .gte('summary_order_index', orderIndex);
+  if (error) console.warn('[summary] invalidate failed:', error?.message || error);
+}
@@ -0,0 +1,57 @@
+// User-level adult content gate. NSFW characters and NSFW prompts are only
+// available to users with a verified age of ADULT_AGE or older who have also
+// opted in; a character's nsfw_enabled flag alone is not enough.
+
+export const ADULT_AGE = 18;
+
+// user_profiles columns the gate reads (see sql/migrations/028_add_adult_content_gate.sql)
+export const ADULT_PROFILE_FIELDS = 'age, birth_date, age_verified_at, adult_content_enabled';
+
+/**
+ * Whole years between a birth date and `now`
+ * @param {string|Date} birthDate - YYYY-MM-DD or Date
+ * @returns {number|null} null when the date is missing or invalid
+ */
+export function ageFromBirthDate(birthDate, now = new Date()) {
+  if (!birthDate) return null;
+  const dob = new Date(birthDate);
+  if (Number.isNaN(dob.getTime())) return null;
+  let age = now.getUTCFullYear() - dob.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < dob.getUTCMonth()
+    || (now.getUTCMonth() === dob.getUTCMonth() && now.getUTCDate() < dob.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+}
+
+/**
+ * Verified adult: a verified birth date of ADULT_AGE+ years, and no
+ * self-declared age (signup / profile) under ADULT_AGE
+ * @param {Object} profile - user_profiles row with ADULT_PROFILE_FIELDS
+ */
+export function isVerifiedAdult(profile) {
+  if (!profile?.age_verified_at) return false;
+  const verifiedAge = ageFromBirthDate(profile.birth_date);
+  if (verifiedAge === null || verifiedAge < ADULT_AGE) return false;
+  const declared = parseInt(profile.age, 10);
+  return Number.isNaN(declared) || declared >= ADULT_AGE;
+}
+
+/**
+ * True when NSFW characters and prompts may be served to this user
+ * @param {Object} profile - user_profiles row with ADULT_PROFILE_FIELDS
+ */
+export function canAccessAdultContent(profile) {
+  return isVerifiedAdult(profile) && profile.adult_content_enabled === true;
+}
+
+export const isNSFWCharacter = (c) => c?.nsfw_enabled === true || c?.nsfw_enabled === 'true' || c?.nsfw_enabled === 1 || c?.nsfw_enabled === '1';
+
+/**
+ * Public shape of the gate for /auth/me responses
+ */
+export function adultContentStatus(profile) {
+  return {
+    age_verified: isVerifiedAdult(profile),
+    adult_content_enabled: canAccessAdultContent(profile)
+  };
+}
@@ -8,4 +8,37 @@ class AppError extends Error {
   }
 }
 
+// A chat turn stopped by content moderation. `code` and `details` are sent to
+// the client so it can show a specific message instead of a generic failure.
+export class ContentBlockedError extends AppError {
+  constructor(stage, category) {
+    super(
+      stage === 'output'
+        ? 'The reply was blocked by content moderation. Please try again.'
+        : 'Your message was blocked by content moderation.',
+      422
+    );
+    this.code = stage === 'output' ? 'MODERATION_OUTPUT_BLOCKED' : 'MODERATION_INPUT_BLOCKED';
+    this.details = { stage, category };
+  }
+}
+
+// NSFW character requested by a user who is not a verified, opted-in adult
+export class AdultContentRequiredError extends AppError {
+  constructor(message = 'This character is for adults only. Verify your age and enable adult content in your account settings.') {
+    super(message, 403);
+    this.code = 'ADULT_CONTENT_REQUIRED';
+  }
+}
+
+// A subscription plan limit was reached; details tell the client which one
+// and when daily limits reset so it can offer an upgrade
+export class PlanLimitError extends AppError {
+  constructor(message, details) {
+    super(message, 403);
+    this.code = 'PLAN_LIMIT_REACHED';
+    this.details = details;
+  }
+}
+
 export default AppError;
@@ -0,0 +1,257 @@
+// Character Card (TavernAI V1 / SillyTavern V2) import/export helpers.
+// PNG cards carry the card JSON base64-encoded in a tEXt chunk named "chara".
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Fields of card.data that map onto our characters table
+const MAPPED_FIELDS = new Set([
+  'name', 'description', 'personality', 'first_mes', 'mes_example', 'tags', 'character_book', 'extensions'
+]);
+
+const TRAIT_KEYS = [
+  'flirtiness', 'shyness', 'kindness', 'rudeness', 'confidence',
+  'intelligence', 'empathy', 'humor', 'aggression', 'openness',
+  'extroversion', 'patience'
+];
+
+// Only the personality traits, each a number in [0, 1]; the card is
+// untrusted, so any other key (counters, moderation state...) is dropped
+function pickTraits(traits) {
+  const picked = {};
+  if (!traits || typeof traits !== 'object') return picked;
+  TRAIT_KEYS.forEach((k) => {
+    const value = traits[k];
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1) picked[k] = value;
+  });
+  return picked;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+export function isPng(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Reads the "chara" tEXt chunk of a PNG card and returns the parsed card JSON
+ * @param {Buffer} buffer
+ * @returns {Object|null}
+ */
+export function readPngCard(buffer) {
+  if (!isPng(buffer)) return null;
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    if (dataStart + length > buffer.length) break;
+    if (type === 'tEXt') {
+      const data = buffer.subarray(dataStart, dataStart + length);
+      const sep = data.indexOf(0);
+      if (sep > 0 && data.toString('latin1', 0, sep) === 'chara') {
+        try {
+          return JSON.parse(Buffer.from(data.toString('latin1', sep + 1), 'base64').toString('utf8'));
+        } catch {
+          return null;
+        }
+      }
+    }
+    if (type === 'IEND') break;
+    offset = dataStart + length + 4; // skip CRC
+  }
+  return null;
+}
+
+/**
+ * Returns a copy of the PNG with the card embedded as a "chara" tEXt chunk
+ * (existing chara chunks are replaced)
+ * @param {Buffer} png
+ * @param {Object} card
+ * @returns {Buffer}
+ */
+export function writePngCard(png, card) {
+  if (!isPng(png)) throw new Error('Not a PNG image');
+  const chunks = [];
+  let offset = 8;
+  let iendAt = -1;
+  while (offset + 8 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    const isChara = type === 'tEXt' && png.toString('latin1', offset + 8, offset + 13) === 'chara';
+    if (type === 'IEND') {
+      iendAt = offset;
+      break;
+    }
+    if (!isChara) chunks.push(png.subarray(offset, end));
+    offset = end;
+  }
+  if (iendAt < 0) throw new Error('Invalid PNG: missing IEND');
+
+  const text = Buffer.concat([
+    Buffer.from('chara\0', 'latin1'),
+    Buffer.from(Buffer.from(JSON.stringify(card), 'utf8').toString('base64'), 'latin1')
+  ]);
+  const typeAndData = Buffer.concat([Buffer.from('tEXt', 'latin1'), text]);
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(text.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([PNG_SIGNATURE, ...chunks, len, typeAndData, crc, png.subarray(iendAt)]);
+}
+
+// mes_example text -> example_conversations (one transcript per <START> block)
+function splitExamples(mesExample) {
+  return String(mesExample || '')
+    .split(/<START>/i)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+// example_conversations -> mes_example text
+function joinExamples(examples) {
+  const list = Array.isArray(examples) ? examples : [];
+  return list.map((ex) => {
+    if (typeof ex === 'string') return `<START>\n${ex.trim()}`;
+    const turns = Array.isArray(ex) ? ex : [ex];
+    const lines = turns.flatMap((t) => {
+      if (!t || typeof t !== 'object') return [];
+      if (t.role && t.content) return [`${t.role === 'user' ? '{{user}}' : '{{char}}'}: ${t.content}`];
+      const u = t.user ?? t.input;
+      const c = t.character ?? t.char ?? t.assistant ?? t.bot ?? t.response;
+      return [u && `{{user}}: ${u}`, c && `{{char}}: ${c}`].filter(Boolean);
+    });
+    return lines.length ? `<START>\n${lines.join('\n')}` : '';
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Maps a V1 or V2 card onto our character fields. Everything we don't map is
+ * returned in `card_metadata` so a later export can round-trip it.
+ * @param {Object} card
+ * @returns {{ character: Object, lore: Array, card_metadata: Object }}
+ */
+export function cardToCharacter(card) {
+  if (!card || typeof card !== 'object') throw new Error('Invalid character card');
+  const isV2 = card.spec === 'chara_card_v2' || (card.data && typeof card.data === 'object');
+  const data = isV2 ? (card.data || {}) : card;
+  if (!data.name) throw new Error('Character card has no name');
+
+  const ours = data.extensions?.clyra || {};
+  const extensions = { ...(data.extensions || {}) };
+  delete extensions.clyra;
+
+  const extra = {};
+  Object.entries(data).forEach(([k, v]) => {
+    if (!MAPPED_FIELDS.has(k)) extra[k] = v;
+  });
+
+  // Both are required by validateCharacterData; many cards only fill one of them
+  const description = String(data.description || '').trim() || String(data.personality || '').trim();
+  const persona = String(data.personality || '').trim() || description;
+
+  const character = {
+    name: String(data.name).trim().slice(0, 100),
+    description,
+    persona,
+    first_message: data.first_mes ? String(data.first_mes) : undefined,
+    example_conversations: splitExamples(data.mes_example),
+    tags: Array.isArray(data.tags) ? data.tags.map(t => String(t).trim()).filter(Boolean).slice(0, 20) : [],
+    ...(ours.character_type && { character_type: ours.character_type }),
+    ...(ours.character_gender && { character_gender: ours.character_gender }),
+    ...pickTraits(ours.traits)
+  };
+
+  const lore = Array.isArray(data.character_book?.entries)
+    ? data.character_book.entries
+        .filter(e => e && e.content && (Array.isArray(e.keys) ? e.keys.length : e.keys))
+        .map(e => ({
+          keywords: Array.isArray(e.keys) ? e.keys : String(e.keys).split(','),
+          content: String(e.content),
+          priority: parseInt(e.priority ?? e.insertion_order ?? 0, 10) || 0,
+          enabled: e.enabled !== false
+        }))
+    : [];
+
+  const card_metadata = {
+    source_spec: isV2 ? (card.spec || 'chara_card_v2') : 'chara_card_v1',
+    source_spec_version: card.spec_version || null,
+    fields: extra,
+    extensions,
+    ...(data.character_book && { character_book_name: data.character_book.name || null })
+  };
+
+  return { character, lore, card_metadata };
+}
+
+/**
+ * Builds a Character Card V2 from a character row (and optional lore entries)
+ * @param {Object} character
+ * @param {Array} [loreEntries]
+ * @returns {Object}
+ */
+export function characterToCard(character, loreEntries = []) {
+  const meta = character.card_metadata || {};
+  const traits = {};
+  TRAIT_KEYS.forEach((k) => {
+    if (typeof character[k] === 'number') traits[k] = character[k];
+  });
+
+  return {
+    spec: 'chara_card_v2',
+    spec_version: '2.0',
+    data: {
+      scenario: '',
+      creator_notes: '',
+      system_prompt: '',
+      post_history_instructions: '',
+      alternate_greetings: [],
+      creator: '',
+      character_version: '',
+      ...(meta.fields || {}),
+      name: character.name || '',
+      description: character.description || '',
+      personality: character.persona || '',
+      first_mes: character.first_message || '',
+      mes_example: joinExamples(character.example_conversations),
+      tags: Array.isArray(character.tags) ? character.tags : [],
+      ...(loreEntries.length && {
+        character_book: {
+          name: meta.character_book_name || `${character.name} lore`,
+          entries: loreEntries.map((e, i) => ({
+            id: i + 1,
+            keys: e.keywords || [],
+            content: e.content,
+            enabled: e.enabled !== false,
+            insertion_order: e.priority || 0,
+            priority: e.priority || 0
+          }))
+        }
+      }),
+      extensions: {
+        ...(meta.extensions || {}),
+        clyra: {
+          character_type: character.character_type,
+          character_gender: character.character_gender,
+          nsfw_enabled: !!character.nsfw_enabled,
+          traits
+        }
+      }
+    }
+  };
+}
@@ -1,3 +1,6 @@
+import { PROVIDER_NAMES } from '../config/llm.js';
+import { validateGenerationSettings } from './generationSettings.js';
+
 // Local minimal gender info to avoid prompts.js dependency
 const GENDER_INFO_MAP = {
   male: { title: 'Male', pronouns: { casual: 'he/him', formal: 'he/him' } },
@@ -19,7 +22,8 @@ export function formatCharacterData(character) {
 
   // Personality traits - will use whatever is in the character object
   // from the database, with no hardcoded defaults
-  const personalityTraits = { ...character };
+  // (search_vector is the full-text search column, not part of the API)
+  const { search_vector: _searchVector, ...personalityTraits } = character;
 
   // Extract gender info (local)
   const genderInfo = getGenderInfoLocal(character.character_gender || 'other');
@@ -135,8 +139,89 @@ export function validateCharacterData(characterData) {
     }
   }
   
+  // Optional LLM provider/model override for this character
+  if (characterData.llm_provider != null && characterData.llm_provider !== '' && !PROVIDER_NAMES.includes(characterData.llm_provider)) {
+    errors.push(`Invalid LLM provider. Must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  if (characterData.llm_model != null && (typeof characterData.llm_model !== 'string' || characterData.llm_model.length > 200)) {
+    errors.push('llm_model must be a string of at most 200 characters');
+  }
+
+  // Sampling preset (temperature, top_p, penalties, max_tokens, stop)
+  errors.push(...validateGenerationSettings(characterData.generation_settings));
+  
   return {
     isValid: errors.length === 0,
     errors
   };
 }
+
+/**
+ * Fills SillyTavern-style placeholders ({{user}}, {{char}}, <USER>, <BOT>)
+ */
+export function fillPlaceholders(text, { user = 'you', char = 'Character' } = {}) {
+  return String(text || '')
+    .replace(/\{\{\s*user\s*\}\}|<user>/gi, user || 'you')
+    .replace(/\{\{\s*char\s*\}\}|<bot>|<char>/gi, char || 'Character');
+}
+
+const USER_SPEAKERS = /^(\{\{\s*user\s*\}\}|<user>|user|you)$/i;
+const CHAR_SPEAKERS = /^(\{\{\s*char\s*\}\}|<bot>|<char>|char|character|bot|assistant|ai)$/i;
+
+// "Speaker: text" transcript -> turns; speakers other than the user count as the character
+function parseTranscript(raw, charName) {
+  const turns = [];
+  String(raw || '')
+    .replace(/<START>/gi, '')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const m = line.match(/^\s*([^:]{1,40}):\s*(.*)$/);
+      if (m) {
+        const speaker = m[1].trim();
+        const isUser = USER_SPEAKERS.test(speaker);
+        const isChar = CHAR_SPEAKERS.test(speaker) || speaker.toLowerCase() === String(charName || '').toLowerCase();
+        if (isUser || isChar) {
+          turns.push({ role: isUser ? 'user' : 'assistant', content: m[2].trim() });
+          return;
+        }
+      }
+      // Continuation line
+      if (turns.length && line.trim()) {
+        turns[turns.length - 1].content += `\n${line.trim()}`;
+      }
+    });
+  return turns.filter(t => t.content);
+}
+
+/**
+ * Normalizes stored example_conversations into dialogues of { role, content } turns.
+ * Accepts transcripts ("{{user}}: hi\n{{char}}: hello"), { user, character } pairs,
+ * { role, content } turns, or arrays of any of those.
+ * @returns {Array<Array<{role: 'user'|'assistant', content: string}>>}
+ */
+export function parseExampleConversations(examples, { user, char } = {}) {
+  const list = Array.isArray(examples) ? examples : (examples ? [examples] : []);
+  const fill = (t) => fillPlaceholders(t, { user, char }).trim();
+
+  const toTurns = (item) => {
+    if (!item) return [];
+    if (typeof item === 'string') return parseTranscript(item, char);
+    if (Array.isArray(item)) return item.flatMap(toTurns);
+    if (typeof item === 'object') {
+      if (item.role && item.content) {
+        return [{ role: item.role === 'user' ? 'user' : 'assistant', content: String(item.content) }];
+      }
+      const u = item.user ?? item.input ?? item.question;
+      const c = item.character ?? item.char ?? item.assistant ?? item.bot ?? item.response ?? item.answer;
+      return [
+        u && { role: 'user', content: String(u) },
+        c && { role: 'assistant', content: String(c) }
+      ].filter(Boolean);
+    }
+    return [];
+  };
+
+  return list
+    .map(item => toTurns(item).map(t => ({ role: t.role, content: fill(t.content) })).filter(t => t.content))
+    .filter(d => d.length);
+}
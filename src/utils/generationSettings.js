@@ -0,0 +1,84 @@
+// Sampling presets stored on characters (creator defaults) and chat sessions
+// (user override). Only keys listed here are accepted and forwarded to the
+// LLM provider; the model itself is chosen via llm_provider/llm_model.
+
+const NUMERIC_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  top_p: { min: 0, max: 1 },
+  repetition_penalty: { min: 0.5, max: 2 },
+  frequency_penalty: { min: -2, max: 2 },
+  presence_penalty: { min: -2, max: 2 },
+  max_tokens: { min: 1, max: 4096, integer: true }
+};
+
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_LENGTH = 50;
+
+export const GENERATION_SETTING_KEYS = [...Object.keys(NUMERIC_LIMITS), 'stop'];
+
+/**
+ * Validates a generation settings object
+ * @param {Object} settings
+ * @returns {string[]} error messages (empty when valid)
+ */
+export function validateGenerationSettings(settings) {
+  const errors = [];
+  if (settings == null) return errors;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['generation_settings must be an object'];
+  }
+
+  Object.keys(settings).forEach((key) => {
+    if (!GENERATION_SETTING_KEYS.includes(key)) {
+      errors.push(`Unknown generation setting: ${key}. Allowed: ${GENERATION_SETTING_KEYS.join(', ')}`);
+    }
+  });
+
+  Object.entries(NUMERIC_LIMITS).forEach(([key, { min, max, integer }]) => {
+    const raw = settings[key];
+    if (raw === undefined || raw === null) return;
+    const value = Number(raw);
+    if (Number.isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      errors.push(`${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    }
+  });
+
+  if (settings.stop !== undefined && settings.stop !== null) {
+    const stop = settings.stop;
+    if (!Array.isArray(stop) || stop.some(s => typeof s !== 'string' || !s || s.length > MAX_STOP_LENGTH)) {
+      errors.push(`stop must be an array of non-empty strings of at most ${MAX_STOP_LENGTH} characters`);
+    } else if (stop.length > MAX_STOP_SEQUENCES) {
+      errors.push(`stop can have at most ${MAX_STOP_SEQUENCES} sequences`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Keeps only known, set keys with numbers coerced (call after validation)
+ */
+export function normalizeGenerationSettings(settings) {
+  const out = {};
+  if (!settings || typeof settings !== 'object') return out;
+  Object.keys(NUMERIC_LIMITS).forEach((key) => {
+    if (settings[key] !== undefined && settings[key] !== null && settings[key] !== '') {
+      out[key] = Number(settings[key]);
+    }
+  });
+  if (Array.isArray(settings.stop) && settings.stop.length) {
+    out.stop = settings.stop.slice(0, MAX_STOP_SEQUENCES);
+  }
+  return out;
+}
+
+/**
+ * Completion options for a reply: character preset, overridden key by key by
+ * the session's user override
+ */
+export function resolveGenerationOptions(characterSettings, sessionSettings) {
+  return {
+    ...normalizeGenerationSettings(characterSettings),
+    ...normalizeGenerationSettings(sessionSettings)
+  };
+}
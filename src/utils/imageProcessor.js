@@ -47,3 +47,21 @@ export const getImageOutputConfig = () => ({
   contentType: 'image/webp', // Using WebP for best compression
   fileExtension: 'webp',
 });
+
+/**
+ * Renders a PNG for character card export: the avatar when available,
+ * otherwise a plain 400x600 placeholder
+ * @param {Buffer|null} imageBuffer - Avatar image in any format sharp can read
+ * @returns {Promise<Buffer>} - PNG buffer
+ */
+export const renderCardPng = async (imageBuffer) => {
+  try {
+    const image = imageBuffer
+      ? sharp(imageBuffer)
+      : sharp({ create: { width: 400, height: 600, channels: 4, background: { r: 40, g: 40, b: 48, alpha: 1 } } });
+    return await image.png().toBuffer();
+  } catch (error) {
+    console.error('Error rendering card image:', error);
+    throw new Error('Failed to render card image');
+  }
+};
@@ -1,19 +1,26 @@
-// Lightweight moderation utilities used by chat.service
-// Provides keyword-based checks and sanitization without external APIs.
+// Keyword moderation engine used by moderation.service (chat input/output).
+// Pure functions over a rule list; the live rules come from the
+// moderation_rules table and the lists below are the built-in fallback.
+
+export const RULE_ACTIONS = ['block', 'restrict', 'flag'];
+
+// Always blocked, whatever the rule's action or the character's nsfw_enabled
+export const PROHIBITED_CATEGORY = 'prohibited';
 
 /**
  * Basic keyword lists. These are not exhaustive but cover common cases.
- * The goal is to provide predictable, fast checks until a richer system is added.
+ * They seed sql/migrations/027_add_moderation.sql and are used as-is when the
+ * rules table is empty or unreachable.
  */
 const SEXUAL_TERMS = [
-  'sex', 'sexual', 'fuck', 'fucking', 'fucked', 'screw', 'horny', 'cum', 'cumming', 'semen',
+  'sex', 'sexual', 'fuck', 'fucking', 'fucked', 'horny', 'cum', 'cumming', 'semen',
   'nsfw', 'nude', 'naked', 'boobs', 'tits', 'penis', 'vagina', 'pussy', 'clit', 'clitoris',
-  'cock', 'dick', 'jerk off', 'handjob', 'blowjob', 'bj', 'suck', '69', 'anal', 'buttplug',
-  'deepthroat', 'threesome', 'orgasm', 'moan', 'fetish', 'kink', 'sext', 'porn'
+  'cock', 'dick', 'jerk off', 'handjob', 'blowjob', 'bj', 'anal', 'buttplug',
+  'deepthroat', 'threesome', 'orgasm', 'fetish', 'kink', 'sext', 'porn'
 ];
 
 const EXTREME_OR_PROHIBITED = [
-  'rape', 'raping', 'bestiality', 'zoophilia', 'loli', 'child porn', 'cp', 'underage',
+  'rape', 'raping', 'bestiality', 'zoophilia', 'loli', 'child porn', 'underage',
   'necrophilia', 'snuff', 'incest', 'sex slave'
 ];
 
@@ -21,6 +28,14 @@ const VIOLENCE_TERMS = [
   'kill', 'murder', 'stab', 'shoot', 'behead', 'gore', 'bloodbath'
 ];
 
+export const DEFAULT_RULES = [
+  ...EXTREME_OR_PROHIBITED.map(term => ({ category: PROHIBITED_CATEGORY, term, action: 'block' })),
+  ...SEXUAL_TERMS.map(term => ({ category: 'sexual', term, action: 'restrict' })),
+  ...VIOLENCE_TERMS.map(term => ({ category: 'violence', term, action: 'flag' }))
+];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Normalize text to analyze.
  */
@@ -31,67 +46,110 @@ function normalize(text) {
     .trim();
 }
 
+// Whole-word match (plus simple inflections) so "cum" does not hit "cucumber"
+function termRegExp(term, flags = 'iu') {
+  const body = normalize(term).split(' ').map(escapeRegExp).join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?:s|es|ed|ing)?(?![\\p{L}\\p{N}])`, flags);
+}
+
+// Evaluation order: the first matching rule of the strongest action decides
+const ACTION_RANK = { block: 0, restrict: 1, flag: 2 };
+
 /**
- * Checks whether the content is allowed based on a simple ruleset.
- * @param {string} text - input text
- * @param {boolean} nsfwEnabled - if true, allow mild sexual content but still block prohibited content
- * @returns {{ allowed: boolean, category?: string, term?: string }}
+ * Prepares rules for matching: drops disabled/invalid rows, forces the
+ * prohibited category to block and sorts by strength
+ * @param {Array<{category: string, term: string, action: string, enabled?: boolean}>} rules
+ * @returns {Array<{category: string, term: string, action: string, re: RegExp}>}
  */
-export function moderateContent(text, nsfwEnabled = false) {
-  const t = normalize(text);
-  if (!t) return { allowed: true };
+export function compileRules(rules) {
+  return (rules || [])
+    .filter(r => r && r.enabled !== false && normalize(r.term) && RULE_ACTIONS.includes(r.action))
+    .map(r => ({
+      category: r.category,
+      term: normalize(r.term),
+      action: r.category === PROHIBITED_CATEGORY ? 'block' : r.action,
+      re: termRegExp(r.term)
+    }))
+    .sort((a, b) => ACTION_RANK[a.action] - ACTION_RANK[b.action]);
+}
 
-  // Always block extreme/prohibited content
-  for (const term of EXTREME_OR_PROHIBITED) {
-    if (t.includes(term)) {
-      return { allowed: false, category: 'prohibited', term };
-    }
-  }
+const DEFAULT_COMPILED = compileRules(DEFAULT_RULES);
 
-  // Violence: allow discussion but not graphic gore cues
-  for (const term of VIOLENCE_TERMS) {
-    if (t.includes(term)) {
-      // Not strictly blocked, but flagged; keep allowed to avoid over-blocking
-      return { allowed: true, category: 'violence', term };
-    }
-  }
+/**
+ * Applies compiled rules to a piece of chat text.
+ *   block    -> blocked
+ *   restrict -> blocked on input when NSFW is off; masked on model output
+ *   flag     -> allowed, reported for logging
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - output of compileRules (defaults to the built-in lists)
+ * @param {boolean} [options.nsfwEnabled=false]
+ * @param {'input'|'output'} [options.stage='input']
+ * @returns {{ allowed: boolean, decision: 'allowed'|'blocked'|'masked'|'flagged', category?: string, term?: string, text: string }}
+ */
+export function evaluateContent(text, { rules = DEFAULT_COMPILED, nsfwEnabled = false, stage = 'input' } = {}) {
+  const original = String(text || '');
+  const t = normalize(original);
+  if (!t) return { allowed: true, decision: 'allowed', text: original };
 
-  // Sexual content handling
-  const foundSexual = SEXUAL_TERMS.find(term => t.includes(term));
-  if (foundSexual) {
-    // If NSFW disabled, not allowed; if enabled, allow
-    if (!nsfwEnabled) {
-      return { allowed: false, category: 'sexual', term: foundSexual };
+  let flagged = null;
+  for (const rule of rules) {
+    if (!rule.re.test(t)) continue;
+    const hit = { category: rule.category, term: rule.term };
+    if (rule.action === 'block') {
+      return { allowed: false, decision: 'blocked', ...hit, text: original };
+    }
+    if (rule.action === 'restrict' && !nsfwEnabled) {
+      if (stage === 'output') {
+        return { allowed: true, decision: 'masked', ...hit, text: stripNSFW(original, rules) };
+      }
+      return { allowed: false, decision: 'blocked', ...hit, text: original };
     }
-    return { allowed: true, category: 'sexual', term: foundSexual };
+    // Restricted terms are expected content once NSFW is on
+    if (rule.action === 'flag' && !flagged) flagged = hit;
   }
 
-  return { allowed: true };
+  return flagged
+    ? { allowed: true, decision: 'flagged', ...flagged, text: original }
+    : { allowed: true, decision: 'allowed', text: original };
+}
+
+/**
+ * Checks whether the content is allowed by the built-in rules.
+ * @param {string} text - input text
+ * @param {boolean} nsfwEnabled - if true, allow mild sexual content but still block prohibited content
+ * @returns {{ allowed: boolean, category?: string, term?: string }}
+ */
+export function moderateContent(text, nsfwEnabled = false) {
+  const { allowed, category, term } = evaluateContent(text, { nsfwEnabled });
+  return category ? { allowed, category, term } : { allowed };
 }
 
 /**
  * Strip or soften NSFW terms for SFW contexts.
- * Replaces detected sexual terms with asterisks and softens phrases.
+ * Replaces restricted terms with asterisks and softens phrases.
  * @param {string} text
+ * @param {Array} [rules] - output of compileRules (defaults to the built-in lists)
  * @returns {string}
  */
-export function stripNSFW(text) {
+export function stripNSFW(text, rules = DEFAULT_COMPILED) {
   let out = String(text || '');
   if (!out) return out;
 
-  // Replace sexual terms with a masked version
-  for (const term of SEXUAL_TERMS) {
-    const re = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-    out = out.replace(re, m => '*'.repeat(Math.max(3, m.length)));
-  }
-
-  // Light phrase softening
+  // Light phrase softening first, so these read naturally instead of masked
   out = out
     .replace(/\b(horny)\b/gi, 'excited')
     .replace(/\b(nsfw)\b/gi, 'explicit')
     .replace(/\b(porn)\b/gi, 'adult content');
 
+  // Replace restricted terms with a masked version
+  for (const rule of rules) {
+    if (rule.action !== 'restrict') continue;
+    const re = new RegExp(rule.re.source, 'giu');
+    out = out.replace(re, m => '*'.repeat(Math.max(3, m.length)));
+  }
+
   return out;
 }
 
-export default { moderateContent, stripNSFW };
+export default { moderateContent, stripNSFW, evaluateContent, compileRules };
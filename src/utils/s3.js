@@ -1,4 +1,4 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand, CopyObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 
 // S3 Client Configuration
@@ -22,6 +22,84 @@ const getKeyFromUrl = (urlOrKey) => {
   }
 };
 
+// Public URL of an object, in the format uploadToS3 returns
+const objectUrl = (Bucket, Key) =>
+  `https://${Bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${encodeURIComponent(Key).replace(/%2F/g, '/')}`;
+
+/**
+ * Key of an object in our bucket when `url` is one of our object URLs (the
+ * bucket host, or S3_PUBLIC_BASE_URL in front of it); null for anything else
+ * @param {string} url
+ * @returns {string|null}
+ */
+export const getOwnObjectKey = (url) => {
+  const publicBase = (process.env.S3_PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  try {
+    const u = new URL(url);
+    const bucketHost = `${process.env.AWS_S3_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com`;
+    const own = u.protocol === 'https:' && (
+      u.host === bucketHost
+      || (publicBase && `${u.origin}${u.pathname}`.startsWith(`${publicBase}/`))
+    );
+    if (!own || u.search || u.hash) return null;
+    const path = publicBase && u.host !== bucketHost ? `${u.origin}${u.pathname}`.slice(publicBase.length) : u.pathname;
+    return decodeURIComponent(path.replace(/^\/+/, '')) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Copies an object inside the bucket; nothing is downloaded through this server
+ * @param {string} sourceKey
+ * @param {string} Key - destination key
+ * @param {{ maxBytes?: number }} [options] - refuse sources larger than this
+ * @returns {Promise<{ success: boolean, key: string, url: string }>}
+ */
+export const copyWithinS3 = async (sourceKey, Key, { maxBytes } = {}) => {
+  validateEnvVars();
+  const Bucket = process.env.AWS_S3_BUCKET;
+  if (maxBytes) {
+    const head = await s3Client.send(new HeadObjectCommand({ Bucket, Key: sourceKey }));
+    if (Number(head.ContentLength) > maxBytes) {
+      throw new Error(`Object ${sourceKey} is larger than ${maxBytes} bytes`);
+    }
+  }
+  await s3Client.send(new CopyObjectCommand({
+    Bucket,
+    Key,
+    CopySource: `${Bucket}/${encodeURIComponent(sourceKey).replace(/%2F/g, '/')}`
+  }));
+  return { success: true, key: Key, url: objectUrl(Bucket, Key) };
+};
+
+/**
+ * Reads an object from the bucket into memory
+ * @param {string} Key
+ * @param {{ maxBytes?: number }} [options] - refuse objects larger than this
+ * @returns {Promise<Buffer>}
+ */
+export const getObjectBuffer = async (Key, { maxBytes } = {}) => {
+  validateEnvVars();
+  const { Body, ContentLength } = await s3Client.send(new GetObjectCommand({ Bucket: process.env.AWS_S3_BUCKET, Key }));
+  const tooLarge = new Error(`Object ${Key} is larger than ${maxBytes} bytes`);
+  if (maxBytes && Number(ContentLength) > maxBytes) {
+    Body?.destroy?.();
+    throw tooLarge;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of Body) {
+    size += chunk.length;
+    if (maxBytes && size > maxBytes) {
+      Body.destroy?.();
+      throw tooLarge;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
 // Delete an object from S3 by key or full URL
 export const deleteFromS3 = async (keyOrUrl) => {
   try {
@@ -102,7 +180,7 @@ export const uploadToS3 = async (params) => {
     });
     
     // Generate the correct S3 URL format
-    const s3Url = `https://${uploadParams.Bucket}.s3.${process.env.AWS_REGION}.amazonaws.com/${encodeURIComponent(uploadParams.Key).replace(/%2F/g, '/')}`;
+    const s3Url = objectUrl(uploadParams.Bucket, uploadParams.Key);
     
     return { 
       success: true, 
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+// Payment webhook signatures, Stripe-style:
+//   x-payment-signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Shared by the webhook route and scripts/payment-webhook-stub.js.
+
+export const SIGNATURE_HEADER = 'x-payment-signature';
+
+const hmac = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+/**
+ * Builds the signature header value for a raw JSON body
+ * @param {string|Buffer} rawBody
+ * @param {string} secret
+ * @param {number} [timestamp] - unix seconds
+ */
+export function signPayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Checks a signature header against the raw body
+ * @param {string|Buffer} rawBody
+ * @param {string} header
+ * @param {string} secret
+ * @param {number} [toleranceSeconds=300] - max clock skew / replay window
+ * @returns {boolean}
+ */
+export function verifySignature(rawBody, header, secret, toleranceSeconds = 300) {
+  if (!rawBody || !header || !secret) return false;
+  const parts = Object.fromEntries(String(header).split(',').map((p) => {
+    const eq = p.indexOf('=');
+    return [p.slice(0, eq).trim(), p.slice(eq + 1).trim()];
+  }));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, rawBody), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}